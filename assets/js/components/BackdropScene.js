@@ -0,0 +1,530 @@
+/**
+ * BackdropScene Component - Animated Background Scenes
+ * Paints the letter's scene on a canvas behind the intro and the letter
+ *
+ * Features:
+ * - Falling rose petals, a twinkling starry night, flickering candlelight bokeh and drifting hearts
+ * - Intensity presets that scale the scene to the screen size
+ * - Colours from the active theme's palette
+ * - Pauses while the page is hidden and picks up where it left off
+ * - Draws one still frame under reduced motion
+ */
+
+import LetterBackdrop from '../models/LetterBackdrop.js';
+
+class BackdropScene {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#heartBgContainer',
+            backdrop: LetterBackdrop.normalize(options.backdrop),
+            palette: options.palette || ['#e74c3c'],
+            accessibilityMode: options.accessibilityMode || false,
+            maxFrameTime: options.maxFrameTime || 50,
+            candleColor: options.candleColor || '#ffc870',
+            nightColor: options.nightColor || '#1d1b3a'
+        };
+
+        // State management
+        this.state = {
+            isHidden: typeof document !== 'undefined' && document.hidden,
+            frameId: null,
+            lastTime: null,
+            time: 0,
+            width: 0,
+            height: 0,
+            pixelRatio: 1
+        };
+
+        // Petals, stars, lights or hearts of the current scene
+        this.items = [];
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            canvas: null
+        };
+
+        this.context = null;
+        this.resizeObserver = null;
+
+        // Bound handlers so they can be removed again
+        this.handleFrame = this.handleFrame.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the BackdropScene component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+            this.setBackdrop(this.config.backdrop);
+        } catch (error) {
+            console.error('BackdropScene initialization failed:', error);
+        }
+    }
+
+    /**
+     * Create the canvas inside the background container
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`BackdropScene container not found: ${this.config.container}`);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'backdrop-canvas';
+        canvas.setAttribute('aria-hidden', 'true');
+        this.context = canvas.getContext?.('2d') || null;
+
+        if (!this.context) {
+            console.warn('Canvas is unavailable, so background scenes are not shown');
+            return;
+        }
+
+        this.elements.canvas = canvas;
+        this.elements.container.appendChild(canvas);
+        this.handleResize();
+    }
+
+    /**
+     * Set up event listeners, resizing with the window and with the container itself (parallax overscan grows it)
+     */
+    setupEventListeners() {
+        window.addEventListener('resize', this.handleResize);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(this.elements.container);
+        }
+    }
+
+    /**
+     * Play a letter's scene
+     */
+    setBackdrop(backdrop) {
+        const previousScene = this.config.backdrop.scene;
+        this.config.backdrop = LetterBackdrop.normalize(backdrop);
+        const isActive = Boolean(this.context) && this.config.backdrop.scene !== 'none';
+
+        // Without a scene the page keeps its plain background
+        document.body.classList.toggle('has-backdrop', isActive);
+        this.elements.canvas?.classList.toggle('hidden', !isActive);
+
+        // The same scene carries on; a new intensity only adds or removes items
+        if (this.config.backdrop.scene !== previousScene) {
+            this.items = [];
+        }
+        this.fillScene();
+        this.draw();
+
+        if (isActive) {
+            this.wake();
+        } else {
+            this.sleep();
+        }
+    }
+
+    /**
+     * Use the active theme's colours
+     */
+    setPalette(palette) {
+        this.config.palette = Array.isArray(palette) && palette.length > 0 ? palette : this.config.palette;
+        this.items.forEach(item => {
+            if (item.themed) {
+                item.color = this.pickColor();
+            }
+        });
+        this.draw();
+    }
+
+    /**
+     * Add or remove items until the scene has as many as the screen and intensity call for
+     */
+    fillScene() {
+        const { width, height } = this.state;
+        const count = this.context ? LetterBackdrop.getCount(this.config.backdrop, width * height) : 0;
+
+        this.items.length = Math.min(this.items.length, count);
+        while (this.items.length < count) {
+            this.items.push(this.createItem(true));
+        }
+    }
+
+    /**
+     * Create one item; scattered over the screen at the start, or entering from its edge later
+     */
+    createItem(isScattered) {
+        const { width, height } = this.state;
+        const { scene } = this.config.backdrop;
+        const x = Math.random() * width;
+        const y = Math.random() * height;
+
+        switch (scene) {
+            case 'petals': {
+                const size = 10 + Math.random() * 12;
+                return {
+                    x,
+                    y: isScattered ? y : -size,
+                    size,
+                    fall: 25 + Math.random() * 30,
+                    sway: 15 + Math.random() * 25,
+                    rotation: Math.random() * 360,
+                    spin: (Math.random() - 0.5) * 90,
+                    phase: Math.random() * Math.PI * 2,
+                    color: this.pickColor(),
+                    themed: true,
+                    alpha: 0.55 + Math.random() * 0.3
+                };
+            }
+            case 'stars':
+                return {
+                    x,
+                    y,
+                    size: 1 + Math.random() * 2.5,
+                    phase: Math.random() * Math.PI * 2,
+                    twinkle: 0.6 + Math.random() * 1.2,
+                    ...this.pickSceneColor('#ffffff', 0.6),
+                    alpha: 0.5 + Math.random() * 0.5
+                };
+            case 'candlelight':
+                return {
+                    x,
+                    y,
+                    size: 25 + Math.random() * 50,
+                    vx: (Math.random() - 0.5) * 12,
+                    vy: (Math.random() - 0.5) * 12,
+                    phase: Math.random() * Math.PI * 2,
+                    flicker: 2 + Math.random() * 3,
+                    ...this.pickSceneColor(this.config.candleColor, 0.5),
+                    alpha: 0.18 + Math.random() * 0.17
+                };
+            case 'hearts': {
+                const size = 14 + Math.random() * 16;
+                return {
+                    x,
+                    y: isScattered ? y : height + size,
+                    size,
+                    rise: 15 + Math.random() * 20,
+                    sway: 10 + Math.random() * 20,
+                    rotation: (Math.random() - 0.5) * 30,
+                    phase: Math.random() * Math.PI * 2,
+                    color: this.pickColor(),
+                    themed: true,
+                    alpha: 0.25 + Math.random() * 0.2
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Pick a colour from the palette
+     */
+    pickColor() {
+        const { palette } = this.config;
+        return palette[Math.floor(Math.random() * palette.length)];
+    }
+
+    /**
+     * Pick the scene's own colour some of the time and a theme colour otherwise
+     */
+    pickSceneColor(color, chance) {
+        return Math.random() < chance ? { color, themed: false } : { color: this.pickColor(), themed: true };
+    }
+
+    /**
+     * Start the animation loop if the scene moves and can be seen
+     */
+    wake() {
+        if (this.state.frameId !== null || this.state.isHidden || this.config.accessibilityMode) return;
+        if (this.items.length === 0) return;
+
+        this.state.lastTime = null;
+        this.state.frameId = requestAnimationFrame(this.handleFrame);
+    }
+
+    /**
+     * Stop the animation loop
+     */
+    sleep() {
+        if (this.state.frameId !== null) {
+            cancelAnimationFrame(this.state.frameId);
+            this.state.frameId = null;
+        }
+        this.state.lastTime = null;
+    }
+
+    /**
+     * Advance and draw one frame
+     */
+    handleFrame(time) {
+        this.state.frameId = null;
+
+        // Long gaps (a busy tab or a resumed page) advance as a single short frame
+        const elapsed = this.state.lastTime === null ? 16 : time - this.state.lastTime;
+        this.state.lastTime = time;
+        this.step(Math.min(elapsed, this.config.maxFrameTime) / 1000);
+        this.draw();
+
+        this.state.frameId = requestAnimationFrame(this.handleFrame);
+    }
+
+    /**
+     * Move the scene forward by a number of seconds
+     */
+    step(seconds) {
+        const { width, height } = this.state;
+        this.state.time += seconds;
+
+        this.items.forEach((item, index) => {
+            switch (this.config.backdrop.scene) {
+                case 'petals':
+                    item.y += item.fall * seconds;
+                    item.rotation += item.spin * seconds;
+                    if (item.y > height + item.size) {
+                        this.items[index] = this.createItem(false);
+                    }
+                    break;
+                case 'hearts':
+                    item.y -= item.rise * seconds;
+                    if (item.y < -item.size) {
+                        this.items[index] = this.createItem(false);
+                    }
+                    break;
+                case 'candlelight':
+                    // Lights drift slowly and wrap around the edges
+                    item.x = (item.x + item.vx * seconds + width) % width;
+                    item.y = (item.y + item.vy * seconds + height) % height;
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Paint the scene onto the canvas
+     */
+    draw() {
+        const { context } = this;
+        if (!context) return;
+
+        const { width, height, pixelRatio, time } = this.state;
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const { scene } = this.config.backdrop;
+        if (scene === 'stars') {
+            this.drawNightSky();
+        }
+
+        this.items.forEach(item => {
+            context.save();
+            context.fillStyle = item.color;
+
+            switch (scene) {
+                case 'petals':
+                    this.drawPetal(item, time);
+                    break;
+                case 'stars':
+                    this.drawStar(item, time);
+                    break;
+                case 'candlelight':
+                    this.drawLight(item, time);
+                    break;
+                case 'hearts':
+                    this.drawHeart(item, time);
+                    break;
+                default:
+                    break;
+            }
+            context.restore();
+        });
+    }
+
+    /**
+     * Shade the top of the screen like an evening sky, fading out towards the letter
+     */
+    drawNightSky() {
+        const { context } = this;
+        const { width, height } = this.state;
+
+        const gradient = context.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, this.config.nightColor);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        context.save();
+        context.globalAlpha = 0.35;
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+        context.restore();
+    }
+
+    /**
+     * A petal that sways as it falls and tumbles by flipping around its length
+     */
+    drawPetal(item, time) {
+        const { context } = this;
+        const half = item.size / 2;
+
+        context.globalAlpha = item.alpha;
+        context.translate(item.x + Math.sin(time * 0.8 + item.phase) * item.sway, item.y);
+        context.rotate(item.rotation * Math.PI / 180);
+        context.scale(1, 0.35 + 0.65 * Math.abs(Math.cos(time * 1.5 + item.phase)));
+
+        context.beginPath();
+        context.moveTo(0, -half);
+        context.bezierCurveTo(half, -half * 0.6, half * 0.7, half * 0.7, 0, half);
+        context.bezierCurveTo(-half * 0.7, half * 0.7, -half, -half * 0.6, 0, -half);
+        context.fill();
+    }
+
+    /**
+     * A star that twinkles; the brightest get four points
+     */
+    drawStar(item, time) {
+        const { context } = this;
+        const twinkle = 0.5 + 0.5 * Math.sin(time * item.twinkle + item.phase);
+
+        context.globalAlpha = item.alpha * (0.3 + 0.7 * twinkle);
+        context.translate(item.x, item.y);
+        context.beginPath();
+
+        if (item.size > 2.5) {
+            const long = item.size * (1.6 + twinkle);
+            const short = item.size * 0.35;
+            for (let point = 0; point < 4; point++) {
+                const angle = point * Math.PI / 2;
+                context.lineTo(Math.cos(angle) * long, Math.sin(angle) * long);
+                context.lineTo(Math.cos(angle + Math.PI / 4) * short, Math.sin(angle + Math.PI / 4) * short);
+            }
+            context.closePath();
+        } else {
+            context.arc(0, 0, item.size, 0, Math.PI * 2);
+        }
+        context.fill();
+    }
+
+    /**
+     * A soft, out-of-focus light that flickers like a candle flame
+     */
+    drawLight(item, time) {
+        const { context } = this;
+        const flicker = 0.8 + 0.2 * Math.sin(time * item.flicker + item.phase) * Math.sin(time * item.flicker * 1.7);
+
+        const gradient = context.createRadialGradient(item.x, item.y, 0, item.x, item.y, item.size);
+        gradient.addColorStop(0, item.color);
+        gradient.addColorStop(0.6, item.color);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+        context.globalAlpha = item.alpha * flicker;
+        context.fillStyle = gradient;
+        context.beginPath();
+        context.arc(item.x, item.y, item.size, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    /**
+     * A heart shape that sways as it rises
+     */
+    drawHeart(item, time) {
+        const { context } = this;
+        const size = item.size;
+
+        context.globalAlpha = item.alpha;
+        context.translate(item.x + Math.sin(time * 0.6 + item.phase) * item.sway, item.y);
+        context.rotate(item.rotation * Math.PI / 180);
+
+        context.beginPath();
+        context.moveTo(0, size * 0.35);
+        context.bezierCurveTo(-size * 0.6, -size * 0.05, -size * 0.35, -size * 0.55, 0, -size * 0.2);
+        context.bezierCurveTo(size * 0.35, -size * 0.55, size * 0.6, -size * 0.05, 0, size * 0.35);
+        context.fill();
+    }
+
+    /**
+     * Match the canvas to its container (the viewport, plus any overscan), keeping items where they were
+     */
+    handleResize() {
+        const { width, height } = this.state;
+        const bounds = this.elements.container.getBoundingClientRect();
+        const newWidth = bounds.width || window.innerWidth;
+        const newHeight = bounds.height || window.innerHeight;
+
+        if (width > 0 && height > 0) {
+            this.items.forEach(item => {
+                item.x *= newWidth / width;
+                item.y *= newHeight / height;
+            });
+        }
+
+        this.state.width = newWidth;
+        this.state.height = newHeight;
+        this.state.pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+
+        const { canvas } = this.elements;
+        if (canvas) {
+            canvas.width = Math.round(newWidth * this.state.pixelRatio);
+            canvas.height = Math.round(newHeight * this.state.pixelRatio);
+            this.fillScene();
+            this.draw();
+            this.wake();
+        }
+    }
+
+    /**
+     * Pause while the page is hidden and pick up where it left off afterwards
+     */
+    handleVisibilityChange() {
+        this.state.isHidden = document.hidden;
+
+        if (this.state.isHidden) {
+            this.sleep();
+        } else {
+            this.wake();
+        }
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+
+        if (newConfig.backdrop) {
+            this.setBackdrop(newConfig.backdrop);
+        } else if (this.config.accessibilityMode) {
+            this.sleep();
+            this.draw();
+        } else {
+            this.wake();
+        }
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.sleep();
+        this.items = [];
+
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.resizeObserver?.disconnect();
+        document.body.classList.remove('has-backdrop');
+
+        this.elements.canvas?.remove();
+        this.elements = {};
+    }
+}
+
+export default BackdropScene;
@@ -0,0 +1,224 @@
+/**
+ * EnvelopeScene Component - Envelope Opening Transition
+ * An optional sealed envelope shown between the intro slides and the letter
+ *
+ * Features:
+ * - Wax seal with the sender's initials and the recipient's name on the front
+ * - Tap, click, Enter or Space breaks the seal, opens the flap and slides the letter out
+ * - Reduced motion fades straight to the letter
+ * - Per-letter toggle; a disabled envelope resolves straight away
+ */
+
+import LetterEnvelope from '../models/LetterEnvelope.js';
+
+class EnvelopeScene {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#envelopeScene',
+            envelope: LetterEnvelope.normalize(options.envelope),
+            sender: options.sender || '',
+
+            // Animation settings
+            sealBreakDuration: options.sealBreakDuration || 500,
+            flapDuration: options.flapDuration || 700,
+            slideDuration: options.slideDuration || 900,
+            fadeDuration: options.fadeDuration || 400,
+
+            // Accessibility
+            accessibilityMode: options.accessibilityMode || false
+        };
+
+        // State management
+        this.state = {
+            isShown: false,
+            isOpening: false,
+            resolve: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            envelope: null,
+            seal: null,
+            recipient: null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the EnvelopeScene component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupAccessibility();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('EnvelopeScene initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`EnvelopeScene container not found: ${this.config.container}`);
+        }
+
+        const { container } = this.elements;
+        this.elements.envelope = container.querySelector('.envelope');
+        this.elements.seal = container.querySelector('.envelope-seal');
+        this.elements.recipient = container.querySelector('.envelope-recipient');
+    }
+
+    /**
+     * Set up accessibility features
+     */
+    setupAccessibility() {
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.config.accessibilityMode = true;
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // The envelope is a button, so Enter and Space open it too
+        this.elements.envelope.addEventListener('click', () => {
+            this.open();
+        });
+    }
+
+    /**
+     * Set the letter's envelope setting and the sender name used for default initials
+     */
+    setEnvelope(envelope, sender) {
+        this.config.envelope = LetterEnvelope.normalize(envelope);
+        if (sender !== undefined) {
+            this.config.sender = sender;
+        }
+    }
+
+    /**
+     * Check whether the current letter opens from an envelope
+     */
+    isEnabled() {
+        return this.config.envelope.enabled && Boolean(this.elements.container);
+    }
+
+    /**
+     * Show the sealed envelope; resolves true once it is opened, false when cancelled
+     * Resolves true straight away when the letter has no envelope
+     */
+    play() {
+        if (!this.isEnabled()) {
+            return Promise.resolve(true);
+        }
+
+        this.cancel();
+        this.render();
+
+        this.state.isShown = true;
+        this.state.isOpening = false;
+        this.elements.container.classList.remove('hidden', 'seal-broken', 'flap-open', 'letter-out', 'scene-exit');
+        this.elements.envelope.disabled = false;
+        this.elements.envelope.focus();
+
+        return new Promise(resolve => {
+            this.state.resolve = resolve;
+        });
+    }
+
+    /**
+     * Draw the seal and address for the current letter
+     */
+    render() {
+        const { recipient } = this.config.envelope;
+        const initials = this.config.envelope.initials || LetterEnvelope.getInitials(this.config.sender);
+
+        // Two copies of the seal, clipped into halves that split apart when it breaks
+        this.elements.seal.replaceChildren(...['left', 'right'].map(side => {
+            const half = document.createElement('span');
+            half.className = `seal-half seal-half-${side}`;
+            half.appendChild(LetterEnvelope.createSealSVG(initials));
+            return half;
+        }));
+
+        this.elements.recipient.textContent = recipient ? `For ${recipient}` : 'For you';
+        this.elements.envelope.setAttribute('aria-label',
+            `A letter ${recipient ? `for ${recipient}` : 'for you'}, sealed with ${initials}. Press to break the seal and open it.`);
+    }
+
+    /**
+     * Break the seal, open the flap and slide the letter out
+     */
+    async open() {
+        if (!this.state.isShown || this.state.isOpening) return;
+
+        this.state.isOpening = true;
+        this.elements.envelope.disabled = true;
+        const { container } = this.elements;
+
+        if (!this.config.accessibilityMode) {
+            container.classList.add('seal-broken');
+            await this.wait(this.config.sealBreakDuration);
+            if (!this.state.isOpening) return;
+
+            container.classList.add('flap-open');
+            await this.wait(this.config.flapDuration);
+            if (!this.state.isOpening) return;
+
+            container.classList.add('letter-out');
+            await this.wait(this.config.slideDuration);
+            if (!this.state.isOpening) return;
+        }
+
+        container.classList.add('scene-exit');
+        await this.wait(this.config.fadeDuration);
+        if (!this.state.isOpening) return;
+
+        this.finish(true);
+    }
+
+    /**
+     * Hide the envelope without opening the letter (e.g. on restart)
+     */
+    cancel() {
+        this.finish(false);
+    }
+
+    /**
+     * Hide the scene and resolve the pending play
+     */
+    finish(opened) {
+        const { resolve } = this.state;
+
+        this.state.isShown = false;
+        this.state.isOpening = false;
+        this.state.resolve = null;
+
+        if (this.elements.container) {
+            this.elements.container.classList.add('hidden');
+            this.elements.container.classList.remove('seal-broken', 'flap-open', 'letter-out', 'scene-exit');
+        }
+
+        if (resolve) {
+            resolve(opened);
+        }
+    }
+
+    /**
+     * Wait for specified duration
+     */
+    wait(duration) {
+        return new Promise(resolve => setTimeout(resolve, duration));
+    }
+}
+
+export default EnvelopeScene;
@@ -0,0 +1,410 @@
+/**
+ * HeartEffects Component - Interactive Heart Physics
+ * Playful effects around the letter, drawn by the shared particle engine
+ *
+ * Features:
+ * - Hearts that trail the pointer across the letter
+ * - Long-press and double-click bursts that fall with gravity and drift apart
+ * - Hearts that fly off the letter's edges when it is scrolled quickly
+ * - A heart and confetti finale once the letter has been revealed
+ * - Each effect switched per letter; nothing plays under reduced motion
+ */
+
+import LetterEffects from '../models/LetterEffects.js';
+
+class HeartEffects {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#letterSection',
+            letter: options.letter || '.letter-container',
+            particles: options.particles || null,
+            effects: LetterEffects.normalize(options.effects),
+            accessibilityMode: options.accessibilityMode || false,
+            longPressDelay: options.longPressDelay || 500,
+            moveTolerance: options.moveTolerance || 10,
+            trailSpacing: options.trailSpacing || 28,
+            trailInterval: options.trailInterval || 40,
+            burstCount: options.burstCount || 14,
+            minScrollSpeed: options.minScrollSpeed || 600, // px per second
+            scrollInterval: options.scrollInterval || 80,
+            finaleCount: options.finaleCount || 40
+        };
+
+        // Live particles per effect, so one effect never crowds out the others
+        this.groupLimits = {
+            trail: 16,
+            burst: 40,
+            scroll: 16,
+            finale: 48
+        };
+
+        // State management
+        this.state = {
+            isActive: false,
+            isEnabled: true,
+            press: null,
+            lastTrail: null,
+            lastScroll: new Map()
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            letter: null
+        };
+
+        // Bound handlers so they can be removed again
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerEnd = this.handlePointerEnd.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the HeartEffects component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('HeartEffects initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references and the engine's group limits
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`HeartEffects container not found: ${this.config.container}`);
+        }
+
+        this.elements.letter = this.elements.container.querySelector(this.config.letter) || this.elements.container;
+
+        Object.entries(this.groupLimits).forEach(([group, limit]) => {
+            this.config.particles?.setGroupLimit(group, limit);
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        const { container } = this.elements;
+
+        container.addEventListener('pointerdown', this.handlePointerDown);
+        container.addEventListener('pointermove', this.handlePointerMove);
+        container.addEventListener('pointerup', this.handlePointerEnd);
+        container.addEventListener('pointercancel', this.handlePointerEnd);
+        container.addEventListener('pointerleave', this.handlePointerEnd);
+        container.addEventListener('dblclick', this.handleDoubleClick);
+
+        // Scrolling the page or the letter itself (scroll events do not bubble)
+        document.addEventListener('scroll', this.handleScroll, { capture: true, passive: true });
+    }
+
+    /**
+     * Turn the effects on while the letter is showing
+     */
+    setActive(isActive) {
+        this.state.isActive = isActive;
+
+        if (!isActive) {
+            this.cancelPress();
+            this.state.lastTrail = null;
+            this.state.lastScroll.clear();
+        }
+    }
+
+    /**
+     * Follow the reader's hearts switch (the H key)
+     */
+    setEnabled(isEnabled) {
+        this.state.isEnabled = isEnabled;
+
+        if (!isEnabled) {
+            this.cancelPress();
+            Object.keys(this.groupLimits).forEach(group => this.config.particles?.clear(group));
+        }
+    }
+
+    /**
+     * Use a letter's effect switches
+     */
+    setEffects(effects) {
+        this.config.effects = LetterEffects.normalize(effects);
+
+        LetterEffects.effects.forEach(effect => {
+            if (!this.config.effects[effect]) {
+                this.config.particles?.clear(effect);
+            }
+        });
+    }
+
+    /**
+     * Check whether an effect may play right now
+     */
+    canPlay(effect) {
+        return this.state.isActive && this.state.isEnabled && !this.config.accessibilityMode &&
+            Boolean(this.config.particles) && this.config.effects[effect];
+    }
+
+    /**
+     * Check whether a pointer target has its own job (links, controls, photos, stickers)
+     */
+    isInteractive(target) {
+        return Boolean(target.closest?.('a, button, input, select, textarea, label, .letter-photo, .sticker'));
+    }
+
+    /**
+     * Start timing a long press
+     */
+    handlePointerDown(event) {
+        if (!event.isPrimary || event.button > 0 || !this.canPlay('burst') || this.isInteractive(event.target)) return;
+
+        this.cancelPress();
+        const press = { x: event.clientX, y: event.clientY, pointerId: event.pointerId, timer: null };
+        press.timer = setTimeout(() => {
+            this.state.press = null;
+            this.burst(press.x, press.y);
+        }, this.config.longPressDelay);
+        this.state.press = press;
+    }
+
+    /**
+     * Leave a trail of hearts, and give up on a long press that moves too far
+     */
+    handlePointerMove(event) {
+        const { press } = this.state;
+        if (press && press.pointerId === event.pointerId &&
+            Math.hypot(event.clientX - press.x, event.clientY - press.y) > this.config.moveTolerance) {
+            this.cancelPress();
+        }
+
+        if (!event.isPrimary || !this.canPlay('trail')) return;
+
+        const now = performance.now();
+        const last = this.state.lastTrail;
+        if (last && (now - last.time < this.config.trailInterval ||
+            Math.hypot(event.clientX - last.x, event.clientY - last.y) < this.config.trailSpacing)) {
+            return;
+        }
+
+        this.state.lastTrail = { x: event.clientX, y: event.clientY, time: now };
+        this.spawnTrailHeart(event.clientX, event.clientY);
+    }
+
+    /**
+     * End a press before it became a long press
+     */
+    handlePointerEnd(event) {
+        if (this.state.press?.pointerId === event.pointerId) {
+            this.cancelPress();
+        }
+        if (event.type === 'pointerleave') {
+            this.state.lastTrail = null;
+        }
+    }
+
+    /**
+     * Burst on double-click
+     */
+    handleDoubleClick(event) {
+        if (!this.canPlay('burst') || this.isInteractive(event.target)) return;
+
+        this.cancelPress();
+        this.burst(event.clientX, event.clientY);
+    }
+
+    /**
+     * Measure scroll speed and send hearts off the letter's edges when it is fast
+     */
+    handleScroll(event) {
+        const target = event.target === document ? document.documentElement : event.target;
+        if (target !== document.documentElement && !this.elements.container.contains(target)) return;
+        if (!this.canPlay('scroll')) return;
+
+        const now = performance.now();
+        const top = target === document.documentElement ? window.scrollY : target.scrollTop;
+        const last = this.state.lastScroll.get(target);
+
+        if (!last || now - last.time > 250) {
+            // A fresh scroll: measure from here
+            this.state.lastScroll.set(target, { top, time: now });
+            return;
+        }
+        if (now - last.time < this.config.scrollInterval) return;
+
+        const velocity = (top - last.top) / ((now - last.time) / 1000);
+        this.state.lastScroll.set(target, { top, time: now });
+
+        if (Math.abs(velocity) >= this.config.minScrollSpeed) {
+            this.reactToScroll(velocity);
+        }
+    }
+
+    /**
+     * Stop timing a long press
+     */
+    cancelPress() {
+        if (this.state.press) {
+            clearTimeout(this.state.press.timer);
+            this.state.press = null;
+        }
+    }
+
+    /**
+     * Drop a small heart behind the pointer
+     */
+    spawnTrailHeart(x, y) {
+        this.config.particles.spawn({
+            group: 'trail',
+            x: x + (Math.random() - 0.5) * 8,
+            y: y + (Math.random() - 0.5) * 8,
+            size: 12 + Math.random() * 6,
+            vx: (Math.random() - 0.5) * 30,
+            vy: 10 + Math.random() * 20,
+            gravity: 60,
+            spin: (Math.random() - 0.5) * 90,
+            life: 900,
+            grow: 0.1,
+            endScale: 0.5,
+            fadeStart: 0.4,
+            opacity: 0.9
+        });
+    }
+
+    /**
+     * Throw a ring of hearts that arc up, drift apart and fall
+     */
+    burst(x, y) {
+        if (!this.canPlay('burst')) return;
+
+        const { burstCount } = this.config;
+        for (let i = 0; i < burstCount; i++) {
+            const angle = (i / burstCount) * Math.PI * 2 + Math.random() * 0.4;
+            const speed = 150 + Math.random() * 200;
+
+            this.config.particles.spawn({
+                group: 'burst',
+                x,
+                y,
+                size: 16 + Math.random() * 12,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed - 180, // Thrown upwards before gravity wins
+                gravity: 520,
+                drag: 1.2,
+                spin: (Math.random() - 0.5) * 360,
+                life: 1400 + Math.random() * 400,
+                grow: 0.05,
+                fadeStart: 0.7
+            });
+        }
+    }
+
+    /**
+     * Send hearts off the letter's edges in the direction of a fast scroll
+     */
+    reactToScroll(velocity) {
+        const rect = this.elements.letter.getBoundingClientRect();
+        const count = Math.min(3, Math.floor(Math.abs(velocity) / this.config.minScrollSpeed));
+        const speed = Math.min(Math.abs(velocity) * 0.3, 400);
+
+        for (let i = 0; i < count; i++) {
+            const side = Math.random() < 0.5 ? -1 : 1;
+
+            this.config.particles.spawn({
+                group: 'scroll',
+                x: side < 0 ? rect.left : rect.right,
+                y: Math.max(0, rect.top) + Math.random() * Math.min(rect.height, window.innerHeight),
+                size: 14 + Math.random() * 10,
+                vx: side * (40 + Math.random() * 60),
+                // Content moves up when scrolling down, and the hearts are swept along with it
+                vy: -Math.sign(velocity) * speed,
+                drag: 1.5,
+                spin: side * 120,
+                life: 1200,
+                fadeStart: 0.5
+            });
+        }
+    }
+
+    /**
+     * Celebrate the end of the letter with hearts and confetti from both bottom corners
+     */
+    celebrate() {
+        if (!this.canPlay('finale')) return;
+
+        const { finaleCount } = this.config;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        for (let i = 0; i < finaleCount; i++) {
+            const side = i % 2 === 0 ? -1 : 1;
+            const isConfetti = i % 3 !== 0;
+            const angle = -Math.PI / 2 - side * (0.25 + Math.random() * 0.45); // Up and in
+            const speed = height * (0.9 + Math.random() * 0.5);
+
+            this.config.particles.spawn({
+                group: 'finale',
+                ...(isConfetti ? { shape: 'confetti' } : {}),
+                x: side < 0 ? 0 : width,
+                y: height,
+                size: isConfetti ? 10 + Math.random() * 6 : 18 + Math.random() * 12,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                gravity: height * 0.9,
+                drag: 0.9,
+                rotation: Math.random() * 360,
+                spin: (Math.random() - 0.5) * 540,
+                life: 2600 + Math.random() * 800,
+                delay: Math.floor(i / 2) * 25,
+                grow: 0.02,
+                fadeStart: 0.75
+            });
+        }
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+
+        if (newConfig.effects) {
+            this.setEffects(newConfig.effects);
+        }
+        if (this.config.accessibilityMode) {
+            this.cancelPress();
+        }
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.cancelPress();
+
+        const { container } = this.elements;
+        if (container) {
+            container.removeEventListener('pointerdown', this.handlePointerDown);
+            container.removeEventListener('pointermove', this.handlePointerMove);
+            container.removeEventListener('pointerup', this.handlePointerEnd);
+            container.removeEventListener('pointercancel', this.handlePointerEnd);
+            container.removeEventListener('pointerleave', this.handlePointerEnd);
+            container.removeEventListener('dblclick', this.handleDoubleClick);
+        }
+        document.removeEventListener('scroll', this.handleScroll, { capture: true });
+
+        this.elements = {};
+    }
+}
+
+export default HeartEffects;
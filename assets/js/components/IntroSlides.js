@@ -4,27 +4,38 @@
  *
  * Features:
  * - Sequential slide transitions with smooth animations
+ * - Slides generated from 1 to 20 customizable messages
+ * - Per-slide duration, transition, text size and color emphasis
  * - Customizable messages and timing
  * - Progress indicator
+ * - Floating hearts drawn by the shared particle engine, following the letter's heart set
  * - Event-driven completion signaling
  * - Accessibility support
  * - Performance optimized animations
  */
 
+import SlideMessage from '../models/SlideMessage.js';
+
 class IntroSlides {
     constructor(options = {}) {
         // Default configuration
         this.config = {
-            messages: options.messages || ['Hi', 'Happy', "Valentine's", 'Day', 'Babe'],
+            maxSlides: options.maxSlides || 20,
+            messages: null,
             slideDelay: options.slideDelay || 800, // Time to show each slide
             transitionDuration: options.transitionDuration || 800, // Animation duration
             autoStart: options.autoStart !== false, // Auto-start by default
             container: options.container || '#introSlidesSection',
+            slidesContainer: options.slidesContainer || '.intro-slides-container',
             progressBar: options.progressBar || '#progressBar',
             enableHeartEffects: options.enableHeartEffects !== false,
+            particles: options.particles || null,
+            heartLifetime: 3000,
             accessibilityMode: options.accessibilityMode || false
         };
 
+        this.config.messages = this.normalizeMessages(options.messages);
+
         // State management
         this.state = {
             currentSlide: -1,
@@ -39,6 +50,7 @@ class IntroSlides {
         // DOM elements
         this.elements = {
             container: null,
+            slidesContainer: null,
             slides: [],
             progressBar: null,
             section: null
@@ -85,24 +97,70 @@ class IntroSlides {
 
         this.elements.section = this.elements.container.closest('.intro-slides-section');
         this.elements.progressBar = document.querySelector(this.config.progressBar);
+        this.elements.slidesContainer = this.elements.container.querySelector(this.config.slidesContainer);
 
-        // Get all slide elements
-        this.elements.slides = Array.from(
-            this.elements.container.querySelectorAll('.slide')
-        );
-
-        if (this.elements.slides.length === 0) {
-            throw new Error('No slide elements found in container');
+        if (!this.elements.slidesContainer) {
+            throw new Error(`Slides container not found: ${this.config.slidesContainer}`);
         }
 
-        // Update slide messages if provided
-        this.updateSlideMessages();
+        // Generate one slide per message
+        this.renderSlides();
 
         // Set initial states
         this.resetSlides();
         this.updateProgressBar(0);
     }
 
+    /**
+     * Clamp messages to between 1 and maxSlides non-empty strings
+     */
+    normalizeMessages(messages) {
+        const list = Array.isArray(messages)
+            ? messages.map(message => SlideMessage.normalize(message)).filter(message => message.text.trim())
+            : [];
+
+        if (list.length === 0) {
+            return ['Hi', 'Happy', "Valentine's", 'Day', 'Babe'].map(text => SlideMessage.normalize(text));
+        }
+
+        return list.slice(0, this.config.maxSlides);
+    }
+
+    /**
+     * Get how long a slide stays on screen
+     */
+    getSlideDuration(index) {
+        const message = this.config.messages[index];
+        return message && message.duration !== null ? message.duration : this.config.slideDelay;
+    }
+
+    /**
+     * Create slide elements for every message
+     */
+    renderSlides() {
+        this.elements.slidesContainer.innerHTML = '';
+
+        this.elements.slides = this.config.messages.map((message, index) => {
+            const slide = document.createElement('div');
+            slide.className = 'slide';
+            slide.id = `slide-${index}`;
+
+            const textElement = document.createElement('h1');
+            textElement.className = 'slide-text';
+            textElement.setAttribute('aria-live', 'polite');
+            slide.appendChild(textElement);
+
+            this.elements.slidesContainer.appendChild(slide);
+            return slide;
+        });
+
+        this.updateSlideMessages();
+
+        if (this.elements.progressBar?.parentElement) {
+            this.elements.progressBar.parentElement.setAttribute('aria-valuemax', String(this.config.messages.length));
+        }
+    }
+
     /**
      * Update slide messages with custom content
      */
@@ -112,10 +170,21 @@ class IntroSlides {
             if (slide) {
                 const textElement = slide.querySelector('.slide-text');
                 if (textElement) {
-                    textElement.textContent = message;
-                    slide.setAttribute('data-message', message);
-                    slide.setAttribute('aria-label', `Slide ${index + 1} of ${this.config.messages.length}: ${message}`);
+                    textElement.textContent = message.text;
+                    slide.setAttribute('data-message', message.text);
+                    slide.setAttribute('aria-label', `Slide ${index + 1} of ${this.config.messages.length}: ${message.text}`);
                 }
+
+                // Per-slide presentation classes
+                Array.from(slide.classList)
+                    .filter(name => /^(transition|size|emphasis)-/.test(name))
+                    .forEach(name => slide.classList.remove(name));
+                slide.classList.add(
+                    `transition-${message.transition}`,
+                    `size-${message.size}`,
+                    `emphasis-${message.emphasis}`
+                );
+                slide.classList.toggle('long-text', message.text.length > 8);
             }
         });
     }
@@ -245,13 +314,14 @@ class IntroSlides {
 
             // Wait for slide duration (unless it's the last slide)
             if (i < this.config.messages.length - 1) {
-                await this.wait(this.config.slideDelay);
+                await this.wait(this.getSlideDuration(i));
             }
         }
 
-        // Brief pause before completion
+        // Brief pause before completion (a custom duration on the last slide lingers instead)
         if (this.state.isPlaying && !this.state.isPaused) {
-            await this.wait(400); // Shorter final pause
+            const lastMessage = this.config.messages[this.config.messages.length - 1];
+            await this.wait(lastMessage.duration !== null ? lastMessage.duration : 400);
             this.complete();
         }
     }
@@ -273,11 +343,14 @@ class IntroSlides {
         // Update progress
         this.updateProgressBar((index + 1) / this.config.messages.length * 100);
 
+        const message = this.config.messages[index];
+
         // Fire slide start event
         if (this.eventHandlers.onSlideStart) {
             this.eventHandlers.onSlideStart({
                 index,
-                message: this.config.messages[index],
+                message: message.text,
+                options: message,
                 slide: currentSlide
             });
         }
@@ -298,7 +371,7 @@ class IntroSlides {
         }
 
         // Announce to screen readers
-        this.announceSlide(this.config.messages[index]);
+        this.announceSlide(message.text);
 
         // Wait for transition to complete
         await this.wait(this.config.transitionDuration);
@@ -313,7 +386,8 @@ class IntroSlides {
         if (this.eventHandlers.onSlideComplete) {
             this.eventHandlers.onSlideComplete({
                 index,
-                message: this.config.messages[index],
+                message: message.text,
+                options: message,
                 slide: currentSlide
             });
         }
@@ -332,46 +406,37 @@ class IntroSlides {
      * Add heart effect to a slide
      */
     addHeartEffect(slide) {
-        if (!slide || this.config.accessibilityMode) {
+        if (!slide || this.config.accessibilityMode || !this.config.particles) {
             return;
         }
 
-        // Create hearts container if it doesn't exist
-        let heartsContainer = slide.querySelector('.slide-hearts');
-        if (!heartsContainer) {
-            heartsContainer = document.createElement('div');
-            heartsContainer.className = 'slide-hearts';
-            heartsContainer.setAttribute('aria-hidden', 'true');
-            slide.appendChild(heartsContainer);
-        }
-
         // Add floating hearts
+        const rect = slide.getBoundingClientRect();
         const heartCount = Math.random() * 3 + 2; // 2-5 hearts
         for (let i = 0; i < heartCount; i++) {
-            setTimeout(() => {
-                this.createFloatingHeart(heartsContainer);
-            }, Math.random() * 1000);
+            this.createFloatingHeart(rect, Math.random() * 1000);
         }
     }
 
     /**
-     * Create a floating heart element
+     * Float a heart up from a random spot on the slide
      */
-    createFloatingHeart(container) {
-        const heart = document.createElement('span');
-        heart.className = 'slide-heart';
-        heart.textContent = ['💕', '💖', '💗', '💝'][Math.floor(Math.random() * 4)];
-        heart.style.left = Math.random() * 80 + 10 + '%';
-        heart.style.top = Math.random() * 80 + 10 + '%';
-
-        container.appendChild(heart);
-
-        // Remove after animation
-        setTimeout(() => {
-            if (heart.parentNode) {
-                heart.parentNode.removeChild(heart);
-            }
-        }, 3000);
+    createFloatingHeart(rect, delay = 0) {
+        const { heartLifetime } = this.config;
+
+        this.config.particles.spawn({
+            group: 'intro',
+            x: rect.left + rect.width * (Math.random() * 0.8 + 0.1),
+            y: rect.top + rect.height * (Math.random() * 0.8 + 0.1),
+            size: Math.min(32, Math.max(16, window.innerWidth * 0.03)),
+            vy: -120 / (heartLifetime / 1000),
+            life: heartLifetime,
+            delay,
+            grow: 0.1,
+            endScale: 0.8,
+            fadeStart: 0.9,
+            opacity: 0.85
+        });
     }
 
     /**
@@ -401,12 +466,20 @@ class IntroSlides {
 
         this.elements.progressBar.style.width = `${percentage}%`;
 
-        // Add step classes for styling
-        const step = Math.ceil(percentage / 20);
+        // Add step classes for styling (one step per slide, whatever the count)
+        const total = this.config.messages.length;
+        const step = Math.round(percentage / 100 * total);
         this.elements.progressBar.className = 'progress-bar';
         if (step > 0) {
             this.elements.progressBar.classList.add(`step-${step}`);
         }
+        if (step >= total) {
+            this.elements.progressBar.classList.add('step-complete');
+        }
+
+        if (this.elements.progressBar.parentElement) {
+            this.elements.progressBar.parentElement.setAttribute('aria-valuenow', String(step));
+        }
     }
 
     /**
@@ -448,12 +521,12 @@ class IntroSlides {
             await this.showSlide(i);
 
             if (i < this.config.messages.length - 1) {
-                await this.wait(this.config.slideDelay);
+                await this.wait(this.getSlideDuration(i));
             }
         }
 
         if (this.state.isPlaying && !this.state.isPaused) {
-            await this.wait(this.config.slideDelay);
+            await this.wait(this.getSlideDuration(this.config.messages.length - 1));
             this.complete();
         }
     }
@@ -612,10 +685,21 @@ class IntroSlides {
      * Update configuration
      */
     updateConfig(newConfig) {
+        const previousCount = this.config.messages.length;
         this.config = { ...this.config, ...newConfig };
 
         if (newConfig.messages) {
-            this.updateSlideMessages();
+            this.config.messages = this.normalizeMessages(newConfig.messages);
+
+            // Rebuild slides when the count changes, otherwise update text in place
+            if (this.config.messages.length !== previousCount) {
+                this.renderSlides();
+                if (!this.state.isPlaying) {
+                    this.resetSlides();
+                }
+            } else {
+                this.updateSlideMessages();
+            }
         }
     }
 
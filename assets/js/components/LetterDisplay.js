@@ -3,15 +3,33 @@
  * Displays a beautiful Valentine's Day letter with typewriter effects and animations
  *
  * Features:
- * - Animated entrance after intro slides
- * - Typewriter effect for letter content
- * - Interactive heart spawning on clicks
+ * - Animated entrance after intro slides, optionally held by a transition scene
+ * - Selectable reveal modes: instant, word typewriter, character typing,
+ *   line-by-line fade and handwriting
+ * - Pause, resume, fast-forward and skip for the reveal (keyboard, tap and on-screen controls)
+ * - Interactive heart spawning on clicks, drawn by the shared particle engine in the
+ *   letter's heart set and theme colours
  * - Customizable letter content and signature
+ * - Editable title, salutation, closing line and today or fixed date
+ * - Hand-drawn signatures written stroke by stroke, with the typed name as fallback
+ * - Polaroid-style photos between paragraphs or in a gallery under the signature
+ * - Multi-page letters split at --- breaks or fitted to the letter's height, turned with
+ *   buttons, swipes and arrow keys; each page is revealed when it is turned to
+ * - Stickers printed where they sit on the letter
  * - Responsive typography and layout
  * - Accessibility support
  * - Print functionality
+ * - Markdown-style formatting rendered through an allow-list sanitizer
  */
 
+import RichText from '../models/RichText.js';
+import RevealMode from '../models/RevealMode.js';
+import SignatureDrawing from '../models/SignatureDrawing.js';
+import LetterDate from '../models/LetterDate.js';
+import LetterDetails from '../models/LetterDetails.js';
+import PageMode from '../models/PageMode.js';
+import Sticker from '../models/Sticker.js';
+
 class LetterDisplay {
     constructor(options = {}) {
         // Default configuration
@@ -20,22 +38,47 @@ class LetterDisplay {
             letterContent: options.letterContent || '#letterText',
             signature: options.signature || '#signatureName',
             letterDate: options.letterDate || '#letterDate',
-            heartsContainer: options.heartsContainer || '#letterHeartsContainer',
+            letterTitle: options.letterTitle || '#letter-title',
+            salutation: options.salutation || '#letterSalutation',
+            closing: options.closing || '#letterClosing',
+            signatureFooter: options.signatureFooter || '.letter-signature',
 
             // Animation settings
             entranceDelay: options.entranceDelay || 300,
             typewriterSpeed: options.typewriterSpeed || 50,
             paragraphDelay: options.paragraphDelay || 200,
+            lineDelay: options.lineDelay || 400,
+            lineFadeDuration: options.lineFadeDuration || 600,
+            photoRevealDuration: options.photoRevealDuration || 600,
+            pageTurnDuration: options.pageTurnDuration || 450,
+
+            // Reveal settings
+            revealMode: RevealMode.normalize(options.revealMode),
+            punctuationPauses: { '.': 6, '!': 6, '?': 6, ',': 3, ';': 3, ':': 3 },
+
+            // Page settings
+            pageMode: PageMode.normalize(options.pageMode),
+            swipeThreshold: options.swipeThreshold || 50,
 
             // Content settings
             defaultContent: options.defaultContent || null,
             defaultSignature: options.defaultSignature || 'Your Valentine',
+            defaultTitle: options.defaultTitle || null,
+            defaultSalutation: options.defaultSalutation || '',
+            defaultClosing: options.defaultClosing || null,
+            date: LetterDate.normalize(options.date),
+            signatureDrawing: options.signatureDrawing || null,
+            signatureStrokeSpeed: options.signatureStrokeSpeed || 3,
+            photos: options.photos || [],
+            stickers: Sticker.normalizeList(options.stickers),
             enableTypewriter: options.enableTypewriter !== false,
             enableHeartEffects: options.enableHeartEffects !== false,
+            particles: options.particles || null,
 
             // Interaction settings
             clickToSpawnHearts: options.clickToSpawnHearts !== false,
             enablePrintButton: options.enablePrintButton !== false,
+            enableRevealControls: options.enableRevealControls !== false,
 
             // Accessibility
             accessibilityMode: options.accessibilityMode || false
@@ -47,6 +90,15 @@ class LetterDisplay {
             isAnimating: false,
             currentParagraph: 0,
             typewriterActive: false,
+            revealId: 0,
+            isPaused: false,
+            pausedByVisibility: false,
+            revealSkip: null,
+            currentPage: 0,
+            pageCount: 1,
+            awaitingPage: false,
+            paginatePending: false,
+            swipeStart: null,
             heartsEnabled: true,
             originalContent: null,
             customContent: null
@@ -58,27 +110,40 @@ class LetterDisplay {
             letterText: null,
             signature: null,
             letterDate: null,
-            heartsContainer: null,
+            letterTitle: null,
+            salutation: null,
+            closing: null,
+            footer: null,
             paragraphs: [],
-            printButton: null
+            printButton: null,
+            revealControls: null,
+            pageControls: null,
+            signatureDrawing: null,
+            gallery: null
         };
 
         // Event handlers
         this.eventHandlers = {
+            onBeforeShow: options.onBeforeShow || null,
             onShow: options.onShow || null,
             onHide: options.onHide || null,
             onContentComplete: options.onContentComplete || null,
-            onHeartSpawn: options.onHeartSpawn || null
+            onHeartSpawn: options.onHeartSpawn || null,
+            onHeartsToggle: options.onHeartsToggle || null,
+            onPhotoOpen: options.onPhotoOpen || null
         };
 
-        // Heart animation settings
+        // Heart animation settings (the hearts' art and colours come from the engine's particle set)
         this.heartConfig = {
-            types: ['❤️', '💕', '💖', '💗', '💝', '💘'],
-            colors: ['#e74c3c', '#f8d7da', '#ec7063', '#f1aeb5'],
             maxHearts: 10,
-            heartLifetime: 2000
+            heartLifetime: 2000,
+            riseDistance: 100,
+            backgroundRate: 0.15 // Background hearts per second
         };
 
+        // Background heart emitter, created on first show
+        this.heartEmitter = null;
+
         // Initialize the component
         this.init();
     }
@@ -112,21 +177,41 @@ class LetterDisplay {
         this.elements.letterText = document.querySelector(this.config.letterContent);
         this.elements.signature = document.querySelector(this.config.signature);
         this.elements.letterDate = document.querySelector(this.config.letterDate);
-        this.elements.heartsContainer = document.querySelector(this.config.heartsContainer);
+        this.elements.letterTitle = document.querySelector(this.config.letterTitle);
+        this.elements.salutation = document.querySelector(this.config.salutation);
+        this.elements.closing = document.querySelector(this.config.closing);
 
         if (!this.elements.letterText) {
             throw new Error('Letter text container not found');
         }
 
-        // Get paragraphs
-        this.elements.paragraphs = Array.from(
-            this.elements.letterText.querySelectorAll('p')
-        );
+        // Get paragraph blocks (paragraphs and lists)
+        this.elements.paragraphs = RichText.getBlocks(this.elements.letterText);
+
+        // Gallery for photos placed under the signature
+        const gallery = document.createElement('div');
+        gallery.className = 'letter-gallery hidden';
+        gallery.setAttribute('role', 'list');
+        gallery.setAttribute('aria-label', 'Photos');
+        this.elements.footer = this.elements.container.querySelector(this.config.signatureFooter);
+        (this.elements.footer || this.elements.letterText).after(gallery);
+        this.elements.gallery = gallery;
+
+        // Page navigation for multi-page letters
+        this.createPageControls();
+
+        // Clicking can never keep more than a handful of hearts alive
+        this.config.particles?.setGroupLimit('letter', this.heartConfig.maxHearts);
 
         // Create print button if enabled
         if (this.config.enablePrintButton) {
             this.createPrintButton();
         }
+
+        // Create reveal controls if enabled
+        if (this.config.enableRevealControls) {
+            this.createRevealControls();
+        }
     }
 
     /**
@@ -158,7 +243,11 @@ class LetterDisplay {
     setupEventListeners() {
         // Listen for intro slides completion
         document.addEventListener('introSlidesComplete', (event) => {
-            setTimeout(() => {
+            setTimeout(async () => {
+                // A transition scene (such as the envelope) can hold or cancel the entrance
+                if (this.eventHandlers.onBeforeShow && await this.eventHandlers.onBeforeShow() === false) {
+                    return;
+                }
                 this.show();
             }, this.config.entranceDelay);
         });
@@ -182,8 +271,31 @@ class LetterDisplay {
             });
         }
 
+        // Tap the letter to finish the paragraph being revealed
+        this.elements.letterText.addEventListener('click', (event) => {
+            if (this.state.typewriterActive && !event.target.closest('a, .letter-photo')) {
+                this.fastForward();
+            }
+        });
+
+        // Open photos in the lightbox
+        this.elements.container.addEventListener('click', (event) => {
+            const button = event.target.closest('.letter-photo-button');
+            if (button) {
+                this.openPhoto(button.closest('.letter-photo').dataset.photoId);
+            }
+        });
+
         // Keyboard interactions
         document.addEventListener('keydown', (event) => {
+            if (this.state.typewriterActive && this.handleRevealKeyboard(event)) {
+                return;
+            }
+
+            if (this.state.isVisible && this.handlePageKeyboard(event)) {
+                return;
+            }
+
             if (this.state.isVisible) {
                 switch (event.key) {
                     case 'p':
@@ -203,27 +315,145 @@ class LetterDisplay {
             }
         });
 
-        // Paragraph hover effects
-        this.elements.paragraphs.forEach((paragraph, index) => {
-            paragraph.addEventListener('mouseenter', () => {
-                if (this.state.heartsEnabled && !this.config.accessibilityMode) {
-                    this.createParagraphEffect(paragraph);
-                }
-            });
+        // Paragraph hover effects, delegated because setContent replaces the paragraphs
+        this.elements.letterText.addEventListener('mouseover', (event) => {
+            const paragraph = this.getParagraphAt(event.target);
+            if (!paragraph || paragraph.contains(event.relatedTarget)) return;
 
-            paragraph.addEventListener('click', () => {
-                if (this.state.heartsEnabled) {
-                    this.highlightParagraph(paragraph);
-                }
-            });
+            if (this.state.heartsEnabled && !this.config.accessibilityMode) {
+                this.createParagraphEffect(paragraph);
+            }
+        });
+
+        this.elements.letterText.addEventListener('click', (event) => {
+            const paragraph = this.getParagraphAt(event.target);
+            if (paragraph && this.state.heartsEnabled) {
+                this.highlightParagraph(paragraph);
+            }
+        });
+
+        // Swipe between pages (mouse drags are left for selecting text)
+        const letterContent = this.elements.letterText.parentElement;
+        letterContent.addEventListener('pointerdown', (event) => {
+            if (event.pointerType !== 'mouse' && event.isPrimary) {
+                this.state.swipeStart = { x: event.clientX, y: event.clientY };
+            }
+        });
+
+        letterContent.addEventListener('pointerup', (event) => {
+            const start = this.state.swipeStart;
+            this.state.swipeStart = null;
+            if (start) {
+                this.handleSwipe(event.clientX - start.x, event.clientY - start.y);
+            }
+        });
+
+        letterContent.addEventListener('pointercancel', () => {
+            this.state.swipeStart = null;
         });
 
         // Window resize handling
         window.addEventListener('resize', () => {
             this.adjustForScreenSize();
+            this.schedulePaginate();
+        });
+
+        // Hold the reveal while the tab is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.state.typewriterActive && !this.state.isPaused) {
+                this.pause();
+                this.state.pausedByVisibility = true;
+            } else if (!document.hidden && this.state.pausedByVisibility) {
+                this.resume();
+            }
         });
     }
 
+    /**
+     * Find the paragraph (or list) an event target sits in
+     */
+    getParagraphAt(target) {
+        return this.elements.paragraphs.find(paragraph => paragraph.contains(target)) || null;
+    }
+
+    /**
+     * Handle reveal shortcuts; returns true when the key was used
+     */
+    handleRevealKeyboard(event) {
+        if (this.isShortcutBlocked(event)) {
+            return false;
+        }
+
+        switch (event.key) {
+            case ' ':
+                event.preventDefault();
+                this.togglePause();
+                return true;
+            case 'ArrowRight':
+                // While the reveal waits for the next page, the arrow turns it
+                if (this.state.awaitingPage) {
+                    return false;
+                }
+                event.preventDefault();
+                this.fastForward();
+                return true;
+            case 'Escape':
+                this.skipReveal();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Handle page turning keys; returns true when the key was used
+     */
+    handlePageKeyboard(event) {
+        if (this.state.pageCount < 2 || this.isShortcutBlocked(event)) {
+            return false;
+        }
+
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'PageDown':
+                event.preventDefault();
+                this.nextPage();
+                return true;
+            case 'ArrowLeft':
+            case 'PageUp':
+                event.preventDefault();
+                this.previousPage();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Leave keys alone while typing in a field, pressing a button or using modifiers
+     */
+    isShortcutBlocked(event) {
+        return event.ctrlKey || event.metaKey || event.altKey ||
+            Boolean(event.target.closest?.('input, textarea, select, button, [contenteditable="true"]'));
+    }
+
+    /**
+     * Turn the page on a mostly horizontal swipe
+     */
+    handleSwipe(deltaX, deltaY) {
+        if (this.state.pageCount < 2 ||
+            Math.abs(deltaX) < this.config.swipeThreshold ||
+            Math.abs(deltaX) < Math.abs(deltaY) * 1.5) {
+            return;
+        }
+
+        if (deltaX < 0) {
+            this.nextPage();
+        } else {
+            this.previousPage();
+        }
+    }
+
     /**
      * Prepare letter content for display
      */
@@ -235,11 +465,22 @@ class LetterDisplay {
         if (this.config.defaultContent) {
             this.setContent(this.config.defaultContent);
         }
+        this.renderGallery();
 
         // Set signature
         if (this.elements.signature && this.config.defaultSignature) {
             this.elements.signature.textContent = this.config.defaultSignature;
         }
+        this.setSignatureDrawing(this.config.signatureDrawing);
+
+        // Set letter details
+        if (this.config.defaultTitle) {
+            this.setTitle(this.config.defaultTitle);
+        }
+        this.setSalutation(this.config.defaultSalutation);
+        if (this.config.defaultClosing) {
+            this.setClosing(this.config.defaultClosing);
+        }
 
         // Initially hide paragraphs for animation
         if (this.config.enableTypewriter || !this.config.accessibilityMode) {
@@ -258,17 +499,7 @@ class LetterDisplay {
      * Set up the current date
      */
     setupDate() {
-        if (this.elements.letterDate) {
-            const now = new Date();
-            const formattedDate = now.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-
-            this.elements.letterDate.textContent = formattedDate;
-            this.elements.letterDate.setAttribute('datetime', now.toISOString().split('T')[0]);
-        }
+        this.setDate(this.config.date);
     }
 
     /**
@@ -292,8 +523,8 @@ class LetterDisplay {
             this.state.isVisible = true;
             this.state.isAnimating = false;
 
-            // Show content immediately (no typewriter animation)
-            this.showAllContent();
+            // Reveal content in the chosen mode
+            this.revealContent();
 
             // Fire show event
             if (this.eventHandlers.onShow) {
@@ -313,10 +544,35 @@ class LetterDisplay {
     }
 
     /**
-     * Animate letter content with typewriter effect
+     * Reveal letter content using the configured reveal mode
+     */
+    revealContent() {
+        this.elements.letterText.classList.toggle('reveal-handwriting', this.config.revealMode === 'handwriting');
+
+        if (this.config.revealMode === 'instant' || !this.config.enableTypewriter) {
+            // Fit the pages now that the letter has a size to fit them to
+            this.state.currentPage = 0;
+            this.paginate();
+            this.showAllContent();
+            return;
+        }
+
+        this.animateContent();
+    }
+
+    /**
+     * Animate letter content paragraph by paragraph
      */
     async animateContent() {
+        const revealId = ++this.state.revealId;
+        const isCurrent = () => this.state.typewriterActive && this.state.revealId === revealId;
+
         this.state.typewriterActive = true;
+        this.state.isPaused = false;
+        this.state.pausedByVisibility = false;
+        this.state.revealSkip = null;
+        this.resetReveal();
+        this.updateRevealControls();
 
         // Remove pre-typewriter class to allow animations
         const letterContent = this.elements.letterText.parentElement;
@@ -324,16 +580,49 @@ class LetterDisplay {
             letterContent.classList.remove('pre-typewriter');
         }
 
-        for (let i = 0; i < this.elements.paragraphs.length; i++) {
-            if (!this.state.typewriterActive) break;
+        const paragraphs = this.elements.paragraphs;
+        for (let i = 0; i < paragraphs.length; i++) {
+            if (!isCurrent() || this.state.revealSkip === 'all') break;
+
+            const paragraph = paragraphs[i];
+            const page = this.getBlockPage(paragraph);
+
+            // Each page is revealed once the reader turns to it
+            if (page > this.state.currentPage) {
+                await this.waitForPageTurn(page);
+                if (!isCurrent() || this.state.revealSkip === 'all') break;
+            }
+
+            // Pages turned past before they finished are shown in full
+            if (page < this.state.currentPage) {
+                this.showBlock(paragraph);
+                paragraph.classList.add('typed-complete');
+                continue;
+            }
 
-            const paragraph = this.elements.paragraphs[i];
+            this.state.currentParagraph = i;
             await this.animateParagraph(paragraph, i);
 
-            // Delay before next paragraph
-            if (i < this.elements.paragraphs.length - 1) {
-                await this.wait(this.config.paragraphDelay);
+            // A fast-forward only covers the paragraph it was pressed in
+            if (this.state.revealSkip === 'paragraph') {
+                this.state.revealSkip = null;
             }
+
+            // Delay before the next paragraph on the same page
+            if (i < paragraphs.length - 1 && this.getBlockPage(paragraphs[i + 1]) === page) {
+                await this.revealWait(this.config.paragraphDelay);
+            }
+        }
+
+        // A hide or replay during the reveal cancels it without completing
+        if (!isCurrent()) return;
+
+        // Skipping shows every remaining paragraph at once
+        if (this.state.revealSkip === 'all') {
+            this.elements.paragraphs.forEach(paragraph => {
+                this.showBlock(paragraph);
+                paragraph.classList.add('typed-complete');
+            });
         }
 
         // Animate signature
@@ -341,7 +630,22 @@ class LetterDisplay {
             await this.animateSignature();
         }
 
+        // Then the photo gallery
+        if (isCurrent()) {
+            await this.revealGallery();
+        }
+
+        if (!isCurrent()) return;
         this.state.typewriterActive = false;
+        this.state.isPaused = false;
+        this.state.pausedByVisibility = false;
+        this.state.revealSkip = null;
+        this.updateRevealControls();
+
+        // Refit pages the window was resized for during the reveal
+        if (this.state.paginatePending) {
+            this.paginate();
+        }
 
         if (this.eventHandlers.onContentComplete) {
             this.eventHandlers.onContentComplete();
@@ -349,251 +653,643 @@ class LetterDisplay {
     }
 
     /**
-     * Animate a single paragraph with typewriter effect
+     * Hold the reveal until the reader turns to a page
      */
-    async animateParagraph(paragraph, index) {
-        const originalText = paragraph.textContent;
-        const words = originalText.split(' ');
-
-        // Show paragraph container
-        paragraph.style.visibility = 'visible';
-        paragraph.style.opacity = '1';
-        paragraph.style.transform = 'translateY(0)';
-        paragraph.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+    async waitForPageTurn(page) {
+        this.state.awaitingPage = true;
+        this.updatePageControls();
 
-        // Clear content for typewriter
-        paragraph.textContent = '';
+        while (this.state.typewriterActive && this.state.revealSkip !== 'all' && this.state.currentPage < page) {
+            await new Promise(resolve => {
+                this.wakeReveal = resolve;
+            });
+        }
 
-        // Add typewriter cursor
-        const cursor = document.createElement('span');
-        cursor.className = 'typewriter-cursor';
-        cursor.textContent = '|';
-        cursor.style.animation = 'blink 1s infinite';
-        paragraph.appendChild(cursor);
+        this.state.awaitingPage = false;
+        this.updatePageControls();
+    }
 
-        // Type words progressively
-        for (let i = 0; i < words.length; i++) {
-            if (!this.state.typewriterActive) break;
+    /**
+     * Wait between reveal steps, holding while paused and hurrying when skipped
+     */
+    async revealWait(duration) {
+        if (!this.state.revealSkip) {
+            await this.wait(duration);
+        }
 
-            const currentText = words.slice(0, i + 1).join(' ');
-            paragraph.childNodes[0].textContent = currentText + ' ';
+        while (this.state.isPaused && this.state.typewriterActive && !this.state.revealSkip) {
+            await new Promise(resolve => {
+                this.wakeReveal = resolve;
+            });
+        }
+    }
 
-            // Variable speed based on punctuation
-            const word = words[i];
-            const delay = word.includes('.') || word.includes('!') || word.includes('?')
-                ? this.config.typewriterSpeed * 3
-                : this.config.typewriterSpeed;
+    /**
+     * Check whether a paragraph reveal should keep stepping
+     */
+    isRevealing(paragraph) {
+        return this.state.typewriterActive && !this.state.revealSkip && paragraph.isConnected;
+    }
 
-            await this.wait(delay);
+    /**
+     * Release a reveal step waiting on pause
+     */
+    wake() {
+        if (this.wakeReveal) {
+            const wakeReveal = this.wakeReveal;
+            this.wakeReveal = null;
+            wakeReveal();
         }
+    }
 
-        // Remove cursor
-        cursor.remove();
-        paragraph.textContent = originalText;
+    /**
+     * Cancel the reveal in progress without completing it
+     */
+    stopReveal() {
+        this.state.typewriterActive = false;
+        this.state.isPaused = false;
+        this.state.pausedByVisibility = false;
+        this.elements.container?.classList.remove('reveal-paused');
+        this.updateRevealControls();
+        this.wake();
+    }
 
-        // Ensure full visibility after typing
-        paragraph.style.opacity = '1';
-        paragraph.style.visibility = 'visible';
-        paragraph.style.transform = 'translateY(0)';
-        paragraph.classList.add('typed-complete');
+    /**
+     * Pause the reveal
+     */
+    pause() {
+        if (!this.state.typewriterActive || this.state.isPaused) return;
 
-        // Add subtle completion effect
-        paragraph.style.animation = 'paragraph-complete 0.3s ease';
+        this.state.isPaused = true;
+        this.elements.container.classList.add('reveal-paused');
+        this.updateRevealControls();
     }
 
     /**
-     * Animate signature
+     * Resume a paused reveal
      */
-    async animateSignature() {
-        if (!this.elements.signature) return;
+    resume() {
+        this.state.pausedByVisibility = false;
+        if (!this.state.isPaused) return;
+
+        this.state.isPaused = false;
+        this.elements.container.classList.remove('reveal-paused');
+        this.updateRevealControls();
+        this.wake();
+    }
 
-        // Show signature text first
-        const signatureText = this.elements.container.querySelector('.signature-text');
-        if (signatureText) {
-            signatureText.style.opacity = '1';
-            signatureText.style.visibility = 'visible';
+    /**
+     * Toggle between paused and playing
+     */
+    togglePause() {
+        if (this.state.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
         }
+    }
 
-        // Then show signature name
-        this.elements.signature.style.opacity = '1';
-        this.elements.signature.style.visibility = 'visible';
-        this.elements.signature.style.transform = 'translateX(0) scale(1)';
-        this.elements.signature.style.transition = 'all 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
+    /**
+     * Finish the paragraph being revealed; a paused reveal stays paused afterwards
+     */
+    fastForward() {
+        if (!this.state.typewriterActive || this.state.revealSkip || this.state.awaitingPage) return;
 
-        // Add heart after signature
-        setTimeout(() => {
-            const heart = this.elements.signature.querySelector('::after') ||
-                         document.createElement('span');
-            if (!heart.parentElement) {
-                heart.textContent = ' 💕';
-                heart.style.opacity = '0';
-                heart.style.animation = 'heartPulse 2s ease-in-out infinite';
-                this.elements.signature.appendChild(heart);
-
-                setTimeout(() => {
-                    heart.style.opacity = '1';
-                }, 500);
-            }
-        }, 1000);
+        this.state.revealSkip = 'paragraph';
+        this.wake();
     }
 
     /**
-     * Show all content immediately (no typewriter animation)
+     * Show the rest of the letter at once
      */
-    showAllContent() {
-        // Remove pre-typewriter class
-        const letterContent = this.elements.letterText.parentElement;
-        if (letterContent) {
-            letterContent.classList.remove('pre-typewriter');
-        }
+    skipReveal() {
+        if (!this.state.typewriterActive) return;
 
-        // Show all paragraphs immediately
-        this.elements.paragraphs.forEach(paragraph => {
-            paragraph.style.visibility = 'visible';
-            paragraph.style.opacity = '1';
-            paragraph.style.transform = 'translateY(0)';
-            paragraph.classList.add('typed-complete');
-            paragraph.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+        this.state.revealSkip = 'all';
+        this.resume();
+        this.wake();
+    }
+
+    /**
+     * Re-render and hide the content so a replay never reveals over old text
+     */
+    resetReveal() {
+        this.state.currentPage = 0;
+        this.renderContent();
+
+        [...this.elements.paragraphs, ...this.getGalleryPhotos()].forEach(paragraph => {
+            paragraph.style.opacity = '0';
+            paragraph.style.visibility = 'hidden';
+            paragraph.style.transform = 'translateY(20px)';
         });
 
-        // Show signature immediately
-        const signatureText = this.elements.container.querySelector('.signature-text');
-        if (signatureText) {
-            signatureText.style.opacity = '1';
-            signatureText.style.visibility = 'visible';
-        }
+        [this.elements.closing, this.elements.signature].forEach(element => {
+            if (element) {
+                element.style.opacity = '0';
+                element.style.visibility = 'hidden';
+                element.style.transition = '';
+            }
+        });
 
-        if (this.elements.signature) {
-            this.elements.signature.style.opacity = '1';
-            this.elements.signature.style.visibility = 'visible';
-            this.elements.signature.style.transform = 'translateX(0) scale(1)';
+        // Hide each drawn stroke behind a dash as long as the stroke
+        this.getSignatureStrokes().forEach(stroke => {
+            const length = this.getStrokeLength(stroke);
+            stroke.style.animation = 'none';
+            stroke.style.strokeDasharray = `${length}`;
+            stroke.style.strokeDashoffset = `${length}`;
+        });
+    }
+
+    /**
+     * Reveal a single paragraph block in the configured mode
+     */
+    async animateParagraph(paragraph, index) {
+        if (paragraph.classList.contains('letter-photo')) {
+            await this.revealPhoto(paragraph);
+            return;
         }
 
-        if (this.eventHandlers.onContentComplete) {
-            this.eventHandlers.onContentComplete();
+        switch (this.config.revealMode) {
+            case 'char':
+                await this.typeParagraph(paragraph, 'char');
+                break;
+            case 'line':
+                await this.fadeInLines(paragraph);
+                break;
+            case 'handwriting':
+                await this.handwriteParagraph(paragraph);
+                break;
+            default:
+                await this.typeParagraph(paragraph, 'word');
         }
+
+        // Ensure full visibility after the reveal
+        this.showBlock(paragraph);
+        paragraph.classList.add('typed-complete');
     }
 
     /**
-     * Hide the letter
+     * Make a paragraph block visible
      */
-    hide() {
-        if (!this.state.isVisible) return;
-
-        this.elements.container.classList.add('page-exit');
+    showBlock(paragraph) {
+        paragraph.style.visibility = 'visible';
+        paragraph.style.opacity = '1';
+        paragraph.style.transform = 'translateY(0)';
+        paragraph.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+    }
 
-        setTimeout(() => {
-            this.elements.container.classList.add('hidden');
-            this.elements.container.classList.remove('visible', 'page-enter', 'page-exit');
-            this.state.isVisible = false;
+    /**
+     * Fade a photo in as its own step of the reveal
+     */
+    async revealPhoto(figure) {
+        figure.style.transition = `opacity ${this.config.photoRevealDuration}ms ease, transform ${this.config.photoRevealDuration}ms ease`;
+        figure.style.visibility = 'visible';
+        figure.style.opacity = '1';
+        figure.style.transform = '';
+        figure.classList.add('typed-complete');
+
+        await this.revealWait(this.config.photoRevealDuration);
+    }
 
-            if (this.eventHandlers.onHide) {
-                this.eventHandlers.onHide();
+    /**
+     * Reveal the gallery photos one after another
+     */
+    async revealGallery() {
+        for (const figure of this.getGalleryPhotos()) {
+            if (this.state.typewriterActive && !this.state.revealSkip) {
+                await this.revealPhoto(figure);
+            } else {
+                this.showBlock(figure);
             }
-        }, 600);
+        }
     }
 
     /**
-     * Spawn a heart at specific coordinates
+     * Get the photos in the gallery under the signature
      */
-    spawnHeart(x, y) {
-        if (!this.elements.heartsContainer || !this.state.heartsEnabled) return;
+    getGalleryPhotos() {
+        return this.elements.gallery ? Array.from(this.elements.gallery.children) : [];
+    }
 
-        const heart = document.createElement('div');
-        heart.className = 'letter-heart';
+    /**
+     * Type a block word by word or character by character, keeping its formatting
+     */
+    async typeParagraph(paragraph, unit) {
+        // Type into the existing text nodes, then restore the formatted markup
+        const originalHTML = paragraph.innerHTML;
+        const textNodes = this.getTextNodes(paragraph);
+        const texts = textNodes.map(node => node.textContent);
+        textNodes.forEach(node => {
+            node.textContent = '';
+        });
 
-        // Random heart type
-        heart.textContent = this.heartConfig.types[
-            Math.floor(Math.random() * this.heartConfig.types.length)
-        ];
+        this.showBlock(paragraph);
 
-        // Position relative to container
-        const containerRect = this.elements.container.getBoundingClientRect();
-        const relativeX = x - containerRect.left;
-        const relativeY = y - containerRect.top;
+        // Add typewriter cursor
+        const cursor = document.createElement('span');
+        cursor.className = 'typewriter-cursor';
+        cursor.textContent = '|';
+        cursor.setAttribute('aria-hidden', 'true');
 
-        heart.style.left = relativeX + 'px';
-        heart.style.top = relativeY + 'px';
+        for (let n = 0; n < textNodes.length; n++) {
+            const node = textNodes[n];
+            node.after(cursor);
 
-        // Random color
-        heart.style.color = this.heartConfig.colors[
-            Math.floor(Math.random() * this.heartConfig.colors.length)
-        ];
+            const tokens = unit === 'char'
+                ? this.splitCharacters(texts[n])
+                : texts[n].split(/(\s+)/).filter(Boolean);
 
-        this.elements.heartsContainer.appendChild(heart);
+            for (const token of tokens) {
+                if (!this.isRevealing(paragraph)) break;
 
-        // Remove after animation
-        setTimeout(() => {
-            if (heart.parentNode) {
-                heart.parentNode.removeChild(heart);
+                node.textContent += token;
+                if (token.trim()) {
+                    await this.revealWait(this.getTypingDelay(token, unit));
+                }
             }
-        }, this.heartConfig.heartLifetime);
-
-        // Fire heart spawn event
-        if (this.eventHandlers.onHeartSpawn) {
-            this.eventHandlers.onHeartSpawn({ x: relativeX, y: relativeY, element: heart });
         }
+
+        // Remove cursor
+        cursor.remove();
+        paragraph.innerHTML = originalHTML;
     }
 
     /**
-     * Create subtle effect for paragraph hover
+     * Fade a block in one visual line at a time
      */
-    createParagraphEffect(paragraph) {
-        const rect = paragraph.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
+    async fadeInLines(paragraph) {
+        const originalHTML = paragraph.innerHTML;
+        const words = this.wrapWords(paragraph);
 
-        // Create small hearts around the paragraph
-        for (let i = 0; i < 3; i++) {
-            setTimeout(() => {
-                const offsetX = (Math.random() - 0.5) * 100;
-                const offsetY = (Math.random() - 0.5) * 50;
-                this.spawnHeart(centerX + offsetX, centerY + offsetY);
-            }, i * 100);
+        words.forEach(word => {
+            word.style.opacity = '0';
+            word.style.transition = `opacity ${this.config.lineFadeDuration}ms ease`;
+        });
+        this.showBlock(paragraph);
+
+        for (const line of this.groupByLine(words)) {
+            if (!this.isRevealing(paragraph)) break;
+
+            line.forEach(word => {
+                word.style.opacity = '1';
+            });
+            await this.revealWait(this.config.lineDelay);
         }
+
+        // Let the last line finish fading before restoring the markup
+        await this.revealWait(this.config.lineFadeDuration);
+        paragraph.innerHTML = originalHTML;
     }
 
     /**
-     * Highlight a paragraph when clicked
+     * Reveal a block word by word behind a left-to-right pen mask
      */
-    highlightParagraph(paragraph) {
-        // Remove existing highlights
-        this.elements.paragraphs.forEach(p => {
-            p.classList.remove('highlighted');
+    async handwriteParagraph(paragraph) {
+        const originalHTML = paragraph.innerHTML;
+        const words = this.wrapWords(paragraph);
+
+        words.forEach(word => {
+            word.classList.add('handwriting-word');
         });
+        this.showBlock(paragraph);
 
-        // Add highlight to clicked paragraph
-        paragraph.classList.add('highlighted');
+        for (const word of words) {
+            if (!this.isRevealing(paragraph)) break;
 
-        setTimeout(() => {
-            paragraph.classList.remove('highlighted');
-        }, 2000);
+            const duration = this.splitCharacters(word.textContent).length * this.getCharSpeed() * 2;
+            word.style.animationDuration = `${duration}ms`;
+            word.classList.add('writing');
+            await this.revealWait(duration + this.getTypingDelay(word.textContent, 'char'));
+        }
+
+        paragraph.innerHTML = originalHTML;
     }
 
     /**
-     * Start background heart effects
+     * Collect the text nodes inside a block in document order
      */
-    startBackgroundHearts() {
-        if (!this.config.enableHeartEffects || this.config.accessibilityMode) return;
+    getTextNodes(element) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+        return nodes;
+    }
 
-        const spawnBackgroundHeart = () => {
-            if (!this.state.isVisible || !this.state.heartsEnabled) return;
+    /**
+     * Wrap every word of a block in a span, keeping whitespace and formatting
+     */
+    wrapWords(element) {
+        const words = [];
 
-            const containerRect = this.elements.container.getBoundingClientRect();
-            const x = Math.random() * containerRect.width;
-            const y = containerRect.height * 0.8 + Math.random() * containerRect.height * 0.2;
+        this.getTextNodes(element).forEach(node => {
+            const fragment = document.createDocumentFragment();
 
-            this.spawnHeart(x + containerRect.left, y + containerRect.top);
-        };
+            node.textContent.split(/(\s+)/).filter(Boolean).forEach(part => {
+                if (!part.trim()) {
+                    fragment.appendChild(document.createTextNode(part));
+                    return;
+                }
+
+                const word = document.createElement('span');
+                word.className = 'reveal-word';
+                word.textContent = part;
+                fragment.appendChild(word);
+                words.push(word);
+            });
+
+            node.replaceWith(fragment);
+        });
+
+        return words;
+    }
+
+    /**
+     * Group word spans into visual lines by their vertical position
+     */
+    groupByLine(words) {
+        const lines = [];
+        let lastTop = null;
+
+        words.forEach(word => {
+            const top = Math.round(word.getBoundingClientRect().top);
+            if (lastTop === null || Math.abs(top - lastTop) > 2) {
+                lines.push([]);
+                lastTop = top;
+            }
+            lines[lines.length - 1].push(word);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Split text into user-perceived characters (emoji stay whole)
+     */
+    splitCharacters(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            return Array.from(new Intl.Segmenter().segment(text), segment => segment.segment);
+        }
+        return Array.from(text);
+    }
+
+    /**
+     * Delay per typed character
+     */
+    getCharSpeed() {
+        return Math.max(8, Math.round(this.config.typewriterSpeed / 3));
+    }
+
+    /**
+     * Delay after a typed word or character, pausing longer after punctuation
+     */
+    getTypingDelay(token, unit) {
+        const pause = this.config.punctuationPauses[token.trim().slice(-1)] || 1;
+
+        if (unit === 'char') {
+            return this.getCharSpeed() * pause;
+        }
+
+        // Words pause briefly at the end of a sentence
+        return /[.!?]/.test(token) ? this.config.typewriterSpeed * 3 : this.config.typewriterSpeed;
+    }
+
+    /**
+     * Animate signature
+     */
+    async animateSignature() {
+        if (!this.elements.signature) return;
+
+        // Show the closing line first
+        if (this.elements.closing) {
+            this.elements.closing.style.opacity = '1';
+            this.elements.closing.style.visibility = 'visible';
+        }
+
+        // Then show signature name
+        this.elements.signature.style.opacity = '1';
+        this.elements.signature.style.visibility = 'visible';
+        this.elements.signature.style.transform = 'translateX(0) scale(1)';
+        this.elements.signature.style.transition = 'all 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
+
+        if (this.elements.signatureDrawing) {
+            await this.drawSignature();
+            return;
+        }
+
+        // Let the signature settle before the reveal counts as complete
+        await this.revealWait(800);
+    }
+
+    /**
+     * Write the drawn signature one stroke at a time
+     */
+    async drawSignature() {
+        for (const stroke of this.getSignatureStrokes()) {
+            if (!this.state.typewriterActive || this.state.revealSkip) break;
+
+            // Longer strokes take longer to write, within limits
+            const length = this.getStrokeLength(stroke);
+            const duration = Math.round(Math.min(1200, Math.max(120, length * this.config.signatureStrokeSpeed)));
+            stroke.style.animation = `signatureStroke ${duration}ms linear forwards`;
+            await this.revealWait(duration);
+        }
+
+        this.showSignatureStrokes();
+    }
+
+    /**
+     * Get the strokes of the drawn signature
+     */
+    getSignatureStrokes() {
+        return this.elements.signatureDrawing
+            ? Array.from(this.elements.signatureDrawing.querySelectorAll('.signature-stroke'))
+            : [];
+    }
+
+    /**
+     * Measure a stroke, estimating where the browser cannot
+     */
+    getStrokeLength(stroke) {
+        if (typeof stroke.getTotalLength === 'function') {
+            try {
+                return Math.ceil(stroke.getTotalLength()) + 1;
+            } catch (error) {
+                // Fall through to the estimate for unrendered paths
+            }
+        }
+        return Math.ceil(SignatureDrawing.estimateLength(stroke.getAttribute('d') || '')) + 1;
+    }
+
+    /**
+     * Show every drawn stroke in full
+     */
+    showSignatureStrokes() {
+        this.getSignatureStrokes().forEach(stroke => {
+            stroke.style.animation = '';
+            stroke.style.strokeDasharray = '';
+            stroke.style.strokeDashoffset = '';
+        });
+    }
+
+    /**
+     * Show all content immediately (no typewriter animation)
+     */
+    showAllContent() {
+        // Remove pre-typewriter class
+        const letterContent = this.elements.letterText.parentElement;
+        if (letterContent) {
+            letterContent.classList.remove('pre-typewriter');
+        }
+
+        // Show all paragraphs and photos immediately
+        [...this.elements.paragraphs, ...this.getGalleryPhotos()].forEach(paragraph => {
+            paragraph.style.visibility = 'visible';
+            paragraph.style.opacity = '1';
+            paragraph.style.transform = 'translateY(0)';
+            paragraph.classList.add('typed-complete');
+            paragraph.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+        });
+
+        // Show signature immediately
+        if (this.elements.closing) {
+            this.elements.closing.style.opacity = '1';
+            this.elements.closing.style.visibility = 'visible';
+        }
+
+        if (this.elements.signature) {
+            this.elements.signature.style.opacity = '1';
+            this.elements.signature.style.visibility = 'visible';
+            this.elements.signature.style.transform = 'translateX(0) scale(1)';
+        }
+        this.showSignatureStrokes();
+
+        if (this.eventHandlers.onContentComplete) {
+            this.eventHandlers.onContentComplete();
+        }
+    }
+
+    /**
+     * Hide the letter
+     */
+    hide() {
+        if (!this.state.isVisible) return;
+
+        // Cancel any reveal in progress
+        this.stopReveal();
+
+        // No background hearts while the letter is away
+        this.heartEmitter?.stop();
+
+        this.elements.container.classList.add('page-exit');
+
+        setTimeout(() => {
+            this.elements.container.classList.add('hidden');
+            this.elements.container.classList.remove('visible', 'page-enter', 'page-exit');
+            this.state.isVisible = false;
 
-        // Spawn hearts periodically
-        this.heartInterval = setInterval(() => {
-            if (Math.random() < 0.3) { // 30% chance every interval
-                spawnBackgroundHeart();
+            if (this.eventHandlers.onHide) {
+                this.eventHandlers.onHide();
             }
+        }, 600);
+    }
+
+    /**
+     * Spawn a heart at viewport coordinates, optionally after a delay
+     */
+    spawnHeart(x, y, delay = 0) {
+        if (!this.config.particles || !this.state.heartsEnabled) return;
+
+        const { heartLifetime, riseDistance } = this.heartConfig;
+
+        const particle = this.config.particles.spawn({
+            group: 'letter',
+            x,
+            y,
+            size: this.getHeartSize(),
+            vy: -riseDistance / (heartLifetime / 1000),
+            spin: (Math.random() - 0.5) * 30,
+            life: heartLifetime,
+            delay,
+            endScale: 1.1,
+            fadeStart: 0.85
+        });
+
+        // Fire heart spawn event (positions relative to the letter, as before)
+        if (particle && this.eventHandlers.onHeartSpawn) {
+            const containerRect = this.elements.container.getBoundingClientRect();
+            this.eventHandlers.onHeartSpawn({ x: x - containerRect.left, y: y - containerRect.top, particle });
+        }
+    }
+
+    /**
+     * Get the heart size for the current screen width (matches --heart-size)
+     */
+    getHeartSize() {
+        return Math.min(40, Math.max(20, window.innerWidth * 0.03));
+    }
+
+    /**
+     * Create subtle effect for paragraph hover
+     */
+    createParagraphEffect(paragraph) {
+        const rect = paragraph.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+
+        // Create small hearts around the paragraph
+        for (let i = 0; i < 3; i++) {
+            const offsetX = (Math.random() - 0.5) * 100;
+            const offsetY = (Math.random() - 0.5) * 50;
+            this.spawnHeart(centerX + offsetX, centerY + offsetY, i * 100);
+        }
+    }
+
+    /**
+     * Highlight a paragraph when clicked
+     */
+    highlightParagraph(paragraph) {
+        // Remove existing highlights
+        this.elements.paragraphs.forEach(p => {
+            p.classList.remove('highlighted');
+        });
+
+        // Add highlight to clicked paragraph
+        paragraph.classList.add('highlighted');
+
+        setTimeout(() => {
+            paragraph.classList.remove('highlighted');
         }, 2000);
     }
 
+    /**
+     * Start background heart effects
+     */
+    startBackgroundHearts() {
+        if (!this.config.enableHeartEffects || this.config.accessibilityMode || !this.config.particles) return;
+
+        if (!this.heartEmitter) {
+            this.heartEmitter = this.config.particles.createEmitter({
+                rate: this.heartConfig.backgroundRate,
+                autoStart: false,
+                spawnParticle: () => {
+                    if (!this.state.isVisible || !this.state.heartsEnabled) return null;
+
+                    // Hearts rise from the lower part of the letter
+                    const containerRect = this.elements.container.getBoundingClientRect();
+                    const x = Math.random() * containerRect.width;
+                    const y = containerRect.height * 0.8 + Math.random() * containerRect.height * 0.2;
+
+                    this.spawnHeart(x + containerRect.left, y + containerRect.top);
+                    return null;
+                }
+            });
+        }
+
+        this.heartEmitter.start();
+    }
+
     /**
      * Toggle heart effects on/off
      */
@@ -601,43 +1297,323 @@ class LetterDisplay {
         this.state.heartsEnabled = !this.state.heartsEnabled;
 
         if (!this.state.heartsEnabled) {
-            // Clear existing hearts
-            if (this.elements.heartsContainer) {
-                this.elements.heartsContainer.innerHTML = '';
+            // Clear existing hearts and stop new ones
+            this.config.particles?.clear('letter');
+            this.heartEmitter?.stop();
+        } else {
+            this.startBackgroundHearts();
+        }
+
+        if (this.eventHandlers.onHeartsToggle) {
+            this.eventHandlers.onHeartsToggle(this.state.heartsEnabled);
+        }
+    }
+
+    /**
+     * Set custom letter content (markdown-style text, a list of paragraphs, or { html })
+     */
+    setContent(content) {
+        if (!this.elements.letterText) return;
+
+        this.state.customContent = content;
+        this.renderContent();
+    }
+
+    /**
+     * Render the letter content with its inline photos
+     */
+    renderContent() {
+        this.elements.letterText.innerHTML = this.getContentHTML();
+        this.insertInlinePhotos(this.elements.letterText, true);
+
+        // Update paragraph blocks (photos are revealed as blocks of their own)
+        this.elements.paragraphs = RichText.getBlocks(this.elements.letterText);
+        this.paginate();
+    }
+
+    /**
+     * Place inline photos after the paragraph they follow (the last one when the letter is shorter)
+     */
+    insertInlinePhotos(container, interactive) {
+        const blocks = RichText.getBlocks(container);
+
+        this.config.photos.filter(photo => photo.placement === 'inline').forEach(photo => {
+            const figure = this.createPhotoFigure(photo, interactive);
+            let anchor = blocks[Math.min(photo.afterParagraph, blocks.length) - 1];
+            if (!anchor) {
+                container.appendChild(figure);
+                return;
             }
 
-            // Clear interval
-            if (this.heartInterval) {
-                clearInterval(this.heartInterval);
+            // Several photos after one paragraph keep their order
+            while (anchor.nextElementSibling?.classList.contains('letter-photo')) {
+                anchor = anchor.nextElementSibling;
+            }
+            anchor.after(figure);
+        });
+    }
+
+    /**
+     * Split the letter into pages at page breaks and, in auto mode, wherever a page is full
+     */
+    paginate() {
+        const paged = PageMode.isPaged(this.config.pageMode);
+        const children = Array.from(this.elements.letterText.children);
+        this.state.paginatePending = false;
+
+        // Measure with every block in place
+        children.forEach(child => child.classList.remove('off-page'));
+        this.elements.letterText.classList.toggle('paged', paged);
+        this.elements.letterText.parentElement.classList.toggle('paged', paged);
+
+        const pageHeight = this.config.pageMode === 'auto' ? this.getPageHeight() : Infinity;
+        let available = pageHeight - (this.elements.salutation?.offsetHeight || 0);
+        let page = 0;
+        let used = 0;
+        let breakPending = false;
+        let hasBlocks = false;
+
+        children.forEach(child => {
+            if (RichText.isPageBreak(child)) {
+                breakPending = paged;
+                child.dataset.page = String(page);
+                return;
+            }
+
+            const height = pageHeight === Infinity ? 0 : this.getBlockHeight(child);
+            if (hasBlocks && (breakPending || used + height > available)) {
+                page++;
+                used = 0;
+                available = pageHeight;
+            }
+
+            breakPending = false;
+            hasBlocks = true;
+            used += height;
+            child.dataset.page = String(page);
+        });
+
+        this.state.pageCount = page + 1;
+        this.showPage(Math.min(this.state.currentPage, page));
+    }
+
+    /**
+     * Get the height a page of text can fill, or Infinity when the letter is not laid out
+     */
+    getPageHeight() {
+        const letterContent = this.elements.letterText.parentElement;
+        const style = window.getComputedStyle(letterContent);
+        const boxHeight = parseFloat(style.maxHeight) || letterContent.clientHeight;
+        const height = boxHeight - (parseFloat(style.paddingTop) || 0) - (parseFloat(style.paddingBottom) || 0);
+
+        return height > 0 ? height : Infinity;
+    }
+
+    /**
+     * Measure a block including its margins
+     */
+    getBlockHeight(block) {
+        const style = window.getComputedStyle(block);
+        return block.getBoundingClientRect().height +
+            (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0);
+    }
+
+    /**
+     * Get the page a block belongs to
+     */
+    getBlockPage(block) {
+        return Number(block.dataset.page) || 0;
+    }
+
+    /**
+     * Refit pages to a resized window once resizing settles
+     */
+    schedulePaginate() {
+        if (this.config.pageMode !== 'auto') return;
+
+        clearTimeout(this.paginateTimeout);
+        this.paginateTimeout = setTimeout(() => {
+            // Blocks mid-reveal measure short, so wait for the reveal to finish
+            if (this.state.typewriterActive) {
+                this.state.paginatePending = true;
+            } else {
+                this.paginate();
             }
+        }, 200);
+    }
+
+    /**
+     * Set how the letter is split into pages
+     */
+    setPageMode(mode) {
+        this.config.pageMode = PageMode.normalize(mode);
+        if (!this.elements.letterText) return;
+
+        this.state.currentPage = 0;
+        this.paginate();
+    }
+
+    /**
+     * Show one page; the salutation sits on the first page and the signature on the last
+     */
+    showPage(page, direction = null) {
+        const isPaged = this.state.pageCount > 1;
+        const isLast = page === this.state.pageCount - 1;
+        this.state.currentPage = page;
+
+        Array.from(this.elements.letterText.children).forEach(child => {
+            child.classList.toggle('off-page', isPaged && this.getBlockPage(child) !== page);
+        });
+        this.elements.salutation?.classList.toggle('off-page', page !== 0);
+        this.elements.footer?.classList.toggle('off-page', !isLast);
+        this.elements.gallery?.classList.toggle('off-page', !isLast);
+
+        this.elements.letterText.parentElement.scrollTop = 0;
+        if (direction && !this.config.accessibilityMode) {
+            this.playPageTurn(direction);
+        }
+
+        this.updatePageControls();
+    }
+
+    /**
+     * Turn to a page, finishing the paragraph being revealed when turning forward
+     */
+    goToPage(page) {
+        const target = Math.max(0, Math.min(page, this.state.pageCount - 1));
+        const current = this.state.currentPage;
+        if (target === current) return;
+
+        const revealing = this.elements.paragraphs[this.state.currentParagraph];
+        if (target > current && revealing && this.getBlockPage(revealing) < target) {
+            this.fastForward();
+        }
+
+        this.showPage(target, target > current ? 'forward' : 'back');
+        this.wake();
+    }
+
+    /**
+     * Turn to the next page
+     */
+    nextPage() {
+        this.goToPage(this.state.currentPage + 1);
+    }
+
+    /**
+     * Turn back to the previous page
+     */
+    previousPage() {
+        this.goToPage(this.state.currentPage - 1);
+    }
+
+    /**
+     * Play the page-turn animation in a direction
+     */
+    playPageTurn(direction) {
+        const letterContent = this.elements.letterText.parentElement;
+
+        // Restart the animation when pages are turned quickly
+        letterContent.classList.remove('page-turn-forward', 'page-turn-back');
+        void letterContent.offsetWidth;
+        letterContent.style.animationDuration = `${this.config.pageTurnDuration}ms`;
+        letterContent.classList.add(`page-turn-${direction}`);
+
+        clearTimeout(this.pageTurnTimeout);
+        this.pageTurnTimeout = setTimeout(() => {
+            letterContent.classList.remove('page-turn-forward', 'page-turn-back');
+        }, this.config.pageTurnDuration);
+    }
+
+    /**
+     * Fill the gallery under the signature
+     */
+    renderGallery() {
+        if (!this.elements.gallery) return;
+
+        const photos = this.config.photos.filter(photo => photo.placement !== 'inline');
+        this.elements.gallery.replaceChildren(...photos.map(photo => {
+            const figure = this.createPhotoFigure(photo, true);
+            figure.setAttribute('role', 'listitem');
+            return figure;
+        }));
+        this.elements.gallery.classList.toggle('hidden', photos.length === 0);
+    }
+
+    /**
+     * Build a polaroid frame for a photo; interactive frames open the lightbox
+     */
+    createPhotoFigure(photo, interactive) {
+        const figure = document.createElement('figure');
+        figure.className = 'letter-photo';
+        figure.dataset.photoId = photo.id;
+
+        const image = document.createElement('img');
+        image.src = photo.src;
+        image.alt = photo.alt;
+        image.decoding = 'async';
+
+        if (interactive) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'letter-photo-button';
+            button.setAttribute('aria-label', `Enlarge photo: ${photo.alt}`);
+            button.appendChild(image);
+            figure.appendChild(button);
         } else {
-            this.startBackgroundHearts();
+            figure.appendChild(image);
         }
+
+        if (photo.caption) {
+            const caption = document.createElement('figcaption');
+            caption.textContent = photo.caption;
+            figure.appendChild(caption);
+        }
+
+        return figure;
     }
 
     /**
-     * Set custom letter content
+     * Set the photos shown in the letter (each with a displayable src)
      */
-    setContent(content) {
+    setPhotos(photos) {
+        this.config.photos = Array.isArray(photos) ? photos : [];
         if (!this.elements.letterText) return;
 
-        if (typeof content === 'string') {
-            // Simple text content
-            this.elements.letterText.innerHTML = `<p>${content.replace(/\n\n/g, '</p><p>')}</p>`;
-        } else if (Array.isArray(content)) {
-            // Array of paragraphs
-            this.elements.letterText.innerHTML = content.map(p => `<p>${p}</p>`).join('');
-        } else if (content.html) {
-            // HTML content
-            this.elements.letterText.innerHTML = content.html;
+        this.renderContent();
+        this.renderGallery();
+    }
+
+    /**
+     * Set the stickers included when printing (the sticker layer shows them on screen)
+     */
+    setStickers(stickers) {
+        this.config.stickers = Sticker.normalizeList(stickers);
+    }
+
+    /**
+     * Ask for a photo to be shown in the lightbox
+     */
+    openPhoto(photoId) {
+        const index = this.config.photos.findIndex(photo => photo.id === photoId);
+        if (index !== -1 && this.eventHandlers.onPhotoOpen) {
+            this.eventHandlers.onPhotoOpen({ photos: this.config.photos, index });
         }
+    }
 
-        // Update paragraphs array
-        this.elements.paragraphs = Array.from(
-            this.elements.letterText.querySelectorAll('p')
-        );
+    /**
+     * Get the sanitized HTML for the current letter content
+     */
+    getContentHTML() {
+        const content = this.state.customContent;
 
-        this.state.customContent = content;
+        if (content === null || content === undefined) {
+            return RichText.sanitize(this.state.originalContent || '');
+        }
+        if (content.html !== undefined) {
+            return RichText.sanitize(content.html);
+        }
+        return RichText.render(content);
     }
 
     /**
@@ -649,6 +1625,66 @@ class LetterDisplay {
         }
     }
 
+    /**
+     * Set the letter title
+     */
+    setTitle(title) {
+        if (this.elements.letterTitle) {
+            this.elements.letterTitle.textContent = title;
+        }
+    }
+
+    /**
+     * Set the opening salutation (empty hides it)
+     */
+    setSalutation(salutation) {
+        if (this.elements.salutation) {
+            this.elements.salutation.textContent = salutation || '';
+            this.elements.salutation.classList.toggle('hidden', !salutation);
+        }
+    }
+
+    /**
+     * Set the closing line shown above the signature
+     */
+    setClosing(closing) {
+        if (this.elements.closing) {
+            this.elements.closing.textContent = LetterDetails.formatClosing(closing);
+        }
+    }
+
+    /**
+     * Set the letter date from a today or fixed date setting
+     */
+    setDate(setting) {
+        this.config.date = LetterDate.normalize(setting);
+        if (!this.elements.letterDate) return;
+
+        const date = LetterDate.resolve(this.config.date);
+        this.elements.letterDate.textContent = LetterDate.format(date, this.config.date.format);
+        this.elements.letterDate.setAttribute('datetime', LetterDate.toValue(date));
+    }
+
+    /**
+     * Set a hand-drawn signature, or null to use the typed name
+     */
+    setSignatureDrawing(drawing) {
+        this.elements.signatureDrawing?.remove();
+        this.elements.signatureDrawing = null;
+        this.config.signatureDrawing = SignatureDrawing.isValid(drawing) ? drawing : null;
+
+        if (!this.elements.signature) return;
+
+        // The typed name stays available to screen readers behind the drawing
+        this.elements.signature.classList.toggle('sr-only', Boolean(this.config.signatureDrawing));
+        if (!this.config.signatureDrawing) return;
+
+        const svg = SignatureDrawing.createSVG(this.config.signatureDrawing);
+        svg.setAttribute('aria-hidden', 'true');
+        this.elements.signature.after(svg);
+        this.elements.signatureDrawing = svg;
+    }
+
     /**
      * Create print button
      */
@@ -672,19 +1708,172 @@ class LetterDisplay {
         }
     }
 
+    /**
+     * Create the on-screen pause, fast-forward and skip controls
+     */
+    createRevealControls() {
+        const controls = document.createElement('div');
+        controls.className = 'reveal-controls hidden';
+        controls.setAttribute('role', 'toolbar');
+        controls.setAttribute('aria-label', 'Letter reveal controls');
+
+        const buttons = [
+            { action: 'pause', icon: '⏸', label: 'Pause reveal' },
+            { action: 'forward', icon: '⏩', label: 'Finish paragraph' },
+            { action: 'skip', icon: '⏭', label: 'Show whole letter' }
+        ];
+
+        buttons.forEach(({ action, icon, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'reveal-control';
+            button.dataset.revealAction = action;
+            button.textContent = icon;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            controls.appendChild(button);
+        });
+
+        controls.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-reveal-action]');
+            if (!button) return;
+
+            switch (button.dataset.revealAction) {
+                case 'pause':
+                    this.togglePause();
+                    break;
+                case 'forward':
+                    this.fastForward();
+                    break;
+                case 'skip':
+                    this.skipReveal();
+                    break;
+            }
+        });
+
+        const letterContainer = this.elements.container.querySelector('.letter-container');
+        if (letterContainer) {
+            letterContainer.appendChild(controls);
+            this.elements.revealControls = controls;
+        }
+    }
+
+    /**
+     * Show the reveal controls while revealing and sync the pause button
+     */
+    updateRevealControls() {
+        const controls = this.elements.revealControls;
+        if (!controls) return;
+
+        controls.classList.toggle('hidden', !this.state.typewriterActive);
+
+        const pauseButton = controls.querySelector('[data-reveal-action="pause"]');
+        const label = this.state.isPaused ? 'Resume reveal' : 'Pause reveal';
+        pauseButton.textContent = this.state.isPaused ? '▶' : '⏸';
+        pauseButton.title = label;
+        pauseButton.setAttribute('aria-label', label);
+        pauseButton.setAttribute('aria-pressed', String(this.state.isPaused));
+    }
+
+    /**
+     * Create the previous and next page buttons with the page indicator
+     */
+    createPageControls() {
+        const controls = document.createElement('nav');
+        controls.className = 'page-controls hidden';
+        controls.setAttribute('aria-label', 'Letter pages');
+
+        const createButton = (action, icon, label) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'page-control';
+            button.dataset.pageAction = action;
+            button.textContent = icon;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            return button;
+        };
+
+        const indicator = document.createElement('span');
+        indicator.className = 'page-indicator';
+        indicator.setAttribute('aria-live', 'polite');
+
+        controls.append(createButton('previous', '‹', 'Previous page'), indicator, createButton('next', '›', 'Next page'));
+
+        controls.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-page-action]');
+            if (!button) return;
+
+            if (button.dataset.pageAction === 'next') {
+                this.nextPage();
+            } else {
+                this.previousPage();
+            }
+        });
+
+        this.elements.letterText.parentElement.after(controls);
+        this.elements.pageControls = controls;
+    }
+
+    /**
+     * Show the page controls for multi-page letters and sync the indicator
+     */
+    updatePageControls() {
+        const controls = this.elements.pageControls;
+        if (!controls) return;
+
+        const { currentPage, pageCount, awaitingPage } = this.state;
+        controls.classList.toggle('hidden', pageCount < 2);
+        controls.querySelector('.page-indicator').textContent = `Page ${currentPage + 1} of ${pageCount}`;
+
+        const previous = controls.querySelector('[data-page-action="previous"]');
+        const next = controls.querySelector('[data-page-action="next"]');
+        const focused = document.activeElement;
+        previous.disabled = currentPage === 0;
+        next.disabled = currentPage >= pageCount - 1;
+
+        // Nudge the reader on when the reveal is waiting for the next page
+        next.classList.toggle('page-waiting', awaitingPage);
+
+        // Keep focus in the controls when the focused button runs out of pages
+        if (focused?.disabled && (focused === previous || focused === next)) {
+            (focused === previous ? next : previous).focus();
+        }
+    }
+
     /**
      * Print the letter
      */
     print() {
         const printWindow = window.open('', '_blank');
 
+        const escape = (text) => RichText.escapeHTML(text);
+        const title = this.elements.letterTitle?.textContent || 'My Valentine Letter';
+        const salutation = this.elements.salutation?.textContent || '';
+        const signatureDrawing = this.config.signatureDrawing
+            ? SignatureDrawing.createSVG(this.config.signatureDrawing).outerHTML
+            : '';
+
+        // Photos print as plain frames in the same places as on screen
+        const content = document.createElement('div');
+        content.innerHTML = this.getContentHTML();
+        this.insertInlinePhotos(content, false);
+        this.markPrintPages(content);
+        const gallery = this.config.photos
+            .filter(photo => photo.placement !== 'inline')
+            .map(photo => this.createPhotoFigure(photo, false).outerHTML)
+            .join('');
+        const stickers = this.config.stickers
+            .map(sticker => Sticker.createElement(sticker)?.outerHTML || '')
+            .join('');
         const letterHTML = `
             <!DOCTYPE html>
             <html>
             <head>
-                <title>Valentine's Day Letter</title>
+                <title>${escape(title)}</title>
                 <style>
                     body {
+                        position: relative;
                         font-family: 'Times New Roman', serif;
                         max-width: 600px;
                         margin: 40px auto;
@@ -705,27 +1894,104 @@ class LetterDisplay {
                     .letter-content {
                         margin: 30px 0;
                     }
-                    .letter-content p {
+                    .salutation {
+                        font-size: 1.2em;
                         margin-bottom: 20px;
                     }
+                    .letter-content p,
+                    .letter-content ul,
+                    .letter-content ol {
+                        margin-bottom: 20px;
+                    }
+                    .letter-content a {
+                        color: #e74c3c;
+                    }
+                    .letter-content hr {
+                        margin: 30px 25%;
+                        border: none;
+                        border-top: 1px solid #ddd;
+                    }
+                    .page-start {
+                        break-before: page;
+                    }
                     .signature {
                         text-align: right;
                         margin-top: 40px;
                         font-style: italic;
                     }
+                    .signature-drawing {
+                        width: 220px;
+                        height: auto;
+                        color: #2c3e50;
+                    }
+                    .letter-photo {
+                        margin: 20px auto;
+                        padding: 10px 10px 16px;
+                        width: fit-content;
+                        max-width: 80%;
+                        border: 1px solid #ddd;
+                        text-align: center;
+                        break-inside: avoid;
+                    }
+                    .letter-photo img {
+                        display: block;
+                        max-width: 100%;
+                        max-height: 4in;
+                    }
+                    .letter-photo figcaption {
+                        margin-top: 8px;
+                        font-style: italic;
+                    }
+                    .gallery {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 20px;
+                        justify-content: center;
+                        margin-top: 40px;
+                    }
+                    .gallery .letter-photo {
+                        margin: 0;
+                        max-width: 45%;
+                    }
+                    .stickers {
+                        position: absolute;
+                        inset: 0;
+                        pointer-events: none;
+                    }
+                    .sticker {
+                        position: absolute;
+                        aspect-ratio: 1;
+                    }
+                    .sticker-art {
+                        display: block;
+                        width: 100%;
+                        height: 100%;
+                        object-fit: contain;
+                        overflow: visible;
+                    }
+                    .sticker-tinted {
+                        background: #e74c3c;
+                        -webkit-mask: var(--sticker-image) center / contain no-repeat;
+                        mask: var(--sticker-image) center / contain no-repeat;
+                        -webkit-print-color-adjust: exact;
+                        print-color-adjust: exact;
+                    }
                     @page {
                         margin: 1in;
                     }
                 </style>
             </head>
             <body>
-                <h1>${document.querySelector('#letter-title')?.textContent || 'My Valentine Letter'}</h1>
-                <div class="letter-date">${this.elements.letterDate?.textContent || ''}</div>
-                <div class="letter-content">${this.elements.letterText.innerHTML}</div>
+                <h1>${escape(title)}</h1>
+                <div class="letter-date">${escape(this.elements.letterDate?.textContent || '')}</div>
+                ${salutation ? `<p class="salutation">${escape(salutation)}</p>` : ''}
+                <div class="letter-content">${content.innerHTML}</div>
                 <div class="signature">
-                    <p>With all my love,</p>
-                    <p><strong>${this.elements.signature?.textContent || 'Your Valentine'}</strong></p>
+                    <p>${escape(this.elements.closing?.textContent || '')}</p>
+                    <p>${signatureDrawing || `<strong>${escape(this.elements.signature?.textContent || 'Your Valentine')}</strong>`}</p>
                 </div>
+                ${gallery ? `<div class="gallery">${gallery}</div>` : ''}
+                ${stickers ? `<div class="stickers">${stickers}</div>` : ''}
             </body>
             </html>
         `;
@@ -733,10 +1999,42 @@ class LetterDisplay {
         printWindow.document.write(letterHTML);
         printWindow.document.close();
 
-        setTimeout(() => {
-            printWindow.print();
-            printWindow.close();
-        }, 100);
+        // Photos must finish loading or they print as empty frames
+        this.waitForImages(printWindow.document).then(() => {
+            setTimeout(() => {
+                printWindow.print();
+                printWindow.close();
+            }, 100);
+        });
+    }
+
+    /**
+     * Start a new printed page wherever a new page starts on screen
+     */
+    markPrintPages(content) {
+        const blocks = RichText.getBlocks(content);
+
+        this.elements.paragraphs.forEach((paragraph, index) => {
+            const previous = this.elements.paragraphs[index - 1];
+            if (previous && blocks[index] && this.getBlockPage(paragraph) !== this.getBlockPage(previous)) {
+                blocks[index].classList.add('page-start');
+            }
+        });
+
+        // The breaks are now pages, so their dividers are dropped
+        if (PageMode.isPaged(this.config.pageMode)) {
+            Array.from(content.children).filter(child => RichText.isPageBreak(child)).forEach(child => child.remove());
+        }
+    }
+
+    /**
+     * Resolve once every image in a document has loaded or failed
+     */
+    waitForImages(doc) {
+        return Promise.all(Array.from(doc.images, image => image.complete ? null : new Promise(resolve => {
+            image.addEventListener('load', resolve, { once: true });
+            image.addEventListener('error', resolve, { once: true });
+        })));
     }
 
     /**
@@ -769,24 +2067,24 @@ class LetterDisplay {
      */
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        this.config.revealMode = RevealMode.normalize(this.config.revealMode);
+        this.config.pageMode = PageMode.normalize(this.config.pageMode);
     }
 
     /**
      * Destroy the component
      */
     destroy() {
-        // Clear intervals
-        if (this.heartInterval) {
-            clearInterval(this.heartInterval);
-        }
+        // Stop background hearts
+        this.heartEmitter?.stop();
+        clearTimeout(this.paginateTimeout);
+        clearTimeout(this.pageTurnTimeout);
 
         // Stop typewriter
-        this.state.typewriterActive = false;
+        this.stopReveal();
 
-        // Clean up DOM
-        if (this.elements.heartsContainer) {
-            this.elements.heartsContainer.innerHTML = '';
-        }
+        // Clean up hearts
+        this.config.particles?.clear('letter');
 
         // Clear references
         this.elements = {};
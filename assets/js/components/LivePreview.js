@@ -0,0 +1,305 @@
+/**
+ * LivePreview Component - Customization Panel Preview
+ * Renders unsaved edits from the customization panel as they are typed
+ *
+ * Features:
+ * - Mini intro-slide stage that cycles through the messages
+ * - Jumps to the message currently being edited
+ * - Letter preview pane with title, date, salutation, formatted paragraphs,
+ *   closing, typed or drawn signature and stickers
+ * - Never touches saved settings or the main components
+ */
+
+import SlideMessage from '../models/SlideMessage.js';
+import RichText from '../models/RichText.js';
+import SignatureDrawing from '../models/SignatureDrawing.js';
+import LetterDate from '../models/LetterDate.js';
+import LetterDetails from '../models/LetterDetails.js';
+import Sticker from '../models/Sticker.js';
+
+class LivePreview {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#livePreview',
+            cycleDelay: options.cycleDelay || 1500,
+            holdDelay: options.holdDelay || 3000,
+            emptyMessage: options.emptyMessage || '…'
+        };
+
+        // State management
+        this.state = {
+            messages: [],
+            currentIndex: 0,
+            isRunning: false,
+            cycleTimeout: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            slideText: null,
+            slideCounter: null,
+            title: null,
+            date: null,
+            salutation: null,
+            letterText: null,
+            closing: null,
+            signature: null,
+            signatureDrawing: null,
+            stickerLayer: null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the LivePreview component
+     */
+    init() {
+        try {
+            this.setupDOM();
+        } catch (error) {
+            console.error('LivePreview initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`LivePreview container not found: ${this.config.container}`);
+        }
+
+        this.elements.slideText = this.elements.container.querySelector('.preview-slide-text');
+        this.elements.slideCounter = this.elements.container.querySelector('.preview-slide-counter');
+        this.elements.title = this.elements.container.querySelector('.preview-title');
+        this.elements.date = this.elements.container.querySelector('.preview-date');
+        this.elements.salutation = this.elements.container.querySelector('.preview-salutation');
+        this.elements.letterText = this.elements.container.querySelector('.preview-letter-text');
+        this.elements.closing = this.elements.container.querySelector('.preview-signature-text');
+        this.elements.signature = this.elements.container.querySelector('.preview-signature');
+
+        // Stickers sit over the preview letter just as they do over the real one
+        const letter = this.elements.container.querySelector('.preview-letter');
+        if (letter) {
+            this.elements.stickerLayer = document.createElement('div');
+            this.elements.stickerLayer.className = 'sticker-layer';
+            this.elements.stickerLayer.setAttribute('aria-hidden', 'true');
+            letter.appendChild(this.elements.stickerLayer);
+        }
+    }
+
+    /**
+     * Render a complete set of customizations
+     */
+    render(customizations = {}) {
+        if (!this.elements.container) return;
+
+        if (customizations.messages) {
+            this.state.messages = [...customizations.messages];
+            this.state.currentIndex = Math.min(this.state.currentIndex, this.state.messages.length - 1);
+            this.renderSlide(Math.max(0, this.state.currentIndex));
+        }
+
+        if (customizations.title !== undefined) {
+            this.setTitle(customizations.title);
+        }
+
+        if (customizations.date !== undefined) {
+            this.setDate(customizations.date);
+        }
+
+        if (customizations.salutation !== undefined) {
+            this.setSalutation(customizations.salutation);
+        }
+
+        if (customizations.letterText) {
+            this.setLetter(customizations.letterText);
+        }
+
+        if (customizations.closing !== undefined) {
+            this.setClosing(customizations.closing);
+        }
+
+        if (customizations.signature !== undefined) {
+            this.setSignature(customizations.signature);
+        }
+
+        if (customizations.signatureDrawing !== undefined) {
+            this.setSignatureDrawing(customizations.signatureDrawing);
+        }
+
+        if (customizations.stickers) {
+            this.setStickers(customizations.stickers);
+        }
+    }
+
+    /**
+     * Start cycling through the messages
+     */
+    start() {
+        if (this.state.isRunning) return;
+
+        this.state.isRunning = true;
+        this.scheduleCycle(this.config.cycleDelay);
+    }
+
+    /**
+     * Stop cycling
+     */
+    stop() {
+        this.state.isRunning = false;
+        clearTimeout(this.state.cycleTimeout);
+        this.state.cycleTimeout = null;
+    }
+
+    /**
+     * Schedule the next slide in the cycle
+     */
+    scheduleCycle(delay) {
+        clearTimeout(this.state.cycleTimeout);
+
+        if (!this.state.isRunning) return;
+
+        this.state.cycleTimeout = setTimeout(() => {
+            if (this.state.messages.length > 0) {
+                this.renderSlide((this.state.currentIndex + 1) % this.state.messages.length);
+            }
+            this.scheduleCycle(this.config.cycleDelay);
+        }, delay);
+    }
+
+    /**
+     * Show an edited message and hold it briefly before cycling again
+     */
+    setMessage(index, message) {
+        this.state.messages[index] = SlideMessage.normalize(this.state.messages[index]);
+        this.state.messages[index].text = SlideMessage.getText(message);
+        this.renderSlide(index);
+        this.scheduleCycle(this.config.holdDelay);
+    }
+
+    /**
+     * Render a single slide on the mini stage
+     */
+    renderSlide(index) {
+        if (!this.elements.slideText) return;
+
+        this.state.currentIndex = index;
+        const text = SlideMessage.getText(this.state.messages[index]);
+
+        this.elements.slideText.textContent = text.trim() ? text : this.config.emptyMessage;
+
+        // Restart the entrance animation
+        this.elements.slideText.classList.remove('preview-slide-enter');
+        void this.elements.slideText.offsetWidth;
+        this.elements.slideText.classList.add('preview-slide-enter');
+
+        if (this.elements.slideCounter) {
+            this.elements.slideCounter.textContent = `${index + 1} / ${this.state.messages.length}`;
+        }
+    }
+
+    /**
+     * Render the letter paragraphs with their formatting
+     */
+    setLetter(paragraphs) {
+        if (!this.elements.letterText) return;
+
+        this.elements.letterText.innerHTML = RichText.render(paragraphs);
+    }
+
+    /**
+     * Render the stickers over the preview letter
+     */
+    setStickers(stickers) {
+        if (!this.elements.stickerLayer) return;
+
+        this.elements.stickerLayer.replaceChildren(...Sticker.normalizeList(stickers)
+            .map(sticker => Sticker.createElement(sticker))
+            .filter(Boolean));
+    }
+
+    /**
+     * Render the title
+     */
+    setTitle(title) {
+        if (this.elements.title) {
+            this.elements.title.textContent = title;
+        }
+    }
+
+    /**
+     * Render the date from a today or fixed date setting
+     */
+    setDate(setting) {
+        if (this.elements.date) {
+            const { format } = LetterDate.normalize(setting);
+            this.elements.date.textContent = LetterDate.format(LetterDate.resolve(setting), format);
+        }
+    }
+
+    /**
+     * Render the salutation (empty hides it)
+     */
+    setSalutation(salutation) {
+        if (this.elements.salutation) {
+            this.elements.salutation.textContent = salutation || '';
+            this.elements.salutation.classList.toggle('hidden', !salutation);
+        }
+    }
+
+    /**
+     * Render the closing line
+     */
+    setClosing(closing) {
+        if (this.elements.closing) {
+            this.elements.closing.textContent = LetterDetails.formatClosing(closing);
+        }
+    }
+
+    /**
+     * Render the signature
+     */
+    setSignature(signature) {
+        if (this.elements.signature) {
+            this.elements.signature.textContent = signature;
+        }
+    }
+
+    /**
+     * Render the drawn signature in place of the typed one (null shows the typed one)
+     */
+    setSignatureDrawing(drawing) {
+        this.elements.signatureDrawing?.remove();
+        this.elements.signatureDrawing = null;
+
+        if (!this.elements.signature) return;
+
+        const hasDrawing = SignatureDrawing.isValid(drawing);
+        this.elements.signature.classList.toggle('sr-only', hasDrawing);
+        if (!hasDrawing) return;
+
+        const svg = SignatureDrawing.createSVG(drawing, 'signature-drawing preview-signature-drawing');
+        svg.setAttribute('aria-hidden', 'true');
+        this.elements.signature.after(svg);
+        this.elements.signatureDrawing = svg;
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.stop();
+
+        this.elements = {};
+        this.state = {};
+        this.config = {};
+    }
+}
+
+export default LivePreview;
@@ -0,0 +1,400 @@
+/**
+ * MessageListEditor Component - Intro Message Editing
+ * Manages the variable-length list of intro messages in the customization panel
+ *
+ * Features:
+ * - Add and remove messages (1 to 20)
+ * - Drag-to-reorder with pointer events (mouse, touch and pen)
+ * - Keyboard reordering with arrow keys on the drag handle
+ * - Per-message duration, transition, size and emphasis options
+ * - Change callbacks for live preview updates
+ */
+
+import SlideMessage from '../models/SlideMessage.js';
+
+class MessageListEditor {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#messageList',
+            addButton: options.addButton || '#addMessageBtn',
+            minMessages: options.minMessages || 1,
+            maxMessages: options.maxMessages || 20,
+            maxLength: options.maxLength || 20,
+            newMessage: options.newMessage || 'Love'
+        };
+
+        // State management
+        this.state = {
+            messages: [],
+            openOptions: new Set(),
+            drag: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            addButton: null
+        };
+
+        // Event handlers
+        this.eventHandlers = {
+            onInput: options.onInput || null,
+            onChange: options.onChange || null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the MessageListEditor component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('MessageListEditor initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`MessageListEditor container not found: ${this.config.container}`);
+        }
+
+        this.elements.addButton = document.querySelector(this.config.addButton);
+    }
+
+    /**
+     * Set up delegated event listeners
+     */
+    setupEventListeners() {
+        const { container } = this.elements;
+
+        // Typing in a message
+        container.addEventListener('input', (event) => {
+            if (!event.target.classList.contains('message-input')) return;
+
+            const index = this.getItemIndex(event.target);
+            this.state.messages[index].text = event.target.value;
+
+            if (this.eventHandlers.onInput) {
+                this.eventHandlers.onInput(index, event.target.value);
+            }
+        });
+
+        // Per-message options
+        container.addEventListener('change', (event) => {
+            const option = event.target.dataset.option;
+            if (!option) return;
+
+            const message = this.state.messages[this.getItemIndex(event.target)];
+            if (option === 'duration') {
+                const seconds = parseFloat(event.target.value);
+                message.duration = Number.isFinite(seconds) ? seconds * 1000 : null;
+                Object.assign(message, SlideMessage.normalize(message));
+                // Show the clamped value, not what was typed
+                event.target.value = message.duration === null ? '' : message.duration / 1000;
+            } else {
+                message[option] = event.target.value;
+            }
+
+            this.notifyChange();
+        });
+
+        // Remember which option panels are open across re-renders
+        container.addEventListener('toggle', (event) => {
+            if (!event.target.classList.contains('message-options')) return;
+
+            const index = this.getItemIndex(event.target);
+            if (event.target.open) {
+                this.state.openOptions.add(index);
+            } else {
+                this.state.openOptions.delete(index);
+            }
+        }, true);
+
+        // Remove buttons
+        container.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.message-remove');
+            if (removeBtn) {
+                this.removeMessage(this.getItemIndex(removeBtn));
+            }
+        });
+
+        // Keyboard reordering on the handle
+        container.addEventListener('keydown', (event) => {
+            if (!event.target.classList.contains('message-handle')) return;
+
+            const index = this.getItemIndex(event.target);
+            if (event.key === 'ArrowUp' && index > 0) {
+                event.preventDefault();
+                this.moveMessage(index, index - 1);
+                this.focusHandle(index - 1);
+            } else if (event.key === 'ArrowDown' && index < this.state.messages.length - 1) {
+                event.preventDefault();
+                this.moveMessage(index, index + 1);
+                this.focusHandle(index + 1);
+            }
+        });
+
+        // Pointer-based drag to reorder
+        container.addEventListener('pointerdown', (event) => {
+            const handle = event.target.closest('.message-handle');
+            if (handle) {
+                this.startDrag(event, handle);
+            }
+        });
+
+        if (this.elements.addButton) {
+            this.elements.addButton.addEventListener('click', () => {
+                this.addMessage();
+            });
+        }
+    }
+
+    /**
+     * Replace all messages
+     */
+    setMessages(messages) {
+        this.state.messages = (messages || [])
+            .slice(0, this.config.maxMessages)
+            .map(message => SlideMessage.normalize(message));
+        if (this.state.messages.length === 0) {
+            this.state.messages = [SlideMessage.normalize(this.config.newMessage)];
+        }
+        this.state.openOptions.clear();
+        this.render();
+    }
+
+    /**
+     * Get trimmed, non-empty messages
+     */
+    getMessages() {
+        const messages = this.state.messages
+            .map(message => ({ ...message, text: message.text.trim() }))
+            .filter(message => message.text)
+            .map(message => SlideMessage.compact(message));
+
+        return messages.length > 0 ? messages : ['Hi'];
+    }
+
+    /**
+     * Append a message and focus it
+     */
+    addMessage(message = this.config.newMessage) {
+        if (this.state.messages.length >= this.config.maxMessages) return;
+
+        this.state.messages.push(SlideMessage.normalize(message));
+        this.render();
+
+        const inputs = this.elements.container.querySelectorAll('.message-input');
+        const input = inputs[inputs.length - 1];
+        if (input) {
+            input.focus();
+            input.select();
+        }
+
+        this.notifyChange();
+    }
+
+    /**
+     * Remove a message by index
+     */
+    removeMessage(index) {
+        if (this.state.messages.length <= this.config.minMessages) return;
+
+        this.state.messages.splice(index, 1);
+        this.state.openOptions.clear();
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Move a message to a new position
+     */
+    moveMessage(from, to) {
+        if (from === to || to < 0 || to >= this.state.messages.length) return;
+
+        const [message] = this.state.messages.splice(from, 1);
+        this.state.messages.splice(to, 0, message);
+        this.state.openOptions.clear();
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Render message rows
+     */
+    render() {
+        const { container } = this.elements;
+        const count = this.state.messages.length;
+
+        container.innerHTML = '';
+
+        this.state.messages.forEach((message, index) => {
+            const item = document.createElement('li');
+            item.className = 'message-item';
+
+            const handle = document.createElement('button');
+            handle.type = 'button';
+            handle.className = 'message-handle';
+            handle.textContent = '⋮⋮';
+            handle.setAttribute('aria-label', `Reorder message ${index + 1}. Use arrow keys to move it.`);
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `message-${index}`;
+            input.className = 'message-input';
+            input.value = message.text;
+            input.maxLength = this.config.maxLength;
+            input.setAttribute('aria-label', `Greeting message ${index + 1} of ${count}`);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'message-remove';
+            removeBtn.textContent = '×';
+            removeBtn.disabled = count <= this.config.minMessages;
+            removeBtn.setAttribute('aria-label', `Remove message ${index + 1}`);
+
+            item.append(handle, input, removeBtn, this.renderOptions(message, index));
+            container.appendChild(item);
+        });
+
+        if (this.elements.addButton) {
+            this.elements.addButton.disabled = count >= this.config.maxMessages;
+        }
+    }
+
+    /**
+     * Render the collapsible options for one message
+     */
+    renderOptions(message, index) {
+        const details = document.createElement('details');
+        details.className = 'message-options';
+        details.open = this.state.openOptions.has(index);
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Timing & style';
+        details.appendChild(summary);
+
+        const createField = (label, control) => {
+            const field = document.createElement('label');
+            field.className = 'message-option-field';
+            field.append(label, control);
+            return field;
+        };
+
+        const createSelect = (option, values) => {
+            const select = document.createElement('select');
+            select.className = 'message-option';
+            select.dataset.option = option;
+            values.forEach(value => {
+                const optionElement = document.createElement('option');
+                optionElement.value = value;
+                optionElement.textContent = value.replace('-', ' ');
+                optionElement.selected = message[option] === value;
+                select.appendChild(optionElement);
+            });
+            return select;
+        };
+
+        const duration = document.createElement('input');
+        duration.type = 'number';
+        duration.className = 'message-option';
+        duration.dataset.option = 'duration';
+        duration.min = String(SlideMessage.minDuration / 1000);
+        duration.max = String(SlideMessage.maxDuration / 1000);
+        duration.step = '0.1';
+        duration.placeholder = 'auto';
+        duration.value = message.duration !== null ? String(message.duration / 1000) : '';
+        duration.setAttribute('aria-label', `Seconds to show message ${index + 1} (blank for default)`);
+
+        details.append(
+            createField('Seconds', duration),
+            createField('Transition', createSelect('transition', SlideMessage.transitions)),
+            createField('Size', createSelect('size', SlideMessage.sizes)),
+            createField('Emphasis', createSelect('emphasis', SlideMessage.emphases))
+        );
+
+        return details;
+    }
+
+    /**
+     * Begin dragging a row by its handle
+     */
+    startDrag(event, handle) {
+        const item = handle.closest('.message-item');
+        if (!item) return;
+
+        event.preventDefault();
+        handle.setPointerCapture(event.pointerId);
+        item.classList.add('dragging');
+
+        this.state.drag = { item, from: this.getItemIndex(handle) };
+
+        const onMove = (moveEvent) => {
+            // Move the row past any sibling whose midpoint the pointer has crossed
+            const siblings = Array.from(this.elements.container.children).filter(el => el !== item);
+            const next = siblings.find(sibling => {
+                const rect = sibling.getBoundingClientRect();
+                return moveEvent.clientY < rect.top + rect.height / 2;
+            });
+            this.elements.container.insertBefore(item, next || null);
+        };
+
+        const onEnd = () => {
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onEnd);
+            handle.removeEventListener('pointercancel', onEnd);
+            item.classList.remove('dragging');
+
+            const to = Array.from(this.elements.container.children).indexOf(item);
+            const { from } = this.state.drag;
+            this.state.drag = null;
+
+            if (from !== to) {
+                this.moveMessage(from, to);
+            }
+        };
+
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onEnd);
+        handle.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Find the row index for an element inside it
+     */
+    getItemIndex(element) {
+        const item = element.closest('.message-item');
+        return Array.from(this.elements.container.children).indexOf(item);
+    }
+
+    /**
+     * Focus a row's drag handle
+     */
+    focusHandle(index) {
+        const handle = this.elements.container.children[index]?.querySelector('.message-handle');
+        if (handle) {
+            handle.focus();
+        }
+    }
+
+    /**
+     * Fire the change callback
+     */
+    notifyChange() {
+        if (this.eventHandlers.onChange) {
+            this.eventHandlers.onChange(this.getMessages());
+        }
+    }
+}
+
+export default MessageListEditor;
@@ -0,0 +1,330 @@
+/**
+ * ParallaxLayers Component - Tilt and Pointer Depth
+ * Shifts the background layers a little with the phone's tilt or the mouse, so the letter floats above them
+ *
+ * Features:
+ * - Device orientation on phones and tablets, pointer position on desktops
+ * - The motion permission prompt iOS requires, asked on the reader's first tap
+ * - Tilt measured from how the device was held at first, easing towards new postures
+ * - Smoothed, clamped movement that stops animating once it settles
+ * - Each layer moves by its own depth; the letter moves against the background
+ * - Off under reduced motion or while disabled
+ * - Reads plain event fields, so synthetic deviceorientation and pointermove events drive it in tests
+ */
+
+class ParallaxLayers {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            // Pixels each layer shifts at full tilt; negative depths move towards the reader
+            layers: options.layers || [
+                { selector: '#heartBgContainer', depth: 10 },
+                { selector: '.rose-field', depth: 18 },
+                { selector: '.letter-container', depth: -6 }
+            ],
+            maxTilt: options.maxTilt || 20, // Degrees of tilt for the full shift
+            recenterRate: options.recenterRate ?? 0.01, // How quickly a new posture becomes the resting one
+            smoothing: options.smoothing ?? 120, // Milliseconds to cover most of the way; 0 moves at once
+            accessibilityMode: options.accessibilityMode || false
+        };
+
+        // State management
+        this.state = {
+            isEnabled: true,
+            permission: 'unknown', // unknown, prompt, granted, denied, not-required
+            source: null, // orientation or pointer
+            baseline: null,
+            target: { x: 0, y: 0 },
+            current: { x: 0, y: 0 },
+            frameId: null,
+            lastTime: null
+        };
+
+        // DOM elements
+        this.elements = {
+            layers: []
+        };
+
+        // Bound handlers so they can be removed again
+        this.handleOrientation = this.handleOrientation.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerOut = this.handlePointerOut.bind(this);
+        this.handleFirstTap = this.handleFirstTap.bind(this);
+        this.handleFrame = this.handleFrame.bind(this);
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the ParallaxLayers component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('ParallaxLayers initialization failed:', error);
+        }
+    }
+
+    /**
+     * Find the layers to move
+     */
+    setupDOM() {
+        this.elements.layers = this.config.layers.flatMap(({ selector, depth }) =>
+            Array.from(document.querySelectorAll(selector)).map(element => {
+                element.classList.add('parallax-layer');
+                return { element, depth };
+            })
+        );
+    }
+
+    /**
+     * Listen for tilt and pointer movement, asking for motion access first where the browser requires it
+     */
+    setupEventListeners() {
+        window.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+        window.addEventListener('mouseout', this.handlePointerOut);
+
+        const Orientation = window.DeviceOrientationEvent;
+        if (typeof Orientation?.requestPermission === 'function') {
+            // iOS only asks from inside a tap
+            this.state.permission = 'prompt';
+            document.addEventListener('click', this.handleFirstTap);
+        } else {
+            this.state.permission = 'not-required';
+        }
+
+        // Listening costs nothing before permission; events only arrive once it is granted
+        window.addEventListener('deviceorientation', this.handleOrientation);
+    }
+
+    /**
+     * Ask for motion access on the first tap
+     */
+    handleFirstTap() {
+        document.removeEventListener('click', this.handleFirstTap);
+        this.requestPermission();
+    }
+
+    /**
+     * Show the browser's motion permission prompt; resolves to whether tilt can be used
+     */
+    async requestPermission() {
+        if (this.state.permission !== 'prompt') {
+            return this.state.permission === 'granted' || this.state.permission === 'not-required';
+        }
+
+        try {
+            const result = await window.DeviceOrientationEvent.requestPermission();
+            this.state.permission = result === 'granted' ? 'granted' : 'denied';
+        } catch (error) {
+            // Asked outside a tap, or the browser refused outright
+            console.warn('Motion access was not granted:', error);
+            this.state.permission = 'denied';
+        }
+
+        return this.state.permission === 'granted';
+    }
+
+    /**
+     * Turn tilt into a target offset, measured from how the device is usually held
+     */
+    handleOrientation(event) {
+        const { beta, gamma } = event;
+        if (typeof beta !== 'number' || typeof gamma !== 'number') return;
+
+        this.state.source = 'orientation';
+        const tilt = this.getScreenTilt(beta, gamma);
+
+        if (!this.state.baseline) {
+            this.state.baseline = tilt;
+        } else {
+            // Drift towards the current posture so a reader who shifts position is recentred
+            const { recenterRate } = this.config;
+            this.state.baseline.x += (tilt.x - this.state.baseline.x) * recenterRate;
+            this.state.baseline.y += (tilt.y - this.state.baseline.y) * recenterRate;
+        }
+
+        const { maxTilt } = this.config;
+        this.setTarget(
+            (tilt.x - this.state.baseline.x) / maxTilt,
+            (tilt.y - this.state.baseline.y) / maxTilt
+        );
+    }
+
+    /**
+     * Express the device's tilt along the screen's current left-right and up-down axes
+     */
+    getScreenTilt(beta, gamma) {
+        const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+
+        switch ((angle + 360) % 360) {
+            case 90:
+                return { x: beta, y: -gamma };
+            case 180:
+                return { x: -gamma, y: -beta };
+            case 270:
+                return { x: -beta, y: gamma };
+            default:
+                return { x: gamma, y: beta };
+        }
+    }
+
+    /**
+     * Turn the mouse position into a target offset; touch uses tilt instead
+     */
+    handlePointerMove(event) {
+        if (event.pointerType && event.pointerType !== 'mouse') return;
+        if (this.state.source === 'orientation') return;
+
+        this.state.source = 'pointer';
+        this.setTarget(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            (event.clientY / window.innerHeight) * 2 - 1
+        );
+    }
+
+    /**
+     * Settle back to the middle when the mouse leaves the window
+     */
+    handlePointerOut(event) {
+        if (event.relatedTarget || this.state.source !== 'pointer') return;
+
+        this.setTarget(0, 0);
+    }
+
+    /**
+     * Aim for an offset between -1 and 1 on each axis
+     */
+    setTarget(x, y) {
+        const clamp = (value) => Math.max(-1, Math.min(1, Number.isFinite(value) ? value : 0));
+        this.state.target = { x: clamp(x), y: clamp(y) };
+        this.wake();
+    }
+
+    /**
+     * Forget the resting posture, so the current tilt becomes the middle
+     */
+    recenter() {
+        this.state.baseline = null;
+        this.setTarget(0, 0);
+    }
+
+    /**
+     * Start easing towards the target
+     */
+    wake() {
+        if (this.state.frameId !== null || !this.isActive()) return;
+
+        this.state.lastTime = null;
+        this.state.frameId = requestAnimationFrame(this.handleFrame);
+    }
+
+    /**
+     * Ease one frame towards the target and stop once it is reached
+     */
+    handleFrame(time) {
+        this.state.frameId = null;
+
+        const elapsed = this.state.lastTime === null ? 16 : Math.min(time - this.state.lastTime, 100);
+        this.state.lastTime = time;
+
+        const { current, target } = this.state;
+        const { smoothing } = this.config;
+        const amount = smoothing > 0 ? 1 - Math.exp(-elapsed / smoothing) : 1;
+        current.x += (target.x - current.x) * amount;
+        current.y += (target.y - current.y) * amount;
+
+        const isSettled = Math.abs(target.x - current.x) < 0.001 && Math.abs(target.y - current.y) < 0.001;
+        if (isSettled) {
+            current.x = target.x;
+            current.y = target.y;
+        }
+
+        this.apply();
+
+        if (!isSettled) {
+            this.state.frameId = requestAnimationFrame(this.handleFrame);
+        }
+    }
+
+    /**
+     * Move every layer by its depth
+     */
+    apply() {
+        const { x, y } = this.state.current;
+
+        this.elements.layers.forEach(({ element, depth }) => {
+            element.style.translate = `${(x * depth).toFixed(2)}px ${(y * depth).toFixed(2)}px`;
+        });
+    }
+
+    /**
+     * Check whether the layers may move
+     */
+    isActive() {
+        return this.state.isEnabled && !this.config.accessibilityMode;
+    }
+
+    /**
+     * Turn the effect on or off (the layers return to rest while off)
+     */
+    setEnabled(isEnabled) {
+        this.state.isEnabled = isEnabled;
+
+        if (!this.isActive()) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Put every layer back where it started
+     */
+    reset() {
+        if (this.state.frameId !== null) {
+            cancelAnimationFrame(this.state.frameId);
+            this.state.frameId = null;
+        }
+
+        this.state.target = { x: 0, y: 0 };
+        this.state.current = { x: 0, y: 0 };
+        this.elements.layers.forEach(({ element }) => {
+            element.style.removeProperty('translate');
+        });
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+
+        if (newConfig.layers) {
+            this.reset();
+            this.elements.layers.forEach(({ element }) => element.classList.remove('parallax-layer'));
+            this.setupDOM();
+        }
+        if (!this.isActive()) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.reset();
+
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('mouseout', this.handlePointerOut);
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+        document.removeEventListener('click', this.handleFirstTap);
+
+        this.elements.layers.forEach(({ element }) => element.classList.remove('parallax-layer'));
+        this.elements = {};
+    }
+}
+
+export default ParallaxLayers;
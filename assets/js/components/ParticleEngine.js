@@ -0,0 +1,629 @@
+/**
+ * ParticleEngine Component - Shared Hearts and Effects
+ * One animation loop that draws every floating heart in the app
+ *
+ * Features:
+ * - Canvas rendering with a pooled DOM fallback when canvas is unavailable
+ * - Emoji, picture and confetti particles; single-colour pictures are tinted from the palette
+ * - An active particle set, so every effect follows the letter's hearts and theme
+ * - Particle pool with a global cap and per-group caps, so rapid clicks never flood the page
+ * - Emitters that spawn particles at a steady rate while they run
+ * - Lifetimes with grow, rise, spin, gravity and fade
+ * - Sleeps when nothing is moving and pauses fully while the page is hidden
+ * - Respects reduced motion by spawning nothing
+ */
+
+class ParticleEngine {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || 'body',
+            renderer: options.renderer || 'auto', // auto, canvas, dom
+            maxParticles: options.maxParticles || 60,
+            maxFrameTime: options.maxFrameTime || 50,
+            font: options.font || '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif',
+            imageResolution: options.imageResolution || 96,
+            accessibilityMode: options.accessibilityMode || false
+        };
+
+        // Defaults for a single particle; spawn() options override them
+        this.particleDefaults = {
+            glyph: '❤️',
+            image: null,
+            tint: false,
+            shape: null, // 'confetti' draws a fluttering paper strip instead of art
+            color: null,
+            size: 24,
+            vx: 0,
+            vy: 0,
+            gravity: 0,
+            drag: 0,
+            rotation: 0,
+            spin: 0,
+            life: 2000,
+            delay: 0,
+            grow: 0.15,
+            endScale: 1,
+            fadeStart: 0.8,
+            opacity: 1,
+            group: 'default'
+        };
+
+        // State management
+        this.state = {
+            isPaused: false,
+            isHidden: typeof document !== 'undefined' && document.hidden,
+            frameId: null,
+            lastTime: null,
+            drawnCount: 0,
+            width: 0,
+            height: 0,
+            pixelRatio: 1
+        };
+
+        // Particle pool
+        this.pool = [];
+        this.active = [];
+        this.groupLimits = new Map();
+        this.emitters = new Set();
+
+        // Art and colours for particles spawned without their own
+        this.particleSet = { sets: [], palette: [] };
+
+        // Loaded pictures by source, each with its tinted copies by colour
+        this.images = new Map();
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            canvas: null,
+            layer: null
+        };
+
+        this.context = null;
+        this.renderer = null;
+
+        // Bound handlers so they can be removed again
+        this.handleFrame = this.handleFrame.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the ParticleEngine component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('ParticleEngine initialization failed:', error);
+        }
+    }
+
+    /**
+     * Create the canvas, or the DOM layer when canvas drawing is unavailable
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`ParticleEngine container not found: ${this.config.container}`);
+        }
+
+        if (this.config.renderer !== 'dom') {
+            const canvas = document.createElement('canvas');
+            canvas.className = 'particle-canvas';
+            canvas.setAttribute('aria-hidden', 'true');
+            this.context = canvas.getContext?.('2d') || null;
+
+            if (this.context) {
+                this.elements.canvas = canvas;
+                this.elements.container.appendChild(canvas);
+                this.renderer = 'canvas';
+            }
+        }
+
+        if (!this.renderer) {
+            const layer = document.createElement('div');
+            layer.className = 'particle-layer';
+            layer.setAttribute('aria-hidden', 'true');
+            this.elements.layer = layer;
+            this.elements.container.appendChild(layer);
+            this.renderer = 'dom';
+        }
+
+        this.handleResize();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        window.addEventListener('resize', this.handleResize);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Spawn one particle at viewport coordinates; returns null when a cap or setting blocks it
+     */
+    spawn(options = {}) {
+        if (this.config.accessibilityMode || !this.renderer) return null;
+
+        if (this.active.length >= this.config.maxParticles) return null;
+
+        // Particles without their own art take it, and their colour, from the active set
+        const art = options.glyph || options.image || options.shape ? {} : this.pickArt();
+        const settings = { ...this.particleDefaults, color: this.pickColor(), ...art, ...options };
+
+        const groupLimit = this.groupLimits.get(settings.group);
+        if (groupLimit !== undefined && this.getCount(settings.group) >= groupLimit) return null;
+
+        const particle = this.acquire();
+        Object.assign(particle, settings, {
+            x: options.x ?? 0,
+            y: options.y ?? 0,
+            age: -settings.delay,
+            scale: 0,
+            alpha: 0
+        });
+
+        if (particle.element) {
+            this.dressElement(particle);
+        } else if (particle.image) {
+            this.loadImage(particle.image);
+        }
+
+        this.active.push(particle);
+        this.wake();
+
+        return particle;
+    }
+
+    /**
+     * Use a particle set: art grouped by set ({ glyph } or { image, tint }) and a colour palette
+     */
+    setParticleSet({ sets = [], palette = [] } = {}) {
+        this.particleSet = {
+            sets: sets.filter(art => art.length > 0),
+            palette
+        };
+
+        // Start loading pictures before the first particle needs them
+        if (this.renderer === 'canvas') {
+            this.particleSet.sets.flat().forEach(art => {
+                if (art.image) this.loadImage(art.image);
+            });
+        }
+    }
+
+    /**
+     * Pick art from the active set; each set is as likely as the others, however many items it has
+     */
+    pickArt() {
+        const { sets } = this.particleSet;
+        if (sets.length === 0) return {};
+
+        const art = sets[Math.floor(Math.random() * sets.length)];
+        return art[Math.floor(Math.random() * art.length)];
+    }
+
+    /**
+     * Pick a colour from the active palette
+     */
+    pickColor() {
+        const { palette } = this.particleSet;
+        return palette.length > 0 ? palette[Math.floor(Math.random() * palette.length)] : null;
+    }
+
+    /**
+     * Create an emitter that calls spawnParticle `rate` times a second while running
+     */
+    createEmitter({ rate = 1, spawnParticle, autoStart = true } = {}) {
+        const emitter = {
+            rate,
+            spawnParticle,
+            isRunning: false,
+            carry: 0,
+            start: () => {
+                emitter.isRunning = true;
+                this.emitters.add(emitter);
+                this.wake();
+            },
+            stop: () => {
+                emitter.isRunning = false;
+                emitter.carry = 0;
+                this.emitters.delete(emitter);
+            }
+        };
+
+        if (autoStart) {
+            emitter.start();
+        }
+
+        return emitter;
+    }
+
+    /**
+     * Limit how many particles of a group can be alive at once
+     */
+    setGroupLimit(group, limit) {
+        if (Number.isFinite(limit)) {
+            this.groupLimits.set(group, limit);
+        } else {
+            this.groupLimits.delete(group);
+        }
+    }
+
+    /**
+     * Count the live particles, optionally of one group
+     */
+    getCount(group) {
+        return group === undefined
+            ? this.active.length
+            : this.active.reduce((count, particle) => count + (particle.group === group ? 1 : 0), 0);
+    }
+
+    /**
+     * Remove live particles, optionally of one group only
+     */
+    clear(group) {
+        for (let index = this.active.length - 1; index >= 0; index--) {
+            if (group === undefined || this.active[index].group === group) {
+                this.release(index);
+            }
+        }
+
+        if (this.renderer === 'canvas') {
+            this.draw();
+        }
+    }
+
+    /**
+     * Take a particle from the pool, creating one when the pool is empty
+     */
+    acquire() {
+        const particle = this.pool.pop() || {};
+
+        if (this.renderer === 'dom' && !particle.element) {
+            particle.element = document.createElement('span');
+            particle.element.className = 'particle';
+            this.elements.layer.appendChild(particle.element);
+        }
+        if (particle.element) {
+            particle.element.hidden = true;
+        }
+
+        return particle;
+    }
+
+    /**
+     * Return a live particle to the pool
+     */
+    release(index) {
+        const particle = this.active[index];
+
+        // Swap with the last particle so removal stays cheap
+        this.active[index] = this.active[this.active.length - 1];
+        this.active.pop();
+
+        if (particle.element) {
+            particle.element.hidden = true;
+        }
+        this.pool.push(particle);
+    }
+
+    /**
+     * Start the animation loop if there is something to animate
+     */
+    wake() {
+        if (this.state.frameId !== null || this.state.isPaused || this.state.isHidden) return;
+        if (this.active.length === 0 && this.emitters.size === 0) return;
+
+        this.state.lastTime = null;
+        this.state.frameId = requestAnimationFrame(this.handleFrame);
+    }
+
+    /**
+     * Stop the animation loop
+     */
+    sleep() {
+        if (this.state.frameId !== null) {
+            cancelAnimationFrame(this.state.frameId);
+            this.state.frameId = null;
+        }
+        this.state.lastTime = null;
+    }
+
+    /**
+     * Advance and draw one frame
+     */
+    handleFrame(time) {
+        this.state.frameId = null;
+
+        // Long gaps (a busy tab or a resumed page) advance as a single short frame
+        const elapsed = this.state.lastTime === null ? 16 : time - this.state.lastTime;
+        this.state.lastTime = time;
+        this.step(Math.min(elapsed, this.config.maxFrameTime));
+
+        // An emitter waiting for its next particle leaves nothing to redraw
+        if (this.active.length > 0 || this.state.drawnCount > 0) {
+            this.draw();
+        }
+
+        if (this.active.length > 0 || this.emitters.size > 0) {
+            this.state.frameId = requestAnimationFrame(this.handleFrame);
+        } else {
+            this.state.lastTime = null;
+        }
+    }
+
+    /**
+     * Move every particle forward by a number of milliseconds
+     */
+    step(elapsed) {
+        const seconds = elapsed / 1000;
+
+        this.emitters.forEach(emitter => {
+            emitter.carry += emitter.rate * seconds;
+            while (emitter.carry >= 1) {
+                emitter.carry -= 1;
+                const options = emitter.spawnParticle();
+                if (options) {
+                    this.spawn(options);
+                }
+            }
+        });
+
+        for (let index = this.active.length - 1; index >= 0; index--) {
+            const particle = this.active[index];
+            particle.age += elapsed;
+
+            if (particle.age < 0) continue;
+            if (particle.age >= particle.life) {
+                this.release(index);
+                continue;
+            }
+
+            const damping = Math.max(0, 1 - particle.drag * seconds);
+            particle.vx *= damping;
+            particle.vy = (particle.vy + particle.gravity * seconds) * damping;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+            particle.rotation += particle.spin * seconds;
+
+            // Grow in, drift towards the end scale, then fade out
+            const progress = particle.age / particle.life;
+            particle.scale = progress < particle.grow
+                ? progress / particle.grow
+                : 1 + (particle.endScale - 1) * (progress - particle.grow) / (1 - particle.grow);
+            particle.alpha = particle.opacity * (progress < particle.fadeStart
+                ? 1
+                : 1 - (progress - particle.fadeStart) / (1 - particle.fadeStart));
+        }
+    }
+
+    /**
+     * Draw the live particles with the active renderer
+     */
+    draw() {
+        this.state.drawnCount = this.active.length;
+
+        if (this.renderer === 'canvas') {
+            this.drawCanvas();
+        } else if (this.renderer === 'dom') {
+            this.drawDOM();
+        }
+    }
+
+    /**
+     * Paint the live particles onto the canvas
+     */
+    drawCanvas() {
+        const { context } = this;
+        const { width, height, pixelRatio } = this.state;
+
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        this.active.forEach(particle => {
+            if (particle.age < 0 || particle.alpha <= 0) return;
+
+            // Pictures appear once they have loaded
+            const source = particle.image ? this.getImageSource(particle) : null;
+            if (particle.image && !source) return;
+
+            context.save();
+            context.globalAlpha = particle.alpha;
+            context.translate(particle.x, particle.y);
+            context.rotate(particle.rotation * Math.PI / 180);
+            context.scale(particle.scale, particle.scale);
+
+            if (particle.shape === 'confetti') {
+                // Strips flutter by flipping around their long axis
+                const flip = Math.cos(particle.age / 120);
+                context.scale(1, flip);
+                context.fillStyle = particle.color || '#e74c3c';
+                context.fillRect(-particle.size / 2, -particle.size / 4, particle.size, particle.size / 2);
+            } else if (source) {
+                const { width, height } = this.fitSize(source.width, source.height, particle.size);
+                context.drawImage(source, -width / 2, -height / 2, width, height);
+            } else {
+                context.font = `${particle.size}px ${this.config.font}`;
+                context.fillStyle = particle.color || '#e74c3c';
+                context.fillText(particle.glyph, 0, 0);
+            }
+            context.restore();
+        });
+    }
+
+    /**
+     * Start loading a picture once; returns its cache entry
+     */
+    loadImage(src) {
+        if (!this.images.has(src)) {
+            const element = new Image();
+            element.decoding = 'async';
+            element.src = src;
+            this.images.set(src, { element, tinted: new Map() });
+        }
+        return this.images.get(src);
+    }
+
+    /**
+     * Get a loaded picture to draw, tinted in the particle's colour when it is a single-colour shape
+     */
+    getImageSource(particle) {
+        const entry = this.loadImage(particle.image);
+        const { element } = entry;
+        if (!element.complete || !element.naturalWidth) return null;
+
+        if (!particle.tint) return element;
+
+        const color = particle.color || '#e74c3c';
+        if (!entry.tinted.has(color)) {
+            const resolution = this.config.imageResolution;
+            const { width, height } = this.fitSize(element.naturalWidth, element.naturalHeight, resolution);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width));
+            canvas.height = Math.max(1, Math.round(height));
+
+            // Keep the shape, replace its colour
+            const context = canvas.getContext('2d');
+            context.drawImage(element, 0, 0, canvas.width, canvas.height);
+            context.globalCompositeOperation = 'source-in';
+            context.fillStyle = color;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            entry.tinted.set(color, canvas);
+        }
+
+        return entry.tinted.get(color);
+    }
+
+    /**
+     * Fit a picture inside a square of the given size, keeping its shape
+     */
+    fitSize(width, height, size) {
+        const scale = size / Math.max(width, height, 1);
+        return { width: width * scale, height: height * scale };
+    }
+
+    /**
+     * Show a particle's emoji or picture on its pooled element
+     */
+    dressElement(particle) {
+        const { element } = particle;
+        const isConfetti = particle.shape === 'confetti';
+        const isImage = !isConfetti && Boolean(particle.image);
+
+        element.textContent = isImage || isConfetti ? '' : particle.glyph;
+        element.classList.toggle('particle-confetti', isConfetti);
+        element.classList.toggle('particle-image', isImage && !particle.tint);
+        element.classList.toggle('particle-tinted', isImage && particle.tint);
+        if (isImage) {
+            element.style.setProperty('--particle-image', `url("${particle.image}")`);
+        } else {
+            element.style.removeProperty('--particle-image');
+        }
+        element.style.fontSize = `${particle.size}px`;
+        element.style.color = particle.color || '';
+    }
+
+    /**
+     * Position the pooled elements of the live particles
+     */
+    drawDOM() {
+        this.active.forEach(particle => {
+            const { element } = particle;
+            element.hidden = particle.age < 0;
+            if (element.hidden) return;
+
+            element.style.opacity = particle.alpha.toFixed(3);
+            const flip = particle.shape === 'confetti' ? Math.cos(particle.age / 120) : 1;
+            element.style.transform = `translate(${particle.x.toFixed(1)}px, ${particle.y.toFixed(1)}px) ` +
+                `translate(-50%, -50%) rotate(${particle.rotation.toFixed(1)}deg) ` +
+                `scale(${particle.scale.toFixed(3)}, ${(particle.scale * flip).toFixed(3)})`;
+        });
+    }
+
+    /**
+     * Match the canvas to the viewport and screen density
+     */
+    handleResize() {
+        this.state.width = window.innerWidth;
+        this.state.height = window.innerHeight;
+        this.state.pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+
+        const { canvas } = this.elements;
+        if (canvas) {
+            canvas.width = Math.round(this.state.width * this.state.pixelRatio);
+            canvas.height = Math.round(this.state.height * this.state.pixelRatio);
+            this.draw();
+        }
+    }
+
+    /**
+     * Pause while the page is hidden and pick up where it left off afterwards
+     */
+    handleVisibilityChange() {
+        this.state.isHidden = document.hidden;
+
+        if (this.state.isHidden) {
+            this.sleep();
+        } else {
+            this.wake();
+        }
+    }
+
+    /**
+     * Freeze every particle and emitter
+     */
+    pause() {
+        this.state.isPaused = true;
+        this.sleep();
+    }
+
+    /**
+     * Continue after pause()
+     */
+    resume() {
+        this.state.isPaused = false;
+        this.wake();
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+
+        if (this.config.accessibilityMode) {
+            this.emitters.forEach(emitter => emitter.stop());
+            this.clear();
+        }
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        this.sleep();
+        this.emitters.clear();
+        this.active = [];
+        this.pool = [];
+        this.images.clear();
+
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.elements.canvas?.remove();
+        this.elements.layer?.remove();
+        this.elements = {};
+    }
+}
+
+export default ParticleEngine;
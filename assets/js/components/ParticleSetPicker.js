@@ -0,0 +1,266 @@
+/**
+ * ParticleSetPicker Component - Heart Set Editing
+ * Chooses which hearts float around a letter in the customization panel
+ *
+ * Features:
+ * - One checkbox per heart set; ticking several mixes them, ticking none follows the theme
+ * - A note naming the theme's own sets while none are ticked
+ * - Uploaded pictures with thumbnails and remove buttons (processing is handled by the app)
+ * - Change callbacks for saving and previews
+ */
+
+import ParticleSet from '../models/ParticleSet.js';
+
+class ParticleSetPicker {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#particleSetPicker',
+            maxImages: options.maxImages || ParticleSet.maxImages
+        };
+
+        // State management
+        this.state = {
+            sets: [],
+            images: [],
+            themeSets: [...ParticleSet.themeDefaults.sets]
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            options: null,
+            note: null,
+            imageList: null,
+            addButton: null,
+            fileInput: null
+        };
+
+        // Event handlers
+        this.eventHandlers = {
+            onAddFiles: options.onAddFiles || null,
+            onChange: options.onChange || null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the ParticleSetPicker component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+            this.render();
+        } catch (error) {
+            console.error('ParticleSetPicker initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references and the set checkboxes
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`ParticleSetPicker container not found: ${this.config.container}`);
+        }
+
+        const { container } = this.elements;
+        this.elements.options = container.querySelector('.particle-set-options');
+        this.elements.note = container.querySelector('.particle-theme-note');
+        this.elements.imageList = container.querySelector('.particle-image-list');
+        this.elements.addButton = container.querySelector('.add-particle-image-btn');
+        this.elements.fileInput = container.querySelector('.particle-file-input');
+
+        this.elements.options.innerHTML = '';
+        ParticleSet.sets.forEach(set => {
+            const label = document.createElement('label');
+            label.className = 'particle-set-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = set;
+
+            const text = document.createElement('span');
+            text.textContent = ParticleSet.labels[set];
+
+            label.append(checkbox, text);
+            this.elements.options.appendChild(label);
+        });
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.options.addEventListener('change', (event) => {
+            if (event.target.type !== 'checkbox') return;
+
+            const checked = new Set(
+                Array.from(this.elements.options.querySelectorAll('input:checked')).map(input => input.value)
+            );
+            this.state.sets = ParticleSet.sets.filter(set => checked.has(set));
+            this.renderNote();
+            this.notifyChange();
+        });
+
+        // Remove buttons
+        this.elements.imageList.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.particle-image-remove');
+            if (!removeBtn) return;
+
+            const item = removeBtn.closest('.particle-image-item');
+            this.removeImage(Array.from(this.elements.imageList.children).indexOf(item));
+        });
+
+        if (this.elements.addButton && this.elements.fileInput) {
+            this.elements.addButton.addEventListener('click', () => {
+                this.elements.fileInput.click();
+            });
+
+            this.elements.fileInput.addEventListener('change', () => {
+                const files = Array.from(this.elements.fileInput.files);
+                // Allow the same picture to be picked again
+                this.elements.fileInput.value = '';
+
+                if (files.length > 0 && this.eventHandlers.onAddFiles) {
+                    this.eventHandlers.onAddFiles(files);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show a letter's heart choice
+     */
+    setParticles(particles) {
+        const { sets, images } = ParticleSet.normalize(particles);
+        this.state.sets = sets;
+        this.state.images = images;
+        this.render();
+    }
+
+    /**
+     * Get the heart choice as saved with the letter
+     */
+    getParticles() {
+        return { sets: [...this.state.sets], images: [...this.state.images] };
+    }
+
+    /**
+     * Name the theme's own sets, used while no set is ticked
+     */
+    setThemeSets(sets) {
+        this.state.themeSets = Array.isArray(sets) && sets.length > 0 ? [...sets] : [...ParticleSet.themeDefaults.sets];
+        this.renderNote();
+    }
+
+    /**
+     * Append newly prepared pictures and switch their set on
+     */
+    addImages(images) {
+        const room = this.getRemainingSlots();
+        this.state.images.push(...images.slice(0, room));
+
+        if (!this.state.sets.includes('custom')) {
+            this.state.sets = ParticleSet.sets.filter(set => set === 'custom' || this.state.sets.includes(set));
+        }
+
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Remove an uploaded picture
+     */
+    removeImage(index) {
+        if (index < 0 || index >= this.state.images.length) return;
+
+        this.state.images.splice(index, 1);
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * How many more pictures fit
+     */
+    getRemainingSlots() {
+        return Math.max(0, this.config.maxImages - this.state.images.length);
+    }
+
+    /**
+     * Render the checkboxes, thumbnails and note
+     */
+    render() {
+        this.elements.options.querySelectorAll('input').forEach(input => {
+            input.checked = this.state.sets.includes(input.value);
+        });
+
+        this.renderImages();
+        this.renderNote();
+
+        if (this.elements.addButton) {
+            this.elements.addButton.disabled = this.getRemainingSlots() === 0;
+        }
+    }
+
+    /**
+     * Render a thumbnail row per uploaded picture
+     */
+    renderImages() {
+        const { imageList } = this.elements;
+        imageList.innerHTML = '';
+
+        this.state.images.forEach((image, index) => {
+            const item = document.createElement('li');
+            item.className = 'particle-image-item';
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'particle-image-thumbnail';
+            thumbnail.src = image;
+            thumbnail.alt = `Heart picture ${index + 1}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'particle-image-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove heart picture ${index + 1}`);
+
+            item.append(thumbnail, removeBtn);
+            imageList.appendChild(item);
+        });
+
+        imageList.classList.toggle('hidden', this.state.images.length === 0);
+    }
+
+    /**
+     * Explain which hearts will be used
+     */
+    renderNote() {
+        const { note } = this.elements;
+        if (!note) return;
+
+        if (this.state.sets.length === 0) {
+            note.textContent = `Using the theme's hearts: ${ParticleSet.describe(this.state.themeSets)}.`;
+        } else if (this.state.sets.includes('custom') && this.state.images.length === 0) {
+            note.textContent = `Add a picture for ${ParticleSet.labels.custom}.`;
+        } else {
+            note.textContent = '';
+        }
+        note.classList.toggle('hidden', !note.textContent);
+    }
+
+    /**
+     * Notify listeners that the choice changed
+     */
+    notifyChange() {
+        if (this.eventHandlers.onChange) {
+            this.eventHandlers.onChange(this.getParticles());
+        }
+    }
+}
+
+export default ParticleSetPicker;
@@ -0,0 +1,196 @@
+/**
+ * PhotoLightbox Component - Enlarged Letter Photos
+ * Shows a letter photo full-screen with its caption
+ *
+ * Features:
+ * - Previous and next buttons plus arrow keys for letters with several photos
+ * - Escape, the close button or a click on the backdrop closes it
+ * - Focus moves into the lightbox and returns to the photo afterwards
+ */
+
+class PhotoLightbox {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#photoLightbox'
+        };
+
+        // State management
+        this.state = {
+            isOpen: false,
+            photos: [],
+            index: 0,
+            returnFocus: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            image: null,
+            caption: null,
+            counter: null,
+            closeBtn: null,
+            prevBtn: null,
+            nextBtn: null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the PhotoLightbox component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('PhotoLightbox initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`PhotoLightbox container not found: ${this.config.container}`);
+        }
+
+        const { container } = this.elements;
+        this.elements.image = container.querySelector('.lightbox-image');
+        this.elements.caption = container.querySelector('.lightbox-caption');
+        this.elements.counter = container.querySelector('.lightbox-counter');
+        this.elements.closeBtn = container.querySelector('[data-lightbox-action="close"]');
+        this.elements.prevBtn = container.querySelector('[data-lightbox-action="prev"]');
+        this.elements.nextBtn = container.querySelector('[data-lightbox-action="next"]');
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-lightbox-action]');
+
+            if (button) {
+                switch (button.dataset.lightboxAction) {
+                    case 'close':
+                        this.close();
+                        break;
+                    case 'prev':
+                        this.step(-1);
+                        break;
+                    case 'next':
+                        this.step(1);
+                        break;
+                }
+            } else if (event.target === this.elements.container) {
+                this.close();
+            }
+        });
+
+        // Keys stay inside the lightbox so the letter's reveal shortcuts do not fire
+        this.elements.container.addEventListener('keydown', (event) => {
+            switch (event.key) {
+                case 'Escape':
+                    this.close();
+                    break;
+                case 'ArrowLeft':
+                    this.step(-1);
+                    break;
+                case 'ArrowRight':
+                    this.step(1);
+                    break;
+                case 'Tab':
+                    this.trapFocus(event);
+                    return;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        });
+    }
+
+    /**
+     * Open the lightbox at one of a letter's photos
+     */
+    open(photos, index = 0) {
+        if (!this.elements.container || photos.length === 0) return;
+
+        this.state.photos = photos;
+        this.state.isOpen = true;
+        this.state.returnFocus = document.activeElement;
+
+        this.elements.container.classList.remove('hidden');
+        this.show(index);
+        this.elements.closeBtn?.focus();
+    }
+
+    /**
+     * Close the lightbox and return focus to where it was
+     */
+    close() {
+        if (!this.state.isOpen) return;
+
+        this.state.isOpen = false;
+        this.elements.container.classList.add('hidden');
+        this.elements.image.removeAttribute('src');
+
+        this.state.returnFocus?.focus?.();
+        this.state.returnFocus = null;
+    }
+
+    /**
+     * Show the photo at an index
+     */
+    show(index) {
+        const { photos } = this.state;
+        this.state.index = (index + photos.length) % photos.length;
+
+        const photo = photos[this.state.index];
+        this.elements.image.src = photo.src;
+        this.elements.image.alt = photo.alt;
+        this.elements.caption.textContent = photo.caption || '';
+        this.elements.caption.classList.toggle('hidden', !photo.caption);
+
+        const single = photos.length < 2;
+        this.elements.counter.textContent = single ? '' : `${this.state.index + 1} / ${photos.length}`;
+        [this.elements.prevBtn, this.elements.nextBtn].forEach(button => {
+            button?.classList.toggle('hidden', single);
+        });
+    }
+
+    /**
+     * Move to the previous or next photo
+     */
+    step(direction) {
+        if (this.state.photos.length > 1) {
+            this.show(this.state.index + direction);
+        }
+    }
+
+    /**
+     * Keep Tab focus on the lightbox buttons
+     */
+    trapFocus(event) {
+        const buttons = Array.from(this.elements.container.querySelectorAll('button:not(.hidden)'));
+        if (buttons.length === 0) return;
+
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+export default PhotoLightbox;
@@ -0,0 +1,296 @@
+/**
+ * PhotoListEditor Component - Letter Photo Editing
+ * Manages the photos attached to a letter in the customization panel
+ *
+ * Features:
+ * - Add photos from a file picker (dropping them on the panel is handled by the app)
+ * - Alt text and caption for each photo
+ * - Placement after any paragraph or in the gallery under the signature
+ * - Change callbacks for saving and previews
+ */
+
+import LetterPhoto from '../models/LetterPhoto.js';
+
+class PhotoListEditor {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#photoList',
+            addButton: options.addButton || '#addPhotoBtn',
+            fileInput: options.fileInput || '#photoFileInput',
+            maxPhotos: options.maxPhotos || LetterPhoto.maxPhotos
+        };
+
+        // State management
+        this.state = {
+            photos: [],
+            paragraphCount: 1
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            addButton: null,
+            fileInput: null
+        };
+
+        // Event handlers
+        this.eventHandlers = {
+            onAddFiles: options.onAddFiles || null,
+            onChange: options.onChange || null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the PhotoListEditor component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+            this.render();
+        } catch (error) {
+            console.error('PhotoListEditor initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`PhotoListEditor container not found: ${this.config.container}`);
+        }
+
+        this.elements.addButton = document.querySelector(this.config.addButton);
+        this.elements.fileInput = document.querySelector(this.config.fileInput);
+    }
+
+    /**
+     * Set up delegated event listeners
+     */
+    setupEventListeners() {
+        const { container } = this.elements;
+
+        // Typing alt text or a caption
+        container.addEventListener('input', (event) => {
+            const field = event.target.dataset.photoField;
+            if (!field) return;
+
+            this.state.photos[this.getItemIndex(event.target)][field] = event.target.value;
+            this.notifyChange();
+        });
+
+        // Choosing where the photo goes
+        container.addEventListener('change', (event) => {
+            if (!event.target.classList.contains('photo-placement')) return;
+
+            const photo = this.state.photos[this.getItemIndex(event.target)];
+            const [placement, after] = event.target.value.split(':');
+            photo.placement = placement;
+            photo.afterParagraph = placement === 'inline' ? Number(after) : undefined;
+            this.notifyChange();
+        });
+
+        // Remove buttons
+        container.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.photo-remove');
+            if (removeBtn) {
+                this.removePhoto(this.getItemIndex(removeBtn));
+            }
+        });
+
+        if (this.elements.addButton && this.elements.fileInput) {
+            this.elements.addButton.addEventListener('click', () => {
+                this.elements.fileInput.click();
+            });
+
+            this.elements.fileInput.addEventListener('change', () => {
+                const files = Array.from(this.elements.fileInput.files);
+                // Allow the same photo to be picked again
+                this.elements.fileInput.value = '';
+
+                if (files.length > 0 && this.eventHandlers.onAddFiles) {
+                    this.eventHandlers.onAddFiles(files);
+                }
+            });
+        }
+    }
+
+    /**
+     * Replace all photos (each with a displayable src)
+     */
+    setPhotos(photos) {
+        this.state.photos = (photos || []).slice(0, this.config.maxPhotos).map(photo => ({ ...photo }));
+        this.render();
+    }
+
+    /**
+     * Append newly stored photos
+     */
+    addPhotos(photos) {
+        const room = this.config.maxPhotos - this.state.photos.length;
+        photos.slice(0, room).forEach(photo => {
+            this.state.photos.push({ placement: 'gallery', ...photo });
+        });
+
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Get the photos as letter metadata (alt text is required, so blanks get a default)
+     */
+    getPhotos() {
+        return this.state.photos.map(photo => LetterPhoto.toMetadata({
+            ...photo,
+            alt: photo.alt.trim() || 'Photo',
+            caption: photo.caption?.trim() || undefined
+        }));
+    }
+
+    /**
+     * Get the photos with their displayable src for previews
+     */
+    getResolvedPhotos() {
+        return this.getPhotos().map((photo, index) => ({ ...photo, src: this.state.photos[index].src }));
+    }
+
+    /**
+     * Count how many more photos can be added
+     */
+    getRemainingSlots() {
+        return this.config.maxPhotos - this.state.photos.length;
+    }
+
+    /**
+     * Set how many paragraphs photos can be placed after
+     */
+    setParagraphCount(count) {
+        const paragraphCount = Math.max(1, count);
+        if (paragraphCount === this.state.paragraphCount) return;
+
+        this.state.paragraphCount = paragraphCount;
+        this.render();
+    }
+
+    /**
+     * Remove a photo by index
+     */
+    removePhoto(index) {
+        this.state.photos.splice(index, 1);
+        this.render();
+        this.notifyChange();
+
+        const buttons = this.elements.container.querySelectorAll('.photo-remove');
+        (buttons[Math.min(index, buttons.length - 1)] || this.elements.addButton)?.focus();
+    }
+
+    /**
+     * Render photo rows
+     */
+    render() {
+        const { container } = this.elements;
+        container.innerHTML = '';
+
+        this.state.photos.forEach((photo, index) => {
+            const item = document.createElement('li');
+            item.className = 'photo-item';
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'photo-thumbnail';
+            thumbnail.src = photo.src;
+            thumbnail.alt = '';
+
+            const fields = document.createElement('div');
+            fields.className = 'photo-fields';
+            fields.append(
+                this.createTextField(photo, index, 'alt', 'Alt text', LetterPhoto.maxAltLength),
+                this.createTextField(photo, index, 'caption', 'Caption', LetterPhoto.maxCaptionLength),
+                this.createPlacementSelect(photo, index)
+            );
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'photo-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove photo ${index + 1}`);
+
+            item.append(thumbnail, fields, removeBtn);
+            container.appendChild(item);
+        });
+
+        if (this.elements.addButton) {
+            this.elements.addButton.disabled = this.state.photos.length >= this.config.maxPhotos;
+        }
+    }
+
+    /**
+     * Create an alt text or caption input
+     */
+    createTextField(photo, index, field, label, maxLength) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'photo-input';
+        input.dataset.photoField = field;
+        input.value = photo[field] || '';
+        input.maxLength = maxLength;
+        input.placeholder = field === 'alt' ? 'Describe the photo' : 'Optional';
+        input.setAttribute('aria-label', `${label} for photo ${index + 1}`);
+        input.required = field === 'alt';
+        return input;
+    }
+
+    /**
+     * Create the placement select for a photo
+     */
+    createPlacementSelect(photo, index) {
+        const select = document.createElement('select');
+        select.className = 'photo-placement';
+        select.setAttribute('aria-label', `Where to show photo ${index + 1}`);
+
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+
+        addOption('gallery', 'In the gallery');
+        for (let n = 1; n <= this.state.paragraphCount; n++) {
+            addOption(`inline:${n}`, `After paragraph ${n}`);
+        }
+
+        // Keep a placement beyond the current text so shortening the letter never moves it
+        const after = photo.afterParagraph;
+        if (photo.placement === 'inline' && after > this.state.paragraphCount) {
+            addOption(`inline:${after}`, `After paragraph ${after}`);
+        }
+
+        select.value = photo.placement === 'inline' ? `inline:${after}` : 'gallery';
+        return select;
+    }
+
+    /**
+     * Find the row index for an element inside it
+     */
+    getItemIndex(element) {
+        const item = element.closest('.photo-item');
+        return Array.from(this.elements.container.children).indexOf(item);
+    }
+
+    /**
+     * Fire the change callback
+     */
+    notifyChange() {
+        if (this.eventHandlers.onChange) {
+            this.eventHandlers.onChange(this.getPhotos());
+        }
+    }
+}
+
+export default PhotoListEditor;
@@ -0,0 +1,225 @@
+/**
+ * ReplyComposer Component - Recipient Reply Letters
+ * A small form for writing back once a letter has been read
+ *
+ * Features:
+ * - Intro messages (one per line), letter paragraphs and a signature
+ * - The same limits as the sender's editor, with readable error messages
+ * - Reply link and reply file actions that keep the composer open
+ * - Focus management and Escape to close
+ */
+
+import SlideMessage from '../models/SlideMessage.js';
+import RichText from '../models/RichText.js';
+
+class ReplyComposer {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#replyComposer',
+            maxMessages: options.maxMessages || 20,
+            maxMessageLength: options.maxMessageLength || 20,
+            maxSignatureLength: options.maxSignatureLength || 50
+        };
+
+        // State management
+        this.state = {
+            isOpen: false,
+            isBusy: false,
+            returnFocus: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            form: null,
+            original: null,
+            messagesInput: null,
+            letterInput: null,
+            signatureInput: null,
+            status: null,
+            closeBtn: null
+        };
+
+        // Event callbacks; each receives the draft and may return a promise
+        this.eventHandlers = {
+            onCreateLink: options.onCreateLink || null,
+            onCreateFile: options.onCreateFile || null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the ReplyComposer component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('ReplyComposer initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`ReplyComposer container not found: ${this.config.container}`);
+        }
+
+        const { container } = this.elements;
+        this.elements.form = container.querySelector('.reply-form');
+        this.elements.original = container.querySelector('.reply-original');
+        this.elements.messagesInput = container.querySelector('.reply-messages-input');
+        this.elements.letterInput = container.querySelector('.reply-letter-input');
+        this.elements.signatureInput = container.querySelector('.reply-signature-input');
+        this.elements.status = container.querySelector('.reply-status');
+        this.elements.closeBtn = container.querySelector('.reply-close');
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Enter in the signature field makes a link, like the first action button
+        this.elements.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit('link');
+        });
+
+        this.elements.form.querySelectorAll('[data-reply-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.submit(button.dataset.replyAction);
+            });
+        });
+
+        this.elements.closeBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.elements.container.addEventListener('keydown', (event) => {
+            // The letter's own shortcuts stay quiet while typing a reply
+            event.stopPropagation();
+
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the composer for a letter
+     */
+    open(original) {
+        if (!this.elements.container) return;
+
+        this.state.isOpen = true;
+        this.state.returnFocus = document.activeElement;
+
+        this.elements.original.textContent = `In reply to "${original.title}"`;
+        this.showStatus('');
+
+        this.elements.container.classList.remove('hidden');
+        this.elements.messagesInput.focus();
+    }
+
+    /**
+     * Hide the composer; the draft is kept in case the reader comes back
+     */
+    close() {
+        if (!this.state.isOpen) return;
+
+        this.state.isOpen = false;
+        this.elements.container.classList.add('hidden');
+
+        this.state.returnFocus?.focus?.();
+        this.state.returnFocus = null;
+    }
+
+    /**
+     * Read the draft, or return the problems that keep it from being sent
+     */
+    getDraft() {
+        const messages = this.elements.messagesInput.value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        const letterText = RichText.getParagraphs(this.elements.letterInput.value);
+        const signature = this.elements.signatureInput.value.trim();
+        const errors = [];
+
+        if (messages.length === 0) {
+            errors.push('Add at least one intro message.');
+        } else if (messages.length > this.config.maxMessages) {
+            errors.push(`Use at most ${this.config.maxMessages} intro messages.`);
+        } else if (!messages.every(message => SlideMessage.isValid(message, this.config.maxMessageLength))) {
+            errors.push(`Keep each intro message to ${this.config.maxMessageLength} characters.`);
+        }
+        if (letterText.length === 0) {
+            errors.push('Write a few words for your letter.');
+        } else if (RichText.findLongParagraph(letterText) !== -1) {
+            errors.push(`Keep each paragraph to ${RichText.maxParagraphLength} characters, with a blank line between paragraphs.`);
+        }
+        if (!signature) {
+            errors.push('Sign your reply.');
+        } else if (signature.length > this.config.maxSignatureLength) {
+            errors.push(`Keep your signature to ${this.config.maxSignatureLength} characters.`);
+        }
+
+        return { draft: { messages, letterText, signature }, errors };
+    }
+
+    /**
+     * Check the draft and hand it to the link or file action
+     */
+    async submit(action) {
+        if (!this.state.isOpen || this.state.isBusy) return;
+
+        const { draft, errors } = this.getDraft();
+        if (errors.length > 0) {
+            this.showStatus(errors.join(' '), true);
+            return;
+        }
+
+        const handler = action === 'file' ? this.eventHandlers.onCreateFile : this.eventHandlers.onCreateLink;
+        if (!handler) return;
+
+        this.setBusy(true);
+        try {
+            const message = await handler(draft);
+            this.showStatus(message || '');
+        } catch (error) {
+            console.warn('Failed to send reply:', error);
+            this.showStatus(error.message, true);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Toggle the busy state while a link or file is being made
+     */
+    setBusy(isBusy) {
+        this.state.isBusy = isBusy;
+        this.elements.container.classList.toggle('sending', isBusy);
+        this.elements.form.querySelectorAll('[data-reply-action]').forEach(button => {
+            button.disabled = isBusy;
+        });
+    }
+
+    /**
+     * Show a confirmation or an error under the form
+     */
+    showStatus(message, isError = false) {
+        this.elements.status.textContent = message;
+        this.elements.status.classList.toggle('hidden', !message);
+        this.elements.status.classList.toggle('reply-error', isError);
+    }
+}
+
+export default ReplyComposer;
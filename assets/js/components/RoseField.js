@@ -0,0 +1,338 @@
+/**
+ * RoseField Component - Procedural Background Roses
+ * Grows decorative roses in the free space around the letter
+ *
+ * Features:
+ * - Roses generated as SVG with a varied petal count, turn and size
+ * - Layout that keeps clear of the letter and intro (and of other roses)
+ * - Recomputed when the window or the letter changes size
+ * - Colours from the active theme's palette, switched without a new layout
+ * - Gentle bloom-in and sway, still under reduced motion
+ * - Density presets from no roses to a lush field
+ */
+
+import RoseDensity from '../models/RoseDensity.js';
+
+class RoseField {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#appContainer',
+            avoid: options.avoid || ['.letter-container', '.intro-slides-container'],
+            density: RoseDensity.normalize(options.density),
+            palette: options.palette || ['#d63384'],
+            accessibilityMode: options.accessibilityMode || false,
+            minSize: options.minSize || 48,
+            maxSize: options.maxSize || 96,
+            clearance: options.clearance || 16, // Space kept around the letter and between roses
+            maxAttempts: options.maxAttempts || 30,
+            seed: options.seed || 214
+        };
+
+        // State management
+        this.state = {
+            roses: [],
+            frameId: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            layer: null
+        };
+
+        this.resizeObserver = null;
+
+        // Bound handlers so they can be removed again
+        this.scheduleLayout = this.scheduleLayout.bind(this);
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the RoseField component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+            this.layout();
+        } catch (error) {
+            console.error('RoseField initialization failed:', error);
+        }
+    }
+
+    /**
+     * Create the layer the roses grow in
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`RoseField container not found: ${this.config.container}`);
+        }
+
+        const layer = document.createElement('div');
+        layer.className = 'rose-field';
+        layer.setAttribute('aria-hidden', 'true');
+        layer.classList.toggle('still', this.config.accessibilityMode);
+        this.elements.container.prepend(layer);
+        this.elements.layer = layer;
+    }
+
+    /**
+     * Lay the roses out again whenever the window, the page or the letter changes size
+     */
+    setupEventListeners() {
+        window.addEventListener('resize', this.scheduleLayout);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.scheduleLayout);
+            this.resizeObserver.observe(this.elements.container);
+            this.getAvoidedElements().forEach(element => this.resizeObserver.observe(element));
+        }
+    }
+
+    /**
+     * Get the elements roses keep clear of
+     */
+    getAvoidedElements() {
+        return this.config.avoid.flatMap(selector => Array.from(document.querySelectorAll(selector)));
+    }
+
+    /**
+     * Lay out once per frame, however many resizes arrive
+     */
+    scheduleLayout() {
+        if (this.state.frameId !== null) return;
+
+        this.state.frameId = requestAnimationFrame(() => {
+            this.state.frameId = null;
+            this.layout();
+        });
+    }
+
+    /**
+     * Place roses in the free space, trying random spots until each one fits
+     */
+    layout() {
+        const { container } = this.elements;
+        if (!container) return;
+
+        const bounds = container.getBoundingClientRect();
+        const { width, height } = bounds;
+        const obstacles = this.getObstacles(bounds);
+
+        const freeArea = Math.max(0, width * height - obstacles.reduce((area, rect) =>
+            area + (rect.right - rect.left) * (rect.bottom - rect.top), 0));
+        const target = RoseDensity.getCount(this.config.density, freeArea);
+
+        // The same seed gives the same field for the same layout
+        const random = this.createRandom(this.config.seed);
+        const sizeScale = Math.min(1, Math.max(0.6, Math.min(width, height) / 800));
+        const roses = [];
+
+        for (let i = 0; i < target; i++) {
+            const size = (this.config.minSize + random() * (this.config.maxSize - this.config.minSize)) * sizeScale;
+            const radius = size / 2;
+            if (width < size || height < size) break;
+
+            for (let attempt = 0; attempt < this.config.maxAttempts; attempt++) {
+                const x = radius + random() * (width - size);
+                const y = radius + random() * (height - size);
+
+                if (this.fits(x, y, radius, obstacles, roses)) {
+                    roses.push({
+                        x,
+                        y,
+                        size,
+                        petals: random() < 0.5 ? 5 : 6,
+                        turn: Math.round(random() * 72),
+                        colorIndex: Math.floor(random() * 1000),
+                        sway: 2 + random() * 4,
+                        swayDuration: 5 + random() * 4,
+                        delay: roses.length * 0.12
+                    });
+                    break;
+                }
+            }
+        }
+
+        this.state.roses = roses;
+        this.render();
+    }
+
+    /**
+     * Get the rectangles to keep clear of, relative to the container and padded by the clearance
+     */
+    getObstacles(bounds) {
+        const { clearance } = this.config;
+
+        return this.getAvoidedElements()
+            .map(element => element.getBoundingClientRect())
+            .filter(rect => rect.width > 0 && rect.height > 0)
+            .map(rect => ({
+                left: rect.left - bounds.left - clearance,
+                top: rect.top - bounds.top - clearance,
+                right: rect.right - bounds.left + clearance,
+                bottom: rect.bottom - bounds.top + clearance
+            }));
+    }
+
+    /**
+     * Check that a rose misses every obstacle and every rose already placed
+     */
+    fits(x, y, radius, obstacles, roses) {
+        const hitsObstacle = obstacles.some(rect => {
+            // Distance from the rose's centre to the nearest point of the rectangle
+            const dx = x - Math.max(rect.left, Math.min(x, rect.right));
+            const dy = y - Math.max(rect.top, Math.min(y, rect.bottom));
+            return dx * dx + dy * dy < radius * radius;
+        });
+        if (hitsObstacle) return false;
+
+        return roses.every(rose =>
+            Math.hypot(rose.x - x, rose.y - y) >= rose.size / 2 + radius + this.config.clearance
+        );
+    }
+
+    /**
+     * Make a small seeded random number generator (mulberry32)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Draw the laid-out roses
+     */
+    render() {
+        const { layer } = this.elements;
+        layer.innerHTML = '';
+
+        this.state.roses.forEach(rose => {
+            const element = document.createElement('div');
+            element.className = 'rose-bg';
+            element.style.left = `${rose.x.toFixed(1)}px`;
+            element.style.top = `${rose.y.toFixed(1)}px`;
+            element.style.width = `${rose.size.toFixed(1)}px`;
+            element.style.height = `${rose.size.toFixed(1)}px`;
+            element.style.setProperty('--rose-delay', `${rose.delay.toFixed(2)}s`);
+            element.style.setProperty('--rose-sway', `${rose.sway.toFixed(1)}deg`);
+            element.style.setProperty('--rose-sway-duration', `${rose.swayDuration.toFixed(1)}s`);
+            element.appendChild(this.createRoseSvg(rose));
+            layer.appendChild(element);
+        });
+
+        this.applyPalette();
+    }
+
+    /**
+     * Build one rose: leaves, two rings of petals and a curled centre, all in currentColor
+     */
+    createRoseSvg(rose) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', '0 0 100 100');
+
+        const add = (name, attributes) => {
+            const node = document.createElementNS(svgNS, name);
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+            svg.appendChild(node);
+            return node;
+        };
+
+        // Leaves behind the flower
+        add('ellipse', { class: 'rose-leaf', cx: 30, cy: 74, rx: 16, ry: 7, transform: 'rotate(-35 30 74)' });
+        add('ellipse', { class: 'rose-leaf', cx: 70, cy: 74, rx: 16, ry: 7, transform: 'rotate(35 70 74)' });
+
+        // Outer and inner petal rings, the inner one turned to sit between the outer petals
+        const ring = (count, distance, rx, ry, turn, opacity) => {
+            for (let i = 0; i < count; i++) {
+                const angle = turn + (360 / count) * i;
+                add('ellipse', {
+                    cx: 50,
+                    cy: 50 - distance,
+                    rx,
+                    ry,
+                    fill: 'currentColor',
+                    'fill-opacity': opacity,
+                    transform: `rotate(${angle} 50 50)`
+                });
+            }
+        };
+        ring(rose.petals, 18, 15, 20, rose.turn, 0.55);
+        ring(rose.petals, 9, 11, 14, rose.turn + 180 / rose.petals, 0.75);
+
+        add('circle', { cx: 50, cy: 50, r: 9, fill: 'currentColor', 'fill-opacity': 0.95 });
+        add('path', { class: 'rose-curl', d: 'M50 50 m-4 0 a4 4 0 1 1 4 4 a7 7 0 1 1 6 -8' });
+
+        return svg;
+    }
+
+    /**
+     * Colour each rose from the palette
+     */
+    applyPalette() {
+        const { palette } = this.config;
+        const elements = this.elements.layer?.children || [];
+
+        Array.from(elements).forEach((element, index) => {
+            const rose = this.state.roses[index];
+            element.style.color = palette[rose.colorIndex % palette.length];
+        });
+    }
+
+    /**
+     * Use the active theme's colours
+     */
+    setPalette(palette) {
+        this.config.palette = Array.isArray(palette) && palette.length > 0 ? palette : this.config.palette;
+        this.applyPalette();
+    }
+
+    /**
+     * Use a density preset
+     */
+    setDensity(density) {
+        const normalized = RoseDensity.normalize(density);
+        if (normalized === this.config.density) return;
+
+        this.config.density = normalized;
+        this.layout();
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+        this.config.density = RoseDensity.normalize(this.config.density);
+
+        this.elements.layer?.classList.toggle('still', this.config.accessibilityMode);
+        this.layout();
+    }
+
+    /**
+     * Destroy the component
+     */
+    destroy() {
+        window.removeEventListener('resize', this.scheduleLayout);
+        this.resizeObserver?.disconnect();
+        if (this.state.frameId !== null) {
+            cancelAnimationFrame(this.state.frameId);
+        }
+
+        this.elements.layer?.remove();
+        this.elements = {};
+    }
+}
+
+export default RoseField;
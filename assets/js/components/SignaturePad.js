@@ -0,0 +1,265 @@
+/**
+ * SignaturePad Component - Hand-Drawn Signature Capture
+ * A drawing surface in the customization panel for signing a letter
+ *
+ * Features:
+ * - Pointer event capture for mouse, touch and pen
+ * - Smoothed SVG paths, one per stroke (or several for a very long stroke)
+ * - Undo of the last stroke and clearing the pad, also for a drawing loaded from a saved letter
+ * - Strokes that would go over the limit are refused with a note under the pad
+ * - Change callbacks for live preview updates
+ */
+
+import SignatureDrawing from '../models/SignatureDrawing.js';
+
+class SignaturePad {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#signaturePad',
+            label: options.label || 'Signature drawing pad'
+        };
+
+        // State management
+        this.state = {
+            paths: [],
+            strokeSizes: [], // Paths per stroke, so undo removes a whole split stroke
+            stroke: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            surface: null,
+            undoButton: null,
+            clearButton: null,
+            status: null
+        };
+
+        // Event handlers
+        this.eventHandlers = {
+            onChange: options.onChange || null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the SignaturePad component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+            this.render();
+        } catch (error) {
+            console.error('SignaturePad initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references and the drawing surface
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`SignaturePad container not found: ${this.config.container}`);
+        }
+
+        const surface = SignatureDrawing.createSVG({
+            width: SignatureDrawing.width,
+            height: SignatureDrawing.height,
+            paths: []
+        }, 'signature-pad-surface');
+        surface.setAttribute('role', 'img');
+        surface.setAttribute('aria-label', this.config.label);
+
+        this.elements.container.prepend(surface);
+        this.elements.surface = surface;
+        this.elements.undoButton = this.elements.container.querySelector('[data-pad-action="undo"]');
+        this.elements.clearButton = this.elements.container.querySelector('[data-pad-action="clear"]');
+        this.elements.status = this.elements.container.querySelector('.signature-pad-status');
+    }
+
+    /**
+     * Set up drawing and button listeners
+     */
+    setupEventListeners() {
+        this.elements.surface.addEventListener('pointerdown', (event) => {
+            if (event.button === 0) {
+                this.startStroke(event);
+            }
+        });
+
+        if (this.elements.undoButton) {
+            this.elements.undoButton.addEventListener('click', () => {
+                this.undo();
+            });
+        }
+
+        if (this.elements.clearButton) {
+            this.elements.clearButton.addEventListener('click', () => {
+                this.clear();
+            });
+        }
+    }
+
+    /**
+     * Begin a stroke at the pointer
+     */
+    startStroke(event) {
+        event.preventDefault();
+        if (this.state.paths.length >= SignatureDrawing.maxStrokes) {
+            this.announceFull();
+            return;
+        }
+
+        this.elements.surface.setPointerCapture?.(event.pointerId);
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', 'signature-stroke');
+        this.elements.surface.appendChild(path);
+
+        this.state.stroke = { path, points: [this.getPoint(event)] };
+        path.setAttribute('d', SignatureDrawing.smooth(this.state.stroke.points));
+
+        const onMove = (moveEvent) => {
+            // Coalesced events keep fast pen and touch strokes smooth
+            const events = moveEvent.getCoalescedEvents?.() || [];
+            (events.length > 0 ? events : [moveEvent]).forEach(pointerEvent => {
+                this.state.stroke.points.push(this.getPoint(pointerEvent));
+            });
+            path.setAttribute('d', SignatureDrawing.smooth(this.state.stroke.points));
+        };
+
+        const onEnd = () => {
+            this.elements.surface.removeEventListener('pointermove', onMove);
+            this.elements.surface.removeEventListener('pointerup', onEnd);
+            this.elements.surface.removeEventListener('pointercancel', onEnd);
+
+            const paths = SignatureDrawing.toPaths(this.state.stroke.points);
+            this.state.stroke = null;
+
+            // A very long stroke splits into several paths, which may not all fit
+            if (this.state.paths.length + paths.length > SignatureDrawing.maxStrokes) {
+                this.render();
+                this.announceFull();
+                return;
+            }
+
+            if (paths.length > 0) {
+                this.state.paths.push(...paths);
+                this.state.strokeSizes.push(paths.length);
+            }
+
+            this.render();
+            this.notifyChange();
+        };
+
+        this.elements.surface.addEventListener('pointermove', onMove);
+        this.elements.surface.addEventListener('pointerup', onEnd);
+        this.elements.surface.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Convert a pointer position to drawing coordinates
+     */
+    getPoint(event) {
+        const rect = this.elements.surface.getBoundingClientRect();
+        const scaleX = rect.width ? SignatureDrawing.width / rect.width : 1;
+        const scaleY = rect.height ? SignatureDrawing.height / rect.height : 1;
+
+        return {
+            x: Math.min(SignatureDrawing.width, Math.max(0, (event.clientX - rect.left) * scaleX)),
+            y: Math.min(SignatureDrawing.height, Math.max(0, (event.clientY - rect.top) * scaleY))
+        };
+    }
+
+    /**
+     * Remove the last stroke
+     */
+    undo() {
+        if (this.state.paths.length === 0) return;
+
+        const size = this.state.strokeSizes.pop() || 1;
+        this.state.paths.splice(-size);
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Remove every stroke
+     */
+    clear() {
+        if (this.state.paths.length === 0) return;
+
+        this.state.paths = [];
+        this.state.strokeSizes = [];
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Get the drawing, or null when nothing has been drawn
+     */
+    getDrawing() {
+        if (this.state.paths.length === 0) return null;
+
+        return {
+            width: SignatureDrawing.width,
+            height: SignatureDrawing.height,
+            paths: [...this.state.paths]
+        };
+    }
+
+    /**
+     * Load a saved drawing (or clear the pad for null)
+     */
+    setDrawing(drawing) {
+        this.state.paths = SignatureDrawing.isValid(drawing) ? [...drawing.paths] : [];
+        this.state.strokeSizes = SignatureDrawing.getStrokeSizes(this.state.paths);
+        this.render();
+    }
+
+    /**
+     * Explain why a stroke was not kept
+     */
+    announceFull() {
+        if (this.elements.status) {
+            this.elements.status.textContent = 'Your signature has as many strokes as it can hold. Undo or clear to keep drawing.';
+        }
+    }
+
+    /**
+     * Redraw the surface from the stored strokes
+     */
+    render() {
+        if (!this.elements.surface) return;
+
+        const drawing = { width: SignatureDrawing.width, height: SignatureDrawing.height, paths: this.state.paths };
+        this.elements.surface.replaceChildren(...SignatureDrawing.createSVG(drawing).childNodes);
+        if (this.elements.status) {
+            this.elements.status.textContent = '';
+        }
+        this.elements.container.classList.toggle('is-empty', this.state.paths.length === 0);
+
+        if (this.elements.undoButton) {
+            this.elements.undoButton.disabled = this.state.paths.length === 0;
+        }
+        if (this.elements.clearButton) {
+            this.elements.clearButton.disabled = this.state.paths.length === 0;
+        }
+    }
+
+    /**
+     * Fire the change callback
+     */
+    notifyChange() {
+        if (this.eventHandlers.onChange) {
+            this.eventHandlers.onChange(this.getDrawing());
+        }
+    }
+}
+
+export default SignaturePad;
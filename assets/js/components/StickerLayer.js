@@ -0,0 +1,525 @@
+/**
+ * StickerLayer Component - Letter Decorations
+ * Shows stickers over the letter and lets the sender place and arrange them
+ *
+ * Features:
+ * - Sticker layer over the letter, positioned relative to it so stickers survive resizing
+ * - Tray with the content pack's heart emoji and the bundled pictures
+ * - Drag to move, handles to rotate and scale, a button to delete
+ * - Keyboard editing: arrows move, + and - resize, [ and ] rotate, Delete removes
+ * - Decorative only for readers: stickers are hidden from screen readers outside editing
+ */
+
+import Sticker from '../models/Sticker.js';
+
+class StickerLayer {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#letterSection .letter-container',
+            tray: options.tray || '#stickerTray',
+            emoji: options.emoji || [],
+
+            // Editing settings
+            moveStep: options.moveStep || 0.01,
+            scaleStep: options.scaleStep || 0.1,
+            rotateStep: options.rotateStep || 15
+        };
+
+        // State management
+        this.state = {
+            stickers: Sticker.normalizeList(options.stickers),
+            isEditing: false,
+            selectedId: null,
+            gesture: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            layer: null,
+            tray: null,
+            palette: null,
+            doneButton: null
+        };
+
+        // Event handlers
+        this.eventHandlers = {
+            onChange: options.onChange || null,
+            onDone: options.onDone || null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the StickerLayer component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+            this.render();
+        } catch (error) {
+            console.error('StickerLayer initialization failed:', error);
+        }
+    }
+
+    /**
+     * Create the layer and find the tray
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`StickerLayer container not found: ${this.config.container}`);
+        }
+
+        const layer = document.createElement('div');
+        layer.className = 'sticker-layer';
+        layer.setAttribute('aria-hidden', 'true');
+        this.elements.container.appendChild(layer);
+        this.elements.layer = layer;
+
+        this.elements.tray = document.querySelector(this.config.tray);
+        if (this.elements.tray) {
+            this.elements.palette = this.elements.tray.querySelector('.sticker-palette');
+            this.elements.doneButton = this.elements.tray.querySelector('.sticker-done');
+            this.renderPalette();
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        const { layer } = this.elements;
+
+        layer.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        layer.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        layer.addEventListener('pointerup', () => this.endGesture());
+        layer.addEventListener('pointercancel', () => this.endGesture());
+        layer.addEventListener('keydown', (event) => this.handleKeyboard(event));
+
+        // While decorating, taps belong to the stickers rather than the letter underneath
+        ['click', 'touchstart'].forEach(type => {
+            layer.addEventListener(type, (event) => {
+                if (this.state.isEditing) {
+                    event.stopPropagation();
+                }
+            });
+        });
+
+        layer.addEventListener('click', (event) => {
+            const deleteButton = event.target.closest('.sticker-delete');
+            if (deleteButton) {
+                this.removeSticker(deleteButton.closest('.sticker').dataset.stickerId);
+            }
+        });
+
+        // Place a sticker from the tray
+        this.elements.palette?.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-sticker-kind]');
+            if (option) {
+                this.addSticker(option.dataset.stickerKind, option.dataset.stickerValue);
+            }
+        });
+
+        this.elements.doneButton?.addEventListener('click', () => {
+            this.stopEditing();
+            if (this.eventHandlers.onDone) {
+                this.eventHandlers.onDone();
+            }
+        });
+    }
+
+    /**
+     * Build the tray's sticker buttons
+     */
+    renderPalette() {
+        if (!this.elements.palette) return;
+
+        const options = [
+            ...this.config.emoji
+                .filter(value => Sticker.isValidArt('emoji', value))
+                .map(value => ({ kind: 'emoji', value })),
+            ...Object.keys(Sticker.images).map(value => ({ kind: 'image', value }))
+        ];
+
+        this.elements.palette.replaceChildren(...options.map(({ kind, value }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sticker-option';
+            button.dataset.stickerKind = kind;
+            button.dataset.stickerValue = value;
+            button.setAttribute('aria-label', `Add ${Sticker.getLabel({ kind, value })} sticker`);
+            button.appendChild(Sticker.createArt({ kind, value }));
+            return button;
+        }));
+    }
+
+    /**
+     * Set the emoji offered in the tray
+     */
+    setEmoji(emoji) {
+        this.config.emoji = Array.isArray(emoji) ? emoji : [];
+        this.renderPalette();
+    }
+
+    /**
+     * Show a letter's stickers
+     */
+    setStickers(stickers) {
+        this.state.stickers = Sticker.normalizeList(stickers);
+        this.state.selectedId = null;
+        this.render();
+    }
+
+    /**
+     * Get a copy of the current stickers
+     */
+    getStickers() {
+        return this.state.stickers.map(sticker => ({ ...sticker }));
+    }
+
+    /**
+     * Draw every sticker, with handles on the selected one while editing
+     */
+    render() {
+        if (!this.elements.layer) return;
+
+        this.elements.layer.replaceChildren(...this.state.stickers
+            .map(sticker => this.createStickerElement(sticker))
+            .filter(Boolean));
+    }
+
+    /**
+     * Build one sticker, adding the editing controls when decorating
+     */
+    createStickerElement(sticker) {
+        const element = Sticker.createElement(sticker);
+        if (!element || !this.state.isEditing) return element;
+
+        const isSelected = sticker.id === this.state.selectedId;
+        element.tabIndex = 0;
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', `${Sticker.getLabel(sticker)} sticker`);
+        element.setAttribute('aria-pressed', String(isSelected));
+        element.setAttribute('aria-describedby', 'stickerTrayHint');
+        element.classList.toggle('selected', isSelected);
+
+        if (isSelected) {
+            const createHandle = (className, label) => {
+                const handle = document.createElement('span');
+                handle.className = `sticker-handle ${className}`;
+                handle.title = label;
+                handle.setAttribute('aria-hidden', 'true');
+                return handle;
+            };
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'sticker-delete';
+            deleteButton.textContent = '×';
+            deleteButton.setAttribute('aria-label', `Delete ${Sticker.getLabel(sticker)} sticker`);
+
+            element.append(
+                createHandle('sticker-rotate', 'Drag to rotate'),
+                createHandle('sticker-scale', 'Drag to resize'),
+                deleteButton
+            );
+        }
+
+        return element;
+    }
+
+    /**
+     * Start decorating: stickers become editable and the tray appears
+     */
+    startEditing() {
+        this.state.isEditing = true;
+        this.state.selectedId = null;
+        this.elements.layer.classList.add('editing');
+        this.elements.layer.removeAttribute('aria-hidden');
+        this.elements.tray?.classList.remove('hidden');
+        this.render();
+
+        this.elements.palette?.querySelector('button')?.focus();
+    }
+
+    /**
+     * Stop decorating and hide the tray
+     */
+    stopEditing() {
+        this.endGesture();
+        this.state.isEditing = false;
+        this.state.selectedId = null;
+        this.elements.layer.classList.remove('editing');
+        this.elements.layer.setAttribute('aria-hidden', 'true');
+        this.elements.tray?.classList.add('hidden');
+        this.render();
+    }
+
+    /**
+     * Add a sticker in the middle of the visible part of the letter
+     */
+    addSticker(kind, value) {
+        if (!Sticker.isValidArt(kind, value)) return;
+
+        if (this.state.stickers.length >= Sticker.maxStickers) {
+            this.announce(`You can place up to ${Sticker.maxStickers} stickers`);
+            return;
+        }
+
+        const sticker = Sticker.create(kind, value, { x: 0.5, y: this.getVisibleCenter() });
+        this.state.stickers.push(sticker);
+        this.select(sticker.id);
+        this.emitChange();
+    }
+
+    /**
+     * Remove a sticker
+     */
+    removeSticker(id) {
+        const index = this.state.stickers.findIndex(sticker => sticker.id === id);
+        if (index === -1) return;
+
+        this.state.stickers.splice(index, 1);
+        this.state.selectedId = null;
+        this.render();
+        this.emitChange();
+
+        // Keep keyboard users in the layer
+        const remaining = this.elements.layer.querySelector('.sticker');
+        (remaining || this.elements.palette?.querySelector('button'))?.focus();
+    }
+
+    /**
+     * Select a sticker and focus it
+     */
+    select(id) {
+        this.state.selectedId = id;
+        this.render();
+        this.getStickerElement(id)?.focus();
+    }
+
+    /**
+     * Get a sticker's element
+     */
+    getStickerElement(id) {
+        return this.elements.layer.querySelector(`[data-sticker-id="${id}"]`);
+    }
+
+    /**
+     * Get a sticker by id
+     */
+    getSticker(id) {
+        return this.state.stickers.find(sticker => sticker.id === id) || null;
+    }
+
+    /**
+     * Start moving, rotating or scaling a sticker
+     */
+    handlePointerDown(event) {
+        if (!this.state.isEditing || event.target.closest('.sticker-delete')) return;
+
+        const element = event.target.closest('.sticker');
+        if (!element) {
+            // Tapping the letter clears the selection
+            if (this.state.selectedId) {
+                this.state.selectedId = null;
+                this.render();
+            }
+            return;
+        }
+
+        event.preventDefault();
+        const sticker = this.getSticker(element.dataset.stickerId);
+        if (sticker.id !== this.state.selectedId) {
+            this.select(sticker.id);
+        }
+
+        const target = this.getStickerElement(sticker.id);
+        const point = this.toLayerPoint(event);
+        const center = this.getCenter(sticker);
+        const type = event.target.closest('.sticker-rotate') ? 'rotate'
+            : event.target.closest('.sticker-scale') ? 'scale'
+            : 'move';
+
+        this.state.gesture = {
+            type,
+            id: sticker.id,
+            pointerId: event.pointerId,
+            offsetX: sticker.x - point.x,
+            offsetY: sticker.y - point.y,
+            startScale: sticker.scale ?? 1,
+            startDistance: Math.max(1, Math.hypot(point.px - center.px, point.py - center.py))
+        };
+
+        target?.setPointerCapture?.(event.pointerId);
+        target?.classList.add('dragging');
+    }
+
+    /**
+     * Follow the pointer during a gesture
+     */
+    handlePointerMove(event) {
+        const { gesture } = this.state;
+        if (!gesture || event.pointerId !== gesture.pointerId) return;
+
+        const sticker = this.getSticker(gesture.id);
+        if (!sticker) return;
+
+        const point = this.toLayerPoint(event);
+        const center = this.getCenter(sticker);
+
+        switch (gesture.type) {
+            case 'move':
+                sticker.x = Sticker.round(Sticker.clamp(point.x + gesture.offsetX, 0, 1));
+                sticker.y = Sticker.round(Sticker.clamp(point.y + gesture.offsetY, 0, 1));
+                break;
+            case 'rotate':
+                // The rotate handle sits above the sticker, so straight up is no rotation
+                sticker.rotation = Sticker.normalizeRotation(
+                    Math.atan2(point.px - center.px, center.py - point.py) * 180 / Math.PI
+                );
+                break;
+            case 'scale': {
+                const distance = Math.hypot(point.px - center.px, point.py - center.py);
+                sticker.scale = Sticker.round(Sticker.clamp(
+                    gesture.startScale * distance / gesture.startDistance, Sticker.minScale, Sticker.maxScale
+                ));
+                break;
+            }
+        }
+
+        const element = this.getStickerElement(sticker.id);
+        if (element) {
+            Sticker.applyPosition(element, sticker);
+        }
+    }
+
+    /**
+     * Finish a gesture and report the change
+     */
+    endGesture() {
+        const { gesture } = this.state;
+        if (!gesture) return;
+
+        this.state.gesture = null;
+        this.getStickerElement(gesture.id)?.classList.remove('dragging');
+        this.emitChange();
+    }
+
+    /**
+     * Edit the focused sticker from the keyboard
+     */
+    handleKeyboard(event) {
+        if (!this.state.isEditing) return;
+
+        const element = event.target.closest?.('.sticker');
+        const sticker = element && event.target === element ? this.getSticker(element.dataset.stickerId) : null;
+        if (!sticker) return;
+
+        const step = event.shiftKey ? this.config.moveStep * 5 : this.config.moveStep;
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+
+        if (moves[event.key]) {
+            const [dx, dy] = moves[event.key];
+            sticker.x = Sticker.round(Sticker.clamp(sticker.x + dx, 0, 1));
+            sticker.y = Sticker.round(Sticker.clamp(sticker.y + dy, 0, 1));
+        } else if (event.key === '+' || event.key === '=' || event.key === '-' || event.key === '_') {
+            const direction = event.key === '+' || event.key === '=' ? 1 : -1;
+            sticker.scale = Sticker.round(Sticker.clamp(
+                (sticker.scale ?? 1) + direction * this.config.scaleStep, Sticker.minScale, Sticker.maxScale
+            ));
+        } else if (event.key === '[' || event.key === ']') {
+            const direction = event.key === ']' ? 1 : -1;
+            sticker.rotation = Sticker.normalizeRotation((sticker.rotation ?? 0) + direction * this.config.rotateStep);
+        } else if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.removeSticker(sticker.id);
+            return;
+        } else if (event.key === 'Enter' || event.key === ' ' || (event.key === 'Escape' && this.state.selectedId)) {
+            // Enter and Space select the sticker, Escape clears the selection
+            event.preventDefault();
+            event.stopPropagation();
+            this.select(event.key === 'Escape' ? null : sticker.id);
+            this.getStickerElement(sticker.id)?.focus();
+            return;
+        } else {
+            return;
+        }
+
+        // Keep the letter's own shortcuts (page turns, reveal controls) out of it
+        event.preventDefault();
+        event.stopPropagation();
+        Sticker.applyPosition(element, sticker);
+        this.emitChange();
+    }
+
+    /**
+     * Convert a pointer position to layer fractions and pixels from the layer's corner
+     */
+    toLayerPoint(event) {
+        const rect = this.elements.layer.getBoundingClientRect();
+        const px = event.clientX - rect.left;
+        const py = event.clientY - rect.top;
+
+        return {
+            px,
+            py,
+            x: rect.width ? px / rect.width : 0.5,
+            y: rect.height ? py / rect.height : 0.5
+        };
+    }
+
+    /**
+     * Get a sticker's centre in pixels from the layer's corner
+     */
+    getCenter(sticker) {
+        const rect = this.elements.layer.getBoundingClientRect();
+        return { px: sticker.x * rect.width, py: sticker.y * rect.height };
+    }
+
+    /**
+     * Find the vertical middle of the part of the letter on screen, as a fraction
+     */
+    getVisibleCenter() {
+        const rect = this.elements.layer.getBoundingClientRect();
+        if (!rect.height) return 0.5;
+
+        const top = Math.max(rect.top, 0);
+        const bottom = Math.min(rect.bottom, window.innerHeight || rect.bottom);
+        const middle = bottom > top ? (top + bottom) / 2 : rect.top + rect.height / 2;
+
+        return Sticker.round(Sticker.clamp((middle - rect.top) / rect.height, 0, 1));
+    }
+
+    /**
+     * Tell screen reader users about a limit through the tray hint
+     */
+    announce(message) {
+        const hint = this.elements.tray?.querySelector('.sticker-tray-status');
+        if (hint) {
+            hint.textContent = message;
+        }
+    }
+
+    /**
+     * Report the current stickers
+     */
+    emitChange() {
+        if (this.eventHandlers.onChange) {
+            this.eventHandlers.onChange(this.getStickers());
+        }
+    }
+}
+
+export default StickerLayer;
@@ -0,0 +1,231 @@
+/**
+ * UnlockScreen Component - Private Letter Passphrase Prompt
+ * Asks for the passphrase of an encrypted letter before anything is shown
+ *
+ * Features:
+ * - Themed full-screen prompt with the sender's hint
+ * - Limited number of attempts with a clear wrong-passphrase message
+ * - Option to continue without opening the letter
+ * - Focus management and Escape to give up
+ */
+
+class UnlockScreen {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            container: options.container || '#unlockScreen',
+            maxAttempts: options.maxAttempts || 5
+        };
+
+        // State management
+        this.state = {
+            attempts: 0,
+            isOpen: false,
+            isBusy: false,
+            unlock: null,
+            resolve: null,
+            reject: null
+        };
+
+        // DOM elements
+        this.elements = {
+            container: null,
+            form: null,
+            input: null,
+            submitBtn: null,
+            skipBtn: null,
+            hint: null,
+            error: null
+        };
+
+        // Initialize the component
+        this.init();
+    }
+
+    /**
+     * Initialize the UnlockScreen component
+     */
+    init() {
+        try {
+            this.setupDOM();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('UnlockScreen initialization failed:', error);
+        }
+    }
+
+    /**
+     * Set up DOM element references
+     */
+    setupDOM() {
+        this.elements.container = document.querySelector(this.config.container);
+        if (!this.elements.container) {
+            throw new Error(`UnlockScreen container not found: ${this.config.container}`);
+        }
+
+        const { container } = this.elements;
+        this.elements.form = container.querySelector('.unlock-form');
+        this.elements.input = container.querySelector('.unlock-input');
+        this.elements.submitBtn = container.querySelector('.unlock-submit');
+        this.elements.skipBtn = container.querySelector('.unlock-skip');
+        this.elements.hint = container.querySelector('.unlock-hint');
+        this.elements.error = container.querySelector('.unlock-error');
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.attempt();
+        });
+
+        this.elements.skipBtn.addEventListener('click', () => {
+            this.finish(null);
+        });
+
+        this.elements.container.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.finish(null);
+            }
+        });
+    }
+
+    /**
+     * Show the screen and resolve with the unlocked result, or null if the reader gives up
+     * The unlock callback receives the passphrase and throws when it is wrong
+     */
+    prompt({ hint = '', unlock }) {
+        if (!this.elements.container) {
+            return Promise.resolve(null);
+        }
+
+        this.state.attempts = 0;
+        this.state.unlock = unlock;
+        this.state.isOpen = true;
+
+        this.elements.hint.textContent = hint ? `Hint: ${hint}` : '';
+        this.elements.hint.classList.toggle('hidden', !hint);
+        this.elements.input.value = '';
+        this.elements.input.disabled = false;
+        this.elements.submitBtn.disabled = false;
+        this.showError('');
+
+        this.elements.container.classList.remove('hidden');
+        this.elements.input.focus();
+
+        return new Promise((resolve, reject) => {
+            this.state.resolve = resolve;
+            this.state.reject = reject;
+        });
+    }
+
+    /**
+     * Try the entered passphrase
+     */
+    async attempt() {
+        const passphrase = this.elements.input.value;
+        if (!this.state.isOpen || this.state.isBusy || !passphrase) return;
+
+        this.setBusy(true);
+
+        try {
+            const result = await this.state.unlock(passphrase);
+            this.finish(result);
+        } catch (error) {
+            if (error.code !== 'wrong-passphrase') {
+                this.fail(error);
+                return;
+            }
+
+            this.state.attempts++;
+            const remaining = this.config.maxAttempts - this.state.attempts;
+
+            if (remaining <= 0) {
+                this.lockOut();
+                return;
+            }
+
+            this.showError(`${error.message} ${remaining} ${remaining === 1 ? 'attempt' : 'attempts'} left.`);
+            this.elements.input.select();
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Stop accepting passphrases after too many wrong attempts
+     */
+    lockOut() {
+        this.elements.input.value = '';
+        this.elements.input.disabled = true;
+        this.elements.submitBtn.disabled = true;
+        this.showError('Too many wrong attempts. Ask the sender for the passphrase and open the letter again.');
+        this.elements.skipBtn.focus();
+    }
+
+    /**
+     * Toggle the busy state while a passphrase is being checked
+     */
+    setBusy(isBusy) {
+        this.state.isBusy = isBusy;
+        this.elements.container.classList.toggle('unlocking', isBusy);
+
+        if (this.state.attempts < this.config.maxAttempts) {
+            this.elements.submitBtn.disabled = isBusy;
+        }
+    }
+
+    /**
+     * Show or clear the error message
+     */
+    showError(message) {
+        this.elements.error.textContent = message;
+        this.elements.error.classList.toggle('hidden', !message);
+
+        // Restart the shake animation
+        this.elements.form.classList.remove('unlock-shake');
+        if (message) {
+            void this.elements.form.offsetWidth;
+            this.elements.form.classList.add('unlock-shake');
+        }
+    }
+
+    /**
+     * Hide the screen and resolve the pending prompt
+     */
+    finish(result) {
+        if (!this.state.isOpen) return;
+
+        const { resolve } = this.state;
+        this.close();
+        resolve(result);
+    }
+
+    /**
+     * Hide the screen and reject the pending prompt
+     */
+    fail(error) {
+        if (!this.state.isOpen) return;
+
+        const { reject } = this.state;
+        this.close();
+        reject(error);
+    }
+
+    /**
+     * Hide the screen and forget the pending prompt
+     */
+    close() {
+        this.state.isOpen = false;
+        this.state.unlock = null;
+        this.state.resolve = null;
+        this.state.reject = null;
+
+        this.elements.input.value = '';
+        this.elements.container.classList.add('hidden');
+    }
+}
+
+export default UnlockScreen;
@@ -12,8 +12,41 @@
  * - Mobile-responsive adjustments
  */
 
+import ParticleEngine from './components/ParticleEngine.js';
 import IntroSlides from './components/IntroSlides.js';
 import LetterDisplay from './components/LetterDisplay.js';
+import LivePreview from './components/LivePreview.js';
+import MessageListEditor from './components/MessageListEditor.js';
+import PhotoListEditor from './components/PhotoListEditor.js';
+import ParticleSetPicker from './components/ParticleSetPicker.js';
+import PhotoLightbox from './components/PhotoLightbox.js';
+import SignaturePad from './components/SignaturePad.js';
+import EnvelopeScene from './components/EnvelopeScene.js';
+import StickerLayer from './components/StickerLayer.js';
+import HeartEffects from './components/HeartEffects.js';
+import ReplyComposer from './components/ReplyComposer.js';
+import RoseField from './components/RoseField.js';
+import BackdropScene from './components/BackdropScene.js';
+import ParallaxLayers from './components/ParallaxLayers.js';
+import UnlockScreen from './components/UnlockScreen.js';
+import ContentProvider from './services/ContentProvider.js';
+import ShareLinkCodec from './services/ShareLinkCodec.js';
+import SettingsStore from './services/SettingsStore.js';
+import LetterLibrary from './services/LetterLibrary.js';
+import LetterFile from './services/LetterFile.js';
+import ImageProcessor from './services/ImageProcessor.js';
+import RichText from './models/RichText.js';
+import RevealMode from './models/RevealMode.js';
+import PageMode from './models/PageMode.js';
+import LetterDate from './models/LetterDate.js';
+import LetterPhoto from './models/LetterPhoto.js';
+import LetterEnvelope from './models/LetterEnvelope.js';
+import Sticker from './models/Sticker.js';
+import LetterReply from './models/LetterReply.js';
+import ParticleSet from './models/ParticleSet.js';
+import LetterEffects from './models/LetterEffects.js';
+import RoseDensity from './models/RoseDensity.js';
+import LetterBackdrop from './models/LetterBackdrop.js';
 
 class ValentineApp {
     constructor() {
@@ -24,6 +57,7 @@ class ValentineApp {
             enableSound: false,
             autoStart: true,
             persistSettings: true,
+            previewReturnDelay: 6000,
             debugMode: false
         };
 
@@ -33,7 +67,19 @@ class ValentineApp {
             introComplete: false,
             letterVisible: false,
             customizationOpen: false,
+            previewing: false,
+            decorating: false,
+            panelStickers: [],
+            particles: ParticleSet.normalize(),
+            replyDraft: null,
             userSettings: null,
+            sharedLetter: null,
+            lockedLetter: null,
+            letters: [],
+            activeLetterId: null,
+            photoUrls: new Map(),
+            photoRequestId: 0,
+            panelPhotoRequestId: 0,
             performanceMetrics: {
                 loadStart: performance.now(),
                 introStart: null,
@@ -47,7 +93,21 @@ class ValentineApp {
             introSlides: null,
             letterDisplay: null,
             customizationPanel: null,
-            heartAnimations: null
+            livePreview: null,
+            messageEditor: null,
+            signaturePad: null,
+            unlockScreen: null,
+            particleEngine: null
+        };
+
+        // Service instances
+        this.services = {
+            contentProvider: new ContentProvider(),
+            shareLink: new ShareLinkCodec(),
+            settingsStore: new SettingsStore(),
+            letterLibrary: new LetterLibrary(),
+            letterFile: new LetterFile(),
+            imageProcessor: new ImageProcessor()
         };
 
         // DOM elements
@@ -56,21 +116,16 @@ class ValentineApp {
             customizeBtn: null,
             restartBtn: null,
             customizationPanel: null,
+            previewBanner: null,
+            letterReply: null,
             appContainer: null
         };
 
-        // Default content
-        this.defaultContent = {
-            messages: ['Hi', 'Happy', "Valentine's", 'Day', 'Babe'],
-            letterText: [
-                "I know I have been very busy these past weeks, and I want to thank you for always being there for me. I can't imagine handling these responsibilities without you by my side.",
-                "Your presence brings me calm, even in the most stressful moments. No matter how many challenges I have to face, knowing you are with me gives me the strength to overcome anything.",
-                "You are my anchor in the storm, my peace in the chaos, and my joy in every ordinary moment. Your unwavering support and love mean more to me than words could ever express.",
-                "I promise to cherish you, support you, and love you not just today, but for all the days of my life. You are my everything, my forever, my heart.",
-                "Happy Valentine's Day, my love. Thank you for being you, and thank you for choosing to share your beautiful life with me."
-            ],
-            signature: 'Your Babe'
-        };
+        // Content pack (replaced by the loaded pack during init)
+        this.content = this.services.contentProvider.getBuiltInContent();
+
+        // Default content derived from the content pack
+        this.defaultContent = this.getDefaultsFromContent(this.content);
 
         // Initialize the application
         this.init();
@@ -86,9 +141,18 @@ class ValentineApp {
             // Set up DOM references
             await this.setupDOM();
 
+            // Load the content pack that drives defaults and themes
+            await this.loadContent();
+
             // Load user settings
             this.loadUserSettings();
 
+            // Load saved letters and pick the active one
+            await this.loadLetterLibrary();
+
+            // Decode a letter shared through the URL, if any
+            await this.loadSharedLetter();
+
             // Initialize components
             await this.initializeComponents();
 
@@ -104,11 +168,9 @@ class ValentineApp {
                 this.state.customizationOpen = false;
             }
 
-            // Set default theme to elegant
-            this.changeTheme('elegant');
-
-            // Add static SVG roses
-            this.addStaticRoses();
+            // Apply the saved or shared theme and heart sets
+            const letter = this.getLetterDefinition(this.getActiveSettings());
+            this.changeTheme(letter.theme, letter.particles);
 
             // Handle initial load
             await this.handleInitialLoad();
@@ -138,6 +200,8 @@ class ValentineApp {
         this.elements.restartBtn = document.querySelector('#restartBtn');
         this.elements.customizationPanel = document.querySelector('#customizationPanel');
         this.elements.appContainer = document.querySelector('#appContainer');
+        this.elements.previewBanner = document.querySelector('#previewBanner');
+        this.elements.letterReply = document.querySelector('#letterReply');
 
         // Verify critical elements exist
         if (!this.elements.appContainer) {
@@ -145,67 +209,429 @@ class ValentineApp {
         }
     }
 
+    /**
+     * Load the content pack and feed it into defaults, settings and themes
+     */
+    async loadContent() {
+        this.content = await this.services.contentProvider.load();
+        this.defaultContent = this.getDefaultsFromContent(this.content);
+
+        // Saved themes are only valid if the pack still offers them
+        this.services.settingsStore.updateConfig({ themes: Object.keys(this.content.themes) });
+
+        if (!this.content.settings.enableBackgroundHearts) {
+            this.config.enableHeartEffects = false;
+        }
+
+        this.renderThemeOptions();
+        this.renderModeOptions('#revealModeSelect', RevealMode);
+        this.renderModeOptions('#pageModeSelect', PageMode);
+        this.renderModeOptions('#roseDensitySelect', RoseDensity);
+        this.renderModeOptions('#backdropSceneSelect', { modes: LetterBackdrop.scenes, labels: LetterBackdrop.labels });
+        this.renderModeOptions('#backdropIntensitySelect', {
+            modes: LetterBackdrop.intensities,
+            labels: LetterBackdrop.intensityLabels
+        });
+        this.renderLetterDetailOptions();
+        this.renderEffectOptions();
+    }
+
+    /**
+     * Map a content pack to the default letter
+     */
+    getDefaultsFromContent(content) {
+        return {
+            messages: content.messages,
+            letterText: content.letterContent,
+            signature: content.signature,
+            title: content.title,
+            salutation: content.salutation,
+            closing: content.closing,
+            date: { ...LetterDate.defaults },
+            theme: content.settings.defaultTheme,
+            revealMode: RevealMode.defaultMode,
+            pageMode: PageMode.defaultMode,
+            signatureDrawing: null,
+            photos: [],
+            envelope: { ...LetterEnvelope.defaults },
+            stickers: [],
+            particles: ParticleSet.normalize(),
+            effects: { ...LetterEffects.defaults },
+            roseDensity: RoseDensity.defaultMode,
+            backdrop: { ...LetterBackdrop.defaults },
+            letterId: null,
+            replyTo: null
+        };
+    }
+
+    /**
+     * Get the animation speed multiplier from the content pack
+     */
+    getAnimationScale() {
+        const scales = { slow: 1.5, normal: 1, fast: 0.7 };
+        return scales[this.content.settings.defaultAnimationSpeed] || 1;
+    }
+
+    /**
+     * Build theme buttons from the content pack
+     */
+    renderThemeOptions() {
+        const themeOptions = this.elements.customizationPanel?.querySelector('.theme-options');
+        if (!themeOptions) return;
+
+        themeOptions.innerHTML = '';
+        Object.entries(this.content.themes).forEach(([key, theme]) => {
+            const button = document.createElement('button');
+            button.className = 'theme-btn';
+            button.dataset.theme = key;
+            button.textContent = theme.name;
+            button.setAttribute('aria-label', `${theme.name} theme`);
+            themeOptions.appendChild(button);
+        });
+    }
+
+    /**
+     * Build the options of a panel select from a mode model (reveal or page modes)
+     */
+    renderModeOptions(selector, model) {
+        const select = this.elements.customizationPanel?.querySelector(selector);
+        if (!select) return;
+
+        select.innerHTML = '';
+        model.modes.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = model.labels[mode];
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Build a switch for each heart effect
+     */
+    renderEffectOptions() {
+        const effectOptions = this.elements.customizationPanel?.querySelector('#effectOptions');
+        if (!effectOptions) return;
+
+        effectOptions.innerHTML = '';
+        LetterEffects.effects.forEach(effect => {
+            const label = document.createElement('label');
+            label.className = 'effect-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.effect = effect;
+
+            const text = document.createElement('span');
+            text.textContent = LetterEffects.labels[effect];
+
+            label.append(checkbox, text);
+            effectOptions.appendChild(label);
+        });
+    }
+
+    /**
+     * Build closing suggestions from the content pack and date format examples
+     */
+    renderLetterDetailOptions() {
+        const closingOptions = this.elements.customizationPanel?.querySelector('#closingOptions');
+        if (closingOptions) {
+            closingOptions.innerHTML = '';
+            this.content.signatures.forEach(closing => {
+                const option = document.createElement('option');
+                option.value = closing;
+                closingOptions.appendChild(option);
+            });
+        }
+
+        const formatSelect = this.elements.customizationPanel?.querySelector('#dateFormatSelect');
+        if (formatSelect) {
+            const today = new Date();
+            formatSelect.innerHTML = '';
+            Object.keys(LetterDate.formats).forEach(format => {
+                const option = document.createElement('option');
+                option.value = format;
+                option.textContent = LetterDate.format(today, format);
+                formatSelect.appendChild(option);
+            });
+        }
+    }
+
     /**
      * Load user settings from localStorage
      */
     loadUserSettings() {
         if (!this.config.persistSettings) return;
 
+        this.state.userSettings = this.services.settingsStore.load(this.defaultContent);
+
+        if (this.state.userSettings) {
+            console.log('💾 Loaded saved settings');
+        }
+    }
+
+    /**
+     * Load the saved letter library and make its active letter current
+     */
+    async loadLetterLibrary() {
+        const library = this.services.letterLibrary;
+        if (!library.isSupported()) return;
+
+        try {
+            let letters = await library.list();
+
+            // Seed the library with the current letter on first use
+            if (letters.length === 0) {
+                letters = [await library.create('My Valentine', this.getLetterDefinition(this.state.userSettings))];
+            }
+
+            const active = letters.find(record => record.id === library.getActiveId()) || letters[0];
+            library.setActiveId(active.id);
+
+            this.state.letters = letters;
+            this.state.activeLetterId = active.id;
+            this.state.userSettings = {
+                ...this.state.userSettings,
+                ...active.letter
+            };
+        } catch (error) {
+            console.warn('Letter library is unavailable:', error);
+            this.state.letters = [];
+            this.state.activeLetterId = null;
+        }
+    }
+
+    /**
+     * Load a letter shared through the URL fragment
+     */
+    async loadSharedLetter() {
+        if (!this.services.shareLink.hasLetter()) return;
+
         try {
-            // Clear old settings to force new default content
-            localStorage.removeItem('valentine-app-settings');
-            console.log('🗑️ Cleared old settings to load new default content');
+            const decoded = await this.services.shareLink.decode();
+
+            // Private letters stay encrypted until the unlock screen gets the passphrase
+            if (decoded?.locked) {
+                this.state.lockedLetter = decoded;
+                console.log('🔒 Shared letter is passphrase-protected');
+                return;
+            }
+
+            this.state.sharedLetter = decoded;
+            console.log('💌 Loaded shared letter from link');
         } catch (error) {
-            console.warn('Failed to clear user settings:', error);
+            console.warn('Failed to load shared letter:', error);
+            this.state.sharedLetter = null;
+            this.showNotification(error.message, 6000);
         }
     }
 
     /**
-     * Save user settings to localStorage
+     * Ask for the passphrase of a protected shared letter and show it once unlocked
      */
-    saveUserSettings() {
-        if (!this.config.persistSettings) return;
+    async unlockSharedLetter() {
+        const locked = this.state.lockedLetter;
+        this.state.lockedLetter = null;
 
+        let letter = null;
         try {
-            localStorage.setItem('valentine-app-settings', JSON.stringify(this.state.userSettings));
+            letter = await this.components.unlockScreen.prompt({
+                hint: locked.hint,
+                unlock: (passphrase) => this.services.shareLink.unlock(locked, passphrase)
+            });
         } catch (error) {
-            console.warn('Failed to save user settings:', error);
+            console.warn('Failed to unlock shared letter:', error);
+            this.showNotification(error.message, 6000);
+        }
+
+        if (!letter) {
+            // Fall back to the reader's own letter and drop the link
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            return;
         }
+
+        this.state.sharedLetter = letter;
+        console.log('💌 Unlocked shared letter from link');
+
+        this.populateCustomizationPanel();
+        this.applyCustomizations(this.getLetterDefinition(letter));
+    }
+
+    /**
+     * Get the settings currently on display (a shared letter wins over saved settings)
+     */
+    getActiveSettings() {
+        return this.state.sharedLetter || this.state.userSettings;
+    }
+
+    /**
+     * Drop the shared letter and remove it from the URL
+     */
+    clearSharedLetter() {
+        if (!this.state.sharedLetter) return;
+
+        this.state.sharedLetter = null;
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    /**
+     * Build a complete letter definition from settings, filling gaps with defaults
+     */
+    getLetterDefinition(settings = {}) {
+        return {
+            messages: settings?.messages || this.defaultContent.messages,
+            letterText: settings?.letterText || this.defaultContent.letterText,
+            signature: settings?.signature || this.defaultContent.signature,
+            title: settings?.title || this.defaultContent.title,
+            salutation: settings?.salutation ?? this.defaultContent.salutation,
+            closing: settings?.closing || this.defaultContent.closing,
+            date: settings?.date || this.defaultContent.date,
+            theme: settings?.theme || this.defaultContent.theme,
+            revealMode: settings?.revealMode || this.defaultContent.revealMode,
+            pageMode: settings?.pageMode || this.defaultContent.pageMode,
+            signatureDrawing: settings?.signatureDrawing || this.defaultContent.signatureDrawing,
+            photos: settings?.photos || this.defaultContent.photos,
+            envelope: settings?.envelope || this.defaultContent.envelope,
+            stickers: settings?.stickers || this.defaultContent.stickers,
+            particles: settings?.particles || this.defaultContent.particles,
+            effects: settings?.effects || this.defaultContent.effects,
+            roseDensity: settings?.roseDensity || this.defaultContent.roseDensity,
+            backdrop: settings?.backdrop || this.defaultContent.backdrop,
+            letterId: settings?.letterId || this.defaultContent.letterId,
+            replyTo: settings?.replyTo || this.defaultContent.replyTo
+        };
+    }
+
+    /**
+     * Save user settings to localStorage
+     */
+    saveUserSettings() {
+        if (!this.config.persistSettings) return;
+
+        this.services.settingsStore.save(this.state.userSettings);
     }
 
     /**
      * Initialize all components
      */
     async initializeComponents() {
-        // Get user customizations or use defaults
-        const messages = this.state.userSettings?.messages || this.defaultContent.messages;
-        const letterContent = this.state.userSettings?.letterText || this.defaultContent.letterText;
-        const signature = this.state.userSettings?.signature || this.defaultContent.signature;
+        // Get shared or user customizations or use defaults
+        const settings = this.getActiveSettings();
+        const messages = settings?.messages || this.defaultContent.messages;
+        const letterContent = settings?.letterText || this.defaultContent.letterText;
+        const signature = settings?.signature || this.defaultContent.signature;
+        const letter = this.getLetterDefinition(settings);
+
+        const scale = this.getAnimationScale();
+
+        // One shared engine draws every heart effect
+        this.components.particleEngine = new ParticleEngine({
+            container: 'body',
+            accessibilityMode: this.detectAccessibilityMode()
+        });
 
         // Initialize IntroSlides component
         this.components.introSlides = new IntroSlides({
             messages: messages,
+            slideDelay: Math.round(this.content.settings.slideDelay * scale),
             autoStart: false, // We'll start manually after loading
             enableHeartEffects: this.config.enableHeartEffects,
+            particles: this.components.particleEngine,
             accessibilityMode: this.detectAccessibilityMode(),
             onSlideStart: (data) => this.handleSlideStart(data),
             onSlideComplete: (data) => this.handleSlideComplete(data),
             onSequenceComplete: (data) => this.handleIntroComplete(data)
         });
 
+        // Optional sealed envelope between the intro and the letter
+        this.components.envelopeScene = new EnvelopeScene({
+            container: '#envelopeScene',
+            envelope: letter.envelope,
+            sender: letter.signature,
+            accessibilityMode: this.detectAccessibilityMode()
+        });
+
         // Initialize LetterDisplay component
         this.components.letterDisplay = new LetterDisplay({
             defaultContent: letterContent,
             defaultSignature: signature,
+            defaultTitle: letter.title,
+            defaultSalutation: letter.salutation,
+            defaultClosing: letter.closing,
+            date: letter.date,
+            signatureDrawing: settings?.signatureDrawing || null,
+            typewriterSpeed: Math.round(this.content.settings.typewriterSpeed * scale),
+            revealMode: settings?.revealMode || this.defaultContent.revealMode,
+            pageMode: letter.pageMode,
+            stickers: letter.stickers,
             enableHeartEffects: this.config.enableHeartEffects,
+            particles: this.components.particleEngine,
             enablePrintButton: true,
             accessibilityMode: this.detectAccessibilityMode(),
+            onBeforeShow: () => this.components.envelopeScene.play(),
             onShow: () => this.handleLetterShow(),
             onHide: () => this.handleLetterHide(),
             onContentComplete: () => this.handleLetterComplete(),
-            onHeartSpawn: (data) => this.handleHeartSpawn(data)
+            onHeartSpawn: (data) => this.handleHeartSpawn(data),
+            onHeartsToggle: (enabled) => this.components.heartEffects?.setEnabled(enabled),
+            onPhotoOpen: (data) => this.components.photoLightbox.open(data.photos, data.index)
+        });
+
+        // Stickers placed over the letter
+        this.components.stickerLayer = new StickerLayer({
+            container: '#letterSection .letter-container',
+            tray: '#stickerTray',
+            emoji: this.content.heartTypes,
+            stickers: letter.stickers,
+            onChange: (stickers) => this.updatePanelStickers(stickers),
+            onDone: () => this.stopDecorating()
+        });
+
+        // Trails, bursts, scroll hearts and the finale around the letter
+        this.components.heartEffects = new HeartEffects({
+            container: '#letterSection',
+            particles: this.components.particleEngine,
+            effects: letter.effects,
+            accessibilityMode: this.detectAccessibilityMode()
+        });
+
+        // Animated scene behind the intro and the letter
+        this.components.backdropScene = new BackdropScene({
+            container: '#heartBgContainer',
+            backdrop: letter.backdrop,
+            palette: ParticleSet.getPalette(this.content.themes[letter.theme]),
+            accessibilityMode: this.detectAccessibilityMode()
+        });
+
+        // Background roses laid out around the letter
+        this.components.roseField = new RoseField({
+            container: '#appContainer',
+            density: letter.roseDensity,
+            palette: ParticleSet.getPalette(this.content.themes[letter.theme]),
+            accessibilityMode: this.detectAccessibilityMode()
+        });
+
+        // Background layers shift with tilt or the mouse beneath the letter
+        this.components.parallax = new ParallaxLayers({
+            accessibilityMode: this.detectAccessibilityMode()
+        });
+
+        // Reply form for recipients who want to write back
+        this.components.replyComposer = new ReplyComposer({
+            container: '#replyComposer',
+            onCreateLink: (draft) => this.createReplyLink(draft),
+            onCreateFile: (draft) => this.createReplyFile(draft)
         });
 
+        // Enlarged letter photos
+        this.components.photoLightbox = new PhotoLightbox({ container: '#photoLightbox' });
+
+        // Photos live in IndexedDB, so they join the letter once loaded
+        this.applyPhotos(letter.photos);
+
+        // Passphrase prompt for private letters
+        this.components.unlockScreen = new UnlockScreen({ container: '#unlockScreen' });
+
         console.log('🎭 Components initialized');
     }
 
@@ -227,6 +653,14 @@ class ValentineApp {
             });
         }
 
+        // Write back once a received letter has been read
+        const writeBackBtn = this.elements.letterReply?.querySelector('#writeBackBtn');
+        if (writeBackBtn) {
+            writeBackBtn.addEventListener('click', () => {
+                this.openReplyComposer();
+            });
+        }
+
         // Global keyboard shortcuts
         document.addEventListener('keydown', (event) => {
             this.handleGlobalKeyboard(event);
@@ -259,24 +693,99 @@ class ValentineApp {
         if (!this.elements.customizationPanel) return;
 
         // Get panel elements
-        const messageInputs = this.elements.customizationPanel.querySelectorAll('.message-input');
         const letterTextarea = this.elements.customizationPanel.querySelector('#letterContentInput');
         const signatureInput = this.elements.customizationPanel.querySelector('#signatureInput');
         const themeButtons = this.elements.customizationPanel.querySelectorAll('.theme-btn');
         const previewBtn = this.elements.customizationPanel.querySelector('#previewBtn');
         const saveBtn = this.elements.customizationPanel.querySelector('#saveBtn');
+        const shareBtn = this.elements.customizationPanel.querySelector('#shareBtn');
         const closeBtn = this.elements.customizationPanel.querySelector('#panelCloseBtn');
+        const letterSelect = this.elements.customizationPanel.querySelector('#letterSelect');
+        const libraryButtons = this.elements.customizationPanel.querySelectorAll('[data-library-action]');
+        const exportBtn = this.elements.customizationPanel.querySelector('#exportBtn');
+        const importBtn = this.elements.customizationPanel.querySelector('#importBtn');
+        const importInput = this.elements.customizationPanel.querySelector('#importFileInput');
+
+        // Variable-length intro message list
+        this.components.messageEditor = new MessageListEditor({
+            container: '#messageList',
+            addButton: '#addMessageBtn',
+            onInput: (index, message) => this.updateMessagePreview(index, message),
+            onChange: () => this.refreshPreview()
+        });
+
+        // Photos shown in the letter
+        this.components.photoEditor = new PhotoListEditor({
+            container: '#photoList',
+            addButton: '#addPhotoBtn',
+            fileInput: '#photoFileInput',
+            onAddFiles: (files) => this.addPhotos(files)
+        });
+
+        // Heart sets and the sender's own heart pictures
+        this.components.particlePicker = new ParticleSetPicker({
+            container: '#particleSetPicker',
+            onAddFiles: (files) => this.addParticleImages(files)
+        });
+
+        // Optional hand-drawn signature
+        this.components.signaturePad = new SignaturePad({
+            container: '#signaturePad',
+            onChange: (drawing) => this.updateSignatureDrawingPreview(drawing)
+        });
 
         // Populate current settings
         this.populateCustomizationPanel();
+        this.renderLetterLibrary();
+
+        // Live preview of unsaved edits
+        if (this.elements.customizationPanel.querySelector('#livePreview')) {
+            this.components.livePreview = new LivePreview({ container: '#livePreview' });
+        }
+
+        // Preview mode exit
+        const exitPreviewBtn = document.querySelector('#exitPreviewBtn');
+        if (exitPreviewBtn) {
+            exitPreviewBtn.addEventListener('click', () => {
+                this.endPreview();
+            });
+        }
+
+        // Letter library handlers
+        if (letterSelect) {
+            letterSelect.addEventListener('change', () => {
+                this.handleLibraryAction('switch', letterSelect.value);
+            });
+        }
 
-        // Message input handlers
-        messageInputs.forEach((input, index) => {
-            input.addEventListener('input', () => {
-                this.updateMessagePreview(index, input.value);
+        libraryButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handleLibraryAction(btn.dataset.libraryAction);
             });
         });
 
+        // Letter file export and import
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportLetter();
+            });
+        }
+
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => {
+                importInput.click();
+            });
+            importInput.addEventListener('change', () => {
+                if (importInput.files[0]) {
+                    this.importLetter(importInput.files[0]);
+                }
+                // Allow the same file to be picked again after fixing it
+                importInput.value = '';
+            });
+        }
+
+        this.setupPanelDropZone();
+
         // Letter content handler
         if (letterTextarea) {
             letterTextarea.addEventListener('input', () => {
@@ -291,6 +800,47 @@ class ValentineApp {
             });
         }
 
+        // Sticker handlers
+        const decorateBtn = this.elements.customizationPanel.querySelector('#decorateLetterBtn');
+        if (decorateBtn) {
+            decorateBtn.addEventListener('click', () => {
+                this.startDecorating();
+            });
+        }
+
+        const clearStickersBtn = this.elements.customizationPanel.querySelector('#clearStickersBtn');
+        if (clearStickersBtn) {
+            clearStickersBtn.addEventListener('click', () => {
+                this.updatePanelStickers([]);
+            });
+        }
+
+        // Background scene handlers
+        const backdropSceneSelect = this.elements.customizationPanel.querySelector('#backdropSceneSelect');
+        if (backdropSceneSelect) {
+            backdropSceneSelect.addEventListener('change', () => {
+                this.syncBackdropInputs();
+            });
+        }
+
+        // Envelope handlers
+        const envelopeToggle = this.elements.customizationPanel.querySelector('#envelopeToggle');
+        if (envelopeToggle) {
+            envelopeToggle.addEventListener('change', () => {
+                this.syncEnvelopeInputs();
+            });
+        }
+
+        // Title, salutation, closing and date handlers
+        const letterDetails = this.elements.customizationPanel.querySelector('.letter-details');
+        if (letterDetails) {
+            ['input', 'change'].forEach(type => {
+                letterDetails.addEventListener(type, () => {
+                    this.updateLetterDetailsPreview();
+                });
+            });
+        }
+
         // Theme buttons
         themeButtons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -311,6 +861,12 @@ class ValentineApp {
             });
         }
 
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => {
+                this.copyShareLink();
+            });
+        }
+
         if (closeBtn) {
             closeBtn.addEventListener('click', () => {
                 this.closeCustomizationPanel();
@@ -318,6 +874,43 @@ class ValentineApp {
         }
     }
 
+    /**
+     * Accept letter files and photos dropped anywhere on the customization panel
+     */
+    setupPanelDropZone() {
+        const panel = this.elements.customizationPanel;
+        const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+        panel.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            panel.classList.add('drop-target');
+        });
+
+        panel.addEventListener('dragleave', (event) => {
+            // Ignore moves between children of the panel
+            if (!panel.contains(event.relatedTarget)) {
+                panel.classList.remove('drop-target');
+            }
+        });
+
+        panel.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            panel.classList.remove('drop-target');
+
+            const files = Array.from(event.dataTransfer.files);
+            if (this.services.letterFile.isLetterFile(files[0])) {
+                this.importLetter(files[0]);
+            } else if (files.some(file => this.services.imageProcessor.isImage(file))) {
+                this.addPhotos(files);
+            } else {
+                this.showImportErrors(['Drop a .valentine.json letter file or photos']);
+            }
+        });
+    }
+
     /**
      * Handle initial application load
      */
@@ -331,6 +924,11 @@ class ValentineApp {
         // Hide loading overlay
         this.hideLoading();
 
+        // Nothing from a private letter is shown until it is unlocked
+        if (this.state.lockedLetter) {
+            await this.unlockSharedLetter();
+        }
+
         // Start the experience
         if (this.config.autoStart) {
             this.startExperience();
@@ -358,12 +956,25 @@ class ValentineApp {
         this.state.currentPhase = 'loading';
         this.state.introComplete = false;
         this.state.letterVisible = false;
+        this.components.heartEffects?.setActive(false);
 
         // Hide letter if visible
         if (this.components.letterDisplay) {
             this.components.letterDisplay.hide();
         }
 
+        // Put away an envelope that has not been opened yet
+        if (this.components.envelopeScene) {
+            this.components.envelopeScene.cancel();
+        }
+
+        // Leave decorating; placed stickers stay in the editor
+        this.stopDecorating(false);
+
+        // The reply button returns once the letter has been read again
+        this.elements.letterReply?.classList.add('hidden');
+        this.components.replyComposer?.close();
+
         // Reset and show intro slides section
         if (this.components.introSlides) {
             this.components.introSlides.stop();
@@ -410,6 +1021,12 @@ class ValentineApp {
     openCustomizationPanel() {
         if (!this.elements.customizationPanel) return;
 
+        // Opening the editor during a preview returns to it
+        if (this.state.previewing) {
+            this.endPreview();
+            return;
+        }
+
         this.state.customizationOpen = true;
         this.elements.customizationPanel.classList.remove('hidden');
         this.elements.customizationPanel.classList.add('slide-in-right');
@@ -418,6 +1035,12 @@ class ValentineApp {
         this.elements.appContainer.style.pointerEvents = 'none';
         this.elements.customizationPanel.style.pointerEvents = 'auto';
 
+        // Render and animate the live preview
+        this.refreshPreview();
+        if (this.components.livePreview) {
+            this.components.livePreview.start();
+        }
+
         // Focus management
         const firstInput = this.elements.customizationPanel.querySelector('input, textarea, button');
         if (firstInput) {
@@ -434,6 +1057,10 @@ class ValentineApp {
         this.state.customizationOpen = false;
         this.elements.customizationPanel.classList.add('slide-out-right');
 
+        if (this.components.livePreview) {
+            this.components.livePreview.stop();
+        }
+
         setTimeout(() => {
             this.elements.customizationPanel.classList.add('hidden');
             this.elements.customizationPanel.classList.remove('slide-in-right', 'slide-out-right');
@@ -447,14 +1074,12 @@ class ValentineApp {
      * Populate customization panel with current settings
      */
     populateCustomizationPanel() {
-        const settings = this.state.userSettings || {};
+        const settings = this.getActiveSettings() || {};
 
-        // Message inputs
-        const messageInputs = this.elements.customizationPanel.querySelectorAll('.message-input');
-        messageInputs.forEach((input, index) => {
-            const message = settings.messages?.[index] || this.defaultContent.messages[index];
-            input.value = message || '';
-        });
+        // Message list
+        if (this.components.messageEditor) {
+            this.components.messageEditor.setMessages(settings.messages || this.defaultContent.messages);
+        }
 
         // Letter textarea
         const letterTextarea = this.elements.customizationPanel.querySelector('#letterContentInput');
@@ -468,79 +1093,1221 @@ class ValentineApp {
         if (signatureInput) {
             signatureInput.value = settings.signature || this.defaultContent.signature;
         }
-    }
 
-    /**
-     * Save customizations
-     */
-    saveCustomizations() {
-        const customizations = this.gatherCustomizations();
+        // Signature drawing
+        if (this.components.signaturePad) {
+            this.components.signaturePad.setDrawing(settings.signatureDrawing || null);
+        }
 
-        // Update user settings
-        this.state.userSettings = {
-            ...this.state.userSettings,
-            ...customizations,
-            lastModified: new Date().toISOString()
+        // Title, salutation, closing and date
+        const letter = this.getLetterDefinition(settings);
+        const panel = this.elements.customizationPanel;
+        const fields = {
+            '#letterTitleInput': letter.title,
+            '#salutationInput': letter.salutation,
+            '#closingInput': letter.closing,
+            '#dateModeSelect': letter.date.mode,
+            '#dateValueInput': letter.date.value || LetterDate.toValue(new Date()),
+            '#dateFormatSelect': LetterDate.normalize(letter.date).format
         };
+        Object.entries(fields).forEach(([selector, value]) => {
+            const field = panel.querySelector(selector);
+            if (field) {
+                field.value = value;
+            }
+        });
+        this.syncDateInputs();
 
-        // Save to localStorage
-        this.saveUserSettings();
+        // Photos
+        if (this.components.photoEditor) {
+            this.components.photoEditor.setParagraphCount(this.countLetterBlocks(letter.letterText));
+            this.populatePhotos(letter.photos);
+        }
 
-        // Update components
-        this.applyCustomizations(customizations);
+        // Envelope
+        const envelope = LetterEnvelope.normalize(letter.envelope);
+        const envelopeFields = {
+            '#envelopeRecipientInput': envelope.recipient,
+            '#envelopeInitialsInput': envelope.initials || ''
+        };
+        Object.entries(envelopeFields).forEach(([selector, value]) => {
+            const field = panel.querySelector(selector);
+            if (field) {
+                field.value = value;
+            }
+        });
+        const envelopeToggle = panel.querySelector('#envelopeToggle');
+        if (envelopeToggle) {
+            envelopeToggle.checked = envelope.enabled;
+        }
+        this.syncEnvelopeInputs();
 
-        // Close panel
-        this.closeCustomizationPanel();
+        // Stickers are edited on the letter itself, so the panel only keeps the list
+        this.updatePanelStickers(letter.stickers);
 
-        // Show success feedback
-        this.showNotification('Customizations saved! 💕');
-    }
+        // Heart effects
+        const effects = LetterEffects.normalize(letter.effects);
+        panel.querySelectorAll('#effectOptions input[data-effect]').forEach(checkbox => {
+            checkbox.checked = effects[checkbox.dataset.effect];
+        });
 
-    /**
-     * Gather customizations from panel
-     */
-    gatherCustomizations() {
-        const customizations = {};
+        // Heart sets
+        if (this.components.particlePicker) {
+            this.components.particlePicker.setParticles(letter.particles);
+            this.components.particlePicker.setThemeSets(this.content.themes[letter.theme]?.particles?.sets);
+        }
 
-        // Messages
-        const messageInputs = this.elements.customizationPanel.querySelectorAll('.message-input');
-        customizations.messages = Array.from(messageInputs).map(input => input.value.trim() || 'Hi');
+        // Reveal mode
+        const revealModeSelect = this.elements.customizationPanel.querySelector('#revealModeSelect');
+        if (revealModeSelect) {
+            revealModeSelect.value = RevealMode.normalize(settings.revealMode);
+        }
 
-        // Letter content
-        const letterTextarea = this.elements.customizationPanel.querySelector('#letterContentInput');
-        if (letterTextarea) {
-            customizations.letterText = letterTextarea.value
-                .split('\n\n')
-                .filter(p => p.trim())
-                .map(p => p.trim());
+        // Page mode
+        const pageModeSelect = this.elements.customizationPanel.querySelector('#pageModeSelect');
+        if (pageModeSelect) {
+            pageModeSelect.value = PageMode.normalize(settings.pageMode);
         }
 
-        // Signature
-        const signatureInput = this.elements.customizationPanel.querySelector('#signatureInput');
-        if (signatureInput) {
-            customizations.signature = signatureInput.value.trim() || 'Your Valentine';
+        // Background scene and roses
+        const backdrop = LetterBackdrop.normalize(letter.backdrop);
+        const backdropSceneSelect = this.elements.customizationPanel.querySelector('#backdropSceneSelect');
+        const backdropIntensitySelect = this.elements.customizationPanel.querySelector('#backdropIntensitySelect');
+        if (backdropSceneSelect && backdropIntensitySelect) {
+            backdropSceneSelect.value = backdrop.scene;
+            backdropIntensitySelect.value = backdrop.intensity;
+            this.syncBackdropInputs();
         }
 
-        return customizations;
+        const roseDensitySelect = this.elements.customizationPanel.querySelector('#roseDensitySelect');
+        if (roseDensitySelect) {
+            roseDensitySelect.value = RoseDensity.normalize(letter.roseDensity);
+        }
     }
 
     /**
-     * Apply customizations to components
+     * Load a letter's photos into the panel once their images are available
      */
-    applyCustomizations(customizations) {
-        // Update IntroSlides messages
-        if (this.components.introSlides && customizations.messages) {
-            this.components.introSlides.updateConfig({ messages: customizations.messages });
-        }
+    async populatePhotos(photos) {
+        const requestId = ++this.state.panelPhotoRequestId;
+        this.components.photoEditor.setPhotos([]);
 
-        // Update LetterDisplay content
-        if (this.components.letterDisplay) {
-            if (customizations.letterText) {
-                this.components.letterDisplay.setContent(customizations.letterText);
-            }
-            if (customizations.signature) {
-                this.components.letterDisplay.setSignature(customizations.signature);
+        try {
+            const resolved = await this.resolvePhotos(photos);
+            if (requestId === this.state.panelPhotoRequestId) {
+                this.components.photoEditor.setPhotos(resolved);
             }
+        } catch (error) {
+            console.warn('Failed to load letter photos:', error);
+        }
+    }
+
+    /**
+     * Count the blocks (paragraphs and lists) a letter renders to
+     */
+    countLetterBlocks(letterText) {
+        const template = document.createElement('template');
+        template.innerHTML = RichText.render(letterText);
+        return RichText.getBlocks(template.content).length;
+    }
+
+    /**
+     * Render all unsaved panel values in the live preview
+     */
+    refreshPreview() {
+        if (this.components.livePreview) {
+            this.components.livePreview.render(this.gatherCustomizations());
+        }
+    }
+
+    /**
+     * Preview an edited intro message
+     */
+    updateMessagePreview(index, message) {
+        if (this.components.livePreview) {
+            this.components.livePreview.setMessage(index, message);
+        }
+    }
+
+    /**
+     * Preview edited letter content
+     */
+    updateLetterPreview(text) {
+        if (this.components.livePreview) {
+            this.components.livePreview.setLetter(text);
+        }
+        if (this.components.photoEditor) {
+            this.components.photoEditor.setParagraphCount(this.countLetterBlocks(text));
+        }
+    }
+
+    /**
+     * Preview an edited signature
+     */
+    updateSignaturePreview(signature) {
+        if (this.components.livePreview) {
+            this.components.livePreview.setSignature(signature.trim() || 'Your Valentine');
+        }
+        this.syncEnvelopeInputs();
+    }
+
+    /**
+     * Only offer the intensity when a scene is chosen
+     */
+    syncBackdropInputs() {
+        const panel = this.elements.customizationPanel;
+        const sceneSelect = panel.querySelector('#backdropSceneSelect');
+        const intensitySelect = panel.querySelector('#backdropIntensitySelect');
+        if (!sceneSelect || !intensitySelect) return;
+
+        intensitySelect.disabled = sceneSelect.value === 'none';
+    }
+
+    /**
+     * Only offer the envelope fields when the envelope is on, and suggest initials from the signature
+     */
+    syncEnvelopeInputs() {
+        const panel = this.elements.customizationPanel;
+        const toggle = panel.querySelector('#envelopeToggle');
+        const signatureInput = panel.querySelector('#signatureInput');
+        if (!toggle) return;
+
+        panel.querySelectorAll('.envelope-field input').forEach(input => {
+            input.disabled = !toggle.checked;
+        });
+
+        const initialsInput = panel.querySelector('#envelopeInitialsInput');
+        if (initialsInput) {
+            initialsInput.placeholder = LetterEnvelope.getInitials(signatureInput?.value || this.defaultContent.signature);
+        }
+    }
+
+    /**
+     * Preview edited title, salutation, closing and date
+     */
+    updateLetterDetailsPreview() {
+        this.syncDateInputs();
+
+        if (this.components.livePreview) {
+            this.components.livePreview.render(this.gatherLetterDetails());
+        }
+    }
+
+    /**
+     * Only offer the date picker for fixed dates
+     */
+    syncDateInputs() {
+        const modeSelect = this.elements.customizationPanel.querySelector('#dateModeSelect');
+        const valueInput = this.elements.customizationPanel.querySelector('#dateValueInput');
+        if (modeSelect && valueInput) {
+            valueInput.disabled = modeSelect.value !== 'fixed';
+        }
+    }
+
+    /**
+     * Preview an edited signature drawing
+     */
+    updateSignatureDrawingPreview(drawing) {
+        if (this.components.livePreview) {
+            this.components.livePreview.setSignatureDrawing(drawing);
+        }
+    }
+
+    /**
+     * Play the full experience with unsaved panel values, then return to the editor
+     */
+    previewCustomizations() {
+        const customizations = this.gatherCustomizations();
+
+        this.closeCustomizationPanel();
+        this.state.previewing = true;
+
+        if (this.elements.previewBanner) {
+            this.elements.previewBanner.classList.remove('hidden');
+        }
+
+        // Apply to components only; nothing is saved
+        this.applyCustomizations(customizations);
+        this.restartExperience();
+    }
+
+    /**
+     * Leave preview mode and restore the saved letter behind the editor
+     */
+    endPreview() {
+        if (!this.state.previewing) return;
+
+        this.state.previewing = false;
+        clearTimeout(this.previewReturnTimeout);
+
+        if (this.elements.previewBanner) {
+            this.elements.previewBanner.classList.add('hidden');
+        }
+
+        // The panel keeps its unsaved values; only the components go back to saved content
+        const saved = this.getLetterDefinition(this.getActiveSettings());
+        this.applyCustomizations({
+            messages: saved.messages,
+            letterText: saved.letterText,
+            signature: saved.signature,
+            signatureDrawing: saved.signatureDrawing,
+            title: saved.title,
+            salutation: saved.salutation,
+            closing: saved.closing,
+            date: saved.date,
+            revealMode: saved.revealMode,
+            pageMode: saved.pageMode,
+            photos: saved.photos,
+            envelope: saved.envelope,
+            stickers: saved.stickers,
+            particles: saved.particles,
+            effects: saved.effects,
+            roseDensity: saved.roseDensity,
+            backdrop: saved.backdrop
+        });
+
+        this.openCustomizationPanel();
+    }
+
+    /**
+     * Close the editor and place stickers on the letter itself
+     */
+    startDecorating() {
+        const { stickerLayer } = this.components;
+        if (!stickerLayer) return;
+
+        this.closeCustomizationPanel();
+        this.state.decorating = true;
+        stickerLayer.setStickers(this.state.panelStickers);
+
+        // Presses and drags belong to the stickers while decorating, and the letter holds still
+        this.components.heartEffects?.setActive(false);
+        this.components.parallax?.setEnabled(false);
+
+        if (this.state.letterVisible) {
+            stickerLayer.startEditing();
+        } else {
+            // Go straight to the letter; editing starts once it is showing
+            this.components.introSlides?.skip();
+        }
+    }
+
+    /**
+     * Leave decorating: the placed stickers stay in the editor until saved
+     */
+    stopDecorating(reopenPanel = true) {
+        if (!this.state.decorating) return;
+
+        this.state.decorating = false;
+        this.components.stickerLayer.stopEditing();
+        this.components.heartEffects?.setActive(this.state.letterVisible);
+        this.components.parallax?.setEnabled(true);
+
+        // Like a preview, the letter goes back to its saved stickers
+        this.components.stickerLayer.setStickers(this.getLetterDefinition(this.getActiveSettings()).stickers);
+
+        if (reopenPanel) {
+            this.openCustomizationPanel();
+        }
+    }
+
+    /**
+     * Keep the editor's sticker list and its summary in step
+     */
+    updatePanelStickers(stickers) {
+        this.state.panelStickers = Sticker.normalizeList(stickers);
+
+        const count = this.state.panelStickers.length;
+        const summary = this.elements.customizationPanel?.querySelector('#stickerSummary');
+        if (summary) {
+            summary.textContent = count === 0 ? 'No stickers yet' : `${count} sticker${count === 1 ? '' : 's'} on the letter`;
+        }
+
+        const clearButton = this.elements.customizationPanel?.querySelector('#clearStickersBtn');
+        if (clearButton) {
+            clearButton.disabled = count === 0;
+        }
+
+        if (this.components.livePreview) {
+            this.components.livePreview.setStickers(this.state.panelStickers);
+        }
+    }
+
+    /**
+     * Render the letter library picker
+     */
+    renderLetterLibrary() {
+        const librarySection = this.elements.customizationPanel.querySelector('#letterLibrary');
+        const letterSelect = this.elements.customizationPanel.querySelector('#letterSelect');
+        if (!librarySection || !letterSelect) return;
+
+        // Hide the library when IndexedDB could not be used
+        librarySection.classList.toggle('hidden', this.state.letters.length === 0);
+
+        letterSelect.innerHTML = '';
+        this.state.letters.forEach(record => {
+            const option = document.createElement('option');
+            option.value = record.id;
+            option.textContent = record.letter?.replyTo ? `↩ ${record.name}` : record.name;
+            option.selected = record.id === this.state.activeLetterId;
+            letterSelect.appendChild(option);
+        });
+
+        this.renderLetterThread();
+    }
+
+    /**
+     * List the letters and replies in the active letter's conversation
+     */
+    renderLetterThread() {
+        const threadSection = this.elements.customizationPanel.querySelector('#letterThread');
+        const threadList = threadSection?.querySelector('.thread-list');
+        if (!threadList) return;
+
+        const thread = LetterReply.getThread(this.state.letters, this.state.activeLetterId);
+        threadSection.classList.toggle('hidden', thread.length < 2);
+        threadList.innerHTML = '';
+
+        thread.forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'thread-item';
+            if (record.letter?.replyTo) {
+                item.classList.add('thread-reply');
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'thread-open';
+            button.textContent = record.name;
+            if (record.id === this.state.activeLetterId) {
+                button.setAttribute('aria-current', 'true');
+            }
+            button.addEventListener('click', () => {
+                this.handleLibraryAction('switch', record.id);
+            });
+
+            const meta = document.createElement('span');
+            meta.className = 'thread-meta';
+            const date = new Date(record.createdAt).toLocaleDateString(undefined, { dateStyle: 'medium' });
+            meta.textContent = record.letter?.signature ? `${record.letter.signature} · ${date}` : date;
+
+            item.append(button, meta);
+            threadList.appendChild(item);
+        });
+    }
+
+    /**
+     * Run a letter library action and report failures
+     */
+    async handleLibraryAction(action, letterId) {
+        try {
+            switch (action) {
+                case 'switch':
+                    await this.switchLetter(letterId);
+                    break;
+                case 'create':
+                    await this.createLetter();
+                    break;
+                case 'duplicate':
+                    await this.duplicateLetter();
+                    break;
+                case 'rename':
+                    await this.renameLetter();
+                    break;
+                case 'delete':
+                    await this.deleteLetter();
+                    break;
+            }
+        } catch (error) {
+            console.warn(`Letter library action "${action}" failed:`, error);
+            this.showNotification('Something went wrong with your letters 💔');
+            this.renderLetterLibrary();
+        }
+    }
+
+    /**
+     * Create a new letter from the default content
+     */
+    async createLetter() {
+        const name = window.prompt('Name your new letter', 'New letter');
+        if (name === null) return;
+
+        const record = await this.services.letterLibrary.create(
+            name.trim() || 'Untitled letter',
+            this.getLetterDefinition()
+        );
+        this.state.letters.push(record);
+
+        await this.switchLetter(record.id);
+        this.showNotification(`Created "${record.name}" 💌`);
+    }
+
+    /**
+     * Duplicate the active letter
+     */
+    async duplicateLetter() {
+        if (!this.state.activeLetterId) return;
+
+        const record = await this.services.letterLibrary.duplicate(this.state.activeLetterId);
+        this.state.letters.push(record);
+
+        await this.switchLetter(record.id);
+        this.showNotification(`Created "${record.name}" 💌`);
+    }
+
+    /**
+     * Rename the active letter
+     */
+    async renameLetter() {
+        const current = this.state.letters.find(record => record.id === this.state.activeLetterId);
+        if (!current) return;
+
+        const name = window.prompt('Rename this letter', current.name);
+        if (name === null || !name.trim()) return;
+
+        const record = await this.services.letterLibrary.rename(current.id, name.trim());
+        this.state.letters = this.state.letters.map(item => item.id === record.id ? record : item);
+        this.renderLetterLibrary();
+    }
+
+    /**
+     * Delete the active letter and switch to another one
+     */
+    async deleteLetter() {
+        const current = this.state.letters.find(record => record.id === this.state.activeLetterId);
+        if (!current) return;
+
+        if (!window.confirm(`Delete "${current.name}"? This cannot be undone.`)) return;
+
+        await this.services.letterLibrary.remove(current.id);
+        this.state.letters = this.state.letters.filter(record => record.id !== current.id);
+
+        // Always keep at least one letter around
+        if (this.state.letters.length === 0) {
+            this.state.letters.push(
+                await this.services.letterLibrary.create('My Valentine', this.getLetterDefinition())
+            );
+        }
+
+        await this.switchLetter(this.state.letters[0].id);
+        this.showNotification(`Deleted "${current.name}"`);
+        await this.prunePhotos();
+    }
+
+    /**
+     * Switch to another saved letter and replay the experience with it
+     */
+    async switchLetter(letterId) {
+        const record = this.state.letters.find(item => item.id === letterId);
+        if (!record) return;
+
+        this.state.activeLetterId = record.id;
+        this.services.letterLibrary.setActiveId(record.id);
+        this.clearSharedLetter();
+
+        const letter = this.getLetterDefinition(record.letter);
+        this.state.userSettings = {
+            ...this.state.userSettings,
+            ...letter,
+            lastModified: record.updatedAt
+        };
+        this.saveUserSettings();
+
+        this.populateCustomizationPanel();
+        this.renderLetterLibrary();
+        this.applyCustomizations(letter);
+        this.restartExperience();
+    }
+
+    /**
+     * Store customizations in the letter library
+     */
+    async saveToLibrary(customizations) {
+        const library = this.services.letterLibrary;
+        if (!this.state.activeLetterId && this.state.letters.length === 0) return;
+
+        try {
+            if (this.state.sharedLetter || !this.state.activeLetterId) {
+                // Keep a received letter separate from the sender's own drafts
+                const record = await library.create(LetterReply.getLibraryName(customizations), customizations);
+                this.state.letters.push(record);
+                this.state.activeLetterId = record.id;
+            } else {
+                const record = await library.update(this.state.activeLetterId, customizations);
+                this.state.letters = this.state.letters.map(item => item.id === record.id ? record : item);
+            }
+
+            library.setActiveId(this.state.activeLetterId);
+            this.renderLetterLibrary();
+        } catch (error) {
+            console.warn('Failed to save letter to library:', error);
+        }
+    }
+
+    /**
+     * Save customizations
+     */
+    async saveCustomizations() {
+        const customizations = this.gatherCustomizations();
+        if (!this.checkLetterText(customizations.letterText)) return;
+
+        // Update user settings
+        this.state.userSettings = {
+            ...this.state.userSettings,
+            ...customizations,
+            lastModified: new Date().toISOString()
+        };
+
+        // Save to localStorage and the letter library
+        this.saveUserSettings();
+        await this.saveToLibrary(customizations);
+
+        // Saved settings now own the letter, so drop the shared one from the URL
+        this.clearSharedLetter();
+
+        // Update components
+        this.applyCustomizations(customizations);
+
+        // Forget photos that were removed or never saved
+        await this.prunePhotos();
+
+        // Close panel
+        this.closeCustomizationPanel();
+
+        // Show success feedback
+        this.showNotification('Customizations saved! 💕');
+    }
+
+    /**
+     * Make sure the letter has text and every paragraph fits the saved letter format, explaining what to fix
+     */
+    checkLetterText(letterText = []) {
+        if (letterText.length === 0) {
+            this.showNotification('Write a few words in your letter before saving, sharing or exporting it 💔', 5000);
+            return false;
+        }
+
+        const index = RichText.findLongParagraph(letterText);
+        if (index === -1) return true;
+
+        this.showNotification(
+            `Paragraph ${index + 1} is over ${RichText.maxParagraphLength} characters. Split it with a blank line 💔`,
+            5000
+        );
+        return false;
+    }
+
+    /**
+     * Gather customizations from panel
+     */
+    gatherCustomizations() {
+        const customizations = {};
+
+        // Messages
+        if (this.components.messageEditor) {
+            customizations.messages = this.components.messageEditor.getMessages();
+        }
+
+        // Letter content
+        const letterTextarea = this.elements.customizationPanel.querySelector('#letterContentInput');
+        if (letterTextarea) {
+            customizations.letterText = RichText.getParagraphs(letterTextarea.value);
+        }
+
+        // Signature
+        const signatureInput = this.elements.customizationPanel.querySelector('#signatureInput');
+        if (signatureInput) {
+            customizations.signature = signatureInput.value.trim() || 'Your Valentine';
+        }
+
+        // Signature drawing (null falls back to the typed signature)
+        if (this.components.signaturePad) {
+            customizations.signatureDrawing = this.components.signaturePad.getDrawing();
+        }
+
+        // Title, salutation, closing and date
+        Object.assign(customizations, this.gatherLetterDetails());
+
+        // Photos
+        if (this.components.photoEditor) {
+            customizations.photos = this.components.photoEditor.getPhotos();
+        }
+
+        // Envelope
+        const envelopeToggle = this.elements.customizationPanel.querySelector('#envelopeToggle');
+        if (envelopeToggle) {
+            const valueOf = (selector) => this.elements.customizationPanel.querySelector(selector)?.value.trim() ?? '';
+            customizations.envelope = LetterEnvelope.normalize({
+                enabled: envelopeToggle.checked,
+                recipient: valueOf('#envelopeRecipientInput'),
+                initials: valueOf('#envelopeInitialsInput') || undefined
+            });
+        }
+
+        // Stickers placed while decorating
+        customizations.stickers = this.state.panelStickers.map(sticker => ({ ...sticker }));
+
+        // Heart sets
+        if (this.components.particlePicker) {
+            customizations.particles = this.components.particlePicker.getParticles();
+        }
+
+        // Heart effects
+        const effectSwitches = this.elements.customizationPanel.querySelectorAll('#effectOptions input[data-effect]');
+        if (effectSwitches.length > 0) {
+            customizations.effects = LetterEffects.normalize(Object.fromEntries(
+                Array.from(effectSwitches).map(checkbox => [checkbox.dataset.effect, checkbox.checked])
+            ));
+        }
+
+        // A received letter keeps its id and the letter it answers
+        const { letterId, replyTo } = this.getLetterDefinition(this.getActiveSettings());
+        customizations.letterId = letterId;
+        customizations.replyTo = replyTo;
+
+        // Reveal mode
+        const revealModeSelect = this.elements.customizationPanel.querySelector('#revealModeSelect');
+        if (revealModeSelect) {
+            customizations.revealMode = RevealMode.normalize(revealModeSelect.value);
+        }
+
+        // Page mode
+        const pageModeSelect = this.elements.customizationPanel.querySelector('#pageModeSelect');
+        if (pageModeSelect) {
+            customizations.pageMode = PageMode.normalize(pageModeSelect.value);
+        }
+
+        // Background scene and roses
+        const backdropSceneSelect = this.elements.customizationPanel.querySelector('#backdropSceneSelect');
+        const backdropIntensitySelect = this.elements.customizationPanel.querySelector('#backdropIntensitySelect');
+        if (backdropSceneSelect && backdropIntensitySelect) {
+            customizations.backdrop = LetterBackdrop.normalize({
+                scene: backdropSceneSelect.value,
+                intensity: backdropIntensitySelect.value
+            });
+        }
+
+        const roseDensitySelect = this.elements.customizationPanel.querySelector('#roseDensitySelect');
+        if (roseDensitySelect) {
+            customizations.roseDensity = RoseDensity.normalize(roseDensitySelect.value);
+        }
+
+        // Theme
+        const activeTheme = this.elements.customizationPanel.querySelector('.theme-btn.active');
+        customizations.theme = activeTheme?.dataset.theme || document.body.getAttribute('data-theme') || this.defaultContent.theme;
+
+        return customizations;
+    }
+
+    /**
+     * Collect the title, salutation, closing and date from the panel
+     */
+    gatherLetterDetails() {
+        const panel = this.elements.customizationPanel;
+        const valueOf = (selector) => panel.querySelector(selector)?.value.trim() ?? '';
+        const details = {};
+
+        if (panel.querySelector('#letterTitleInput')) {
+            details.title = valueOf('#letterTitleInput') || this.defaultContent.title;
+        }
+        if (panel.querySelector('#salutationInput')) {
+            details.salutation = valueOf('#salutationInput');
+        }
+        if (panel.querySelector('#closingInput')) {
+            details.closing = valueOf('#closingInput') || this.defaultContent.closing;
+        }
+        if (panel.querySelector('#dateModeSelect')) {
+            details.date = LetterDate.normalize({
+                mode: valueOf('#dateModeSelect'),
+                value: valueOf('#dateValueInput') || undefined,
+                format: valueOf('#dateFormatSelect')
+            });
+        }
+
+        return details;
+    }
+
+    /**
+     * Read the optional passphrase and hint for shares and exports
+     */
+    getProtection() {
+        const passphraseInput = this.elements.customizationPanel.querySelector('#passphraseInput');
+        const hintInput = this.elements.customizationPanel.querySelector('#passphraseHintInput');
+
+        return {
+            passphrase: passphraseInput?.value || '',
+            hint: hintInput?.value.trim() || ''
+        };
+    }
+
+    /**
+     * Copy a share link for the letter currently in the panel
+     */
+    async copyShareLink() {
+        try {
+            const customizations = this.gatherCustomizations();
+            if (!this.checkLetterText(customizations.letterText)) return;
+
+            const protection = this.getProtection();
+
+            // Photos and heart pictures are far too large for a URL; they travel in exported files
+            const { photos, particles, ...letter } = this.withLetterId(customizations);
+            letter.particles = ParticleSet.withoutImages(particles);
+            const url = await this.services.shareLink.createUrl(letter, protection);
+            await this.copyToClipboard(url);
+
+            const message = protection.passphrase ? 'Private share link copied! 🔒' : 'Share link copied! 💌';
+            const hasPhotos = photos?.length > 0;
+            const hasPictures = particles?.images?.length > 0;
+            if (hasPhotos || hasPictures) {
+                const leftOut = hasPhotos && hasPictures ? 'Photos and heart pictures' : (hasPhotos ? 'Photos' : 'Heart pictures');
+                this.showNotification(`${message} ${leftOut} are only included in exported letter files.`, 5000);
+            } else {
+                this.showNotification(message);
+            }
+        } catch (error) {
+            console.warn('Failed to copy share link:', error);
+            this.showNotification('Could not copy the share link 💔');
+        }
+    }
+
+    /**
+     * Download the letter currently in the panel as a .valentine.json file
+     */
+    async exportLetter() {
+        try {
+            const active = this.state.letters.find(record => record.id === this.state.activeLetterId);
+            const name = this.state.sharedLetter
+                ? LetterReply.getLibraryName(this.state.sharedLetter)
+                : (active?.name || 'My Valentine');
+            const customizations = this.gatherCustomizations();
+            if (!this.checkLetterText(customizations.letterText)) return;
+
+            const protection = this.getProtection();
+            const letter = await this.embedPhotos(this.withLetterId(this.getLetterDefinition(customizations)));
+            const fileName = await this.services.letterFile.download(letter, name, protection);
+            this.showNotification(`Exported ${fileName} ${protection.passphrase ? '🔒' : '💌'}`);
+        } catch (error) {
+            console.warn('Failed to export letter:', error);
+            this.showNotification('Could not export this letter 💔');
+        }
+    }
+
+    /**
+     * Give a letter from the library the id replies will point back to
+     */
+    withLetterId(letter) {
+        const ownId = this.state.sharedLetter ? null : this.state.activeLetterId;
+        return { ...letter, letterId: letter.letterId || ownId || null };
+    }
+
+    /**
+     * Open the reply form for the letter on display
+     */
+    openReplyComposer() {
+        const original = this.getLetterDefinition(this.getActiveSettings());
+        if (!LetterReply.canReply(original)) return;
+
+        // One id per reply, so its link and file are the same letter
+        if (this.state.replyDraft?.originalId !== original.letterId) {
+            this.state.replyDraft = { originalId: original.letterId, id: LetterReply.createId() };
+        }
+
+        this.components.replyComposer.open(original);
+    }
+
+    /**
+     * Build the reply letter for a draft from the composer
+     */
+    createReply(draft) {
+        const original = this.getLetterDefinition(this.getActiveSettings());
+        return this.getLetterDefinition(LetterReply.create(original, draft, this.state.replyDraft?.id));
+    }
+
+    /**
+     * Copy a share link for a reply
+     */
+    async createReplyLink(draft) {
+        const { photos, ...reply } = this.createReply(draft);
+        const url = await this.services.shareLink.createUrl(reply);
+
+        try {
+            await this.copyToClipboard(url);
+        } catch (error) {
+            console.warn('Failed to copy reply link:', error);
+            throw new Error('Could not copy the reply link 💔');
+        }
+
+        return 'Reply link copied! Send it back to the person who wrote to you 💌';
+    }
+
+    /**
+     * Download a reply as a .valentine.json file
+     */
+    async createReplyFile(draft) {
+        const reply = this.createReply(draft);
+        const fileName = await this.services.letterFile.download(reply, LetterReply.getLibraryName(reply));
+        return `Saved ${fileName}. Send it back to the person who wrote to you 💌`;
+    }
+
+    /**
+     * Validate a letter file and make it the current letter
+     */
+    async importLetter(file) {
+        this.showImportErrors([]);
+
+        let imported;
+        try {
+            imported = await this.services.letterFile.read(file);
+
+            if (imported.locked) {
+                imported = await this.components.unlockScreen.prompt({
+                    hint: imported.hint,
+                    unlock: (passphrase) => this.services.letterFile.unlock(imported, passphrase)
+                });
+                if (!imported) return;
+            }
+        } catch (error) {
+            console.warn('Failed to import letter:', error);
+            this.showImportErrors(error.details?.length ? error.details : [error.message]);
+            this.showNotification(`${error.message} 💔`, 5000);
+            return;
+        }
+
+        // Themes are only valid if the current content pack offers them
+        const letter = { ...imported.letter };
+        if (!this.content.themes[letter.theme]) {
+            delete letter.theme;
+        }
+
+        // Stickers naming pictures this version does not bundle are left out
+        letter.stickers = Sticker.normalizeList(letter.stickers);
+
+        // Embedded photos move into the photo store under new ids
+        try {
+            letter.photos = await this.storeImportedPhotos(letter.photos);
+        } catch (error) {
+            console.warn('Failed to store imported photos:', error);
+            this.showNotification('The photos in this letter could not be saved 💔', 5000);
+            letter.photos = [];
+        }
+        const definition = this.getLetterDefinition(letter);
+
+        if (this.state.activeLetterId) {
+            // Imported letters become new library entries
+            try {
+                const record = await this.services.letterLibrary.create(imported.name, definition);
+                this.state.letters.push(record);
+                await this.switchLetter(record.id);
+            } catch (error) {
+                console.warn('Failed to add imported letter to library:', error);
+                this.showNotification('Could not save the imported letter 💔');
+                return;
+            }
+        } else {
+            this.clearSharedLetter();
+            this.state.userSettings = {
+                ...this.state.userSettings,
+                ...definition,
+                lastModified: new Date().toISOString()
+            };
+            this.saveUserSettings();
+            this.populateCustomizationPanel();
+            this.applyCustomizations(definition);
+            this.restartExperience();
+        }
+
+        this.refreshPreview();
+        this.showNotification(`Imported "${imported.name}" 💕`);
+    }
+
+    /**
+     * Show or clear the per-field problems from the last import
+     */
+    showImportErrors(messages) {
+        const list = this.elements.customizationPanel.querySelector('#importErrors');
+        if (!list) return;
+
+        list.innerHTML = '';
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        list.classList.toggle('hidden', messages.length === 0);
+    }
+
+    /**
+     * Apply customizations to components
+     */
+    applyCustomizations(customizations) {
+        // Update IntroSlides messages
+        if (this.components.introSlides && customizations.messages) {
+            this.components.introSlides.updateConfig({ messages: customizations.messages });
+        }
+
+        // Update LetterDisplay content
+        if (this.components.letterDisplay) {
+            if (customizations.letterText) {
+                this.components.letterDisplay.setContent(customizations.letterText);
+            }
+            if (customizations.signature) {
+                this.components.letterDisplay.setSignature(customizations.signature);
+            }
+            if (customizations.signatureDrawing !== undefined) {
+                this.components.letterDisplay.setSignatureDrawing(customizations.signatureDrawing);
+            }
+            if (customizations.title) {
+                this.components.letterDisplay.setTitle(customizations.title);
+            }
+            if (customizations.salutation !== undefined) {
+                this.components.letterDisplay.setSalutation(customizations.salutation);
+            }
+            if (customizations.closing) {
+                this.components.letterDisplay.setClosing(customizations.closing);
+            }
+            if (customizations.date) {
+                this.components.letterDisplay.setDate(customizations.date);
+            }
+            if (customizations.revealMode) {
+                this.components.letterDisplay.updateConfig({ revealMode: customizations.revealMode });
+            }
+            if (customizations.pageMode) {
+                this.components.letterDisplay.setPageMode(customizations.pageMode);
+            }
+            if (customizations.photos) {
+                this.applyPhotos(customizations.photos);
+            }
+            if (customizations.stickers) {
+                this.components.letterDisplay.setStickers(customizations.stickers);
+            }
+        }
+
+        if (this.components.stickerLayer && customizations.stickers) {
+            this.components.stickerLayer.setStickers(customizations.stickers);
+        }
+
+        if (this.components.heartEffects && customizations.effects) {
+            this.components.heartEffects.setEffects(customizations.effects);
+        }
+
+        if (this.components.backdropScene && customizations.backdrop) {
+            this.components.backdropScene.setBackdrop(customizations.backdrop);
+        }
+
+        if (this.components.roseField && customizations.roseDensity) {
+            this.components.roseField.setDensity(customizations.roseDensity);
+        }
+
+        // Update the envelope (its default initials follow the signature)
+        if (this.components.envelopeScene && customizations.envelope) {
+            this.components.envelopeScene.setEnvelope(
+                customizations.envelope,
+                customizations.signature || this.getLetterDefinition(this.getActiveSettings()).signature
+            );
+        }
+
+        // Update theme and the hearts that follow it
+        if (customizations.theme) {
+            this.changeTheme(customizations.theme, customizations.particles);
+        } else if (customizations.particles) {
+            this.applyParticleSet(document.body.getAttribute('data-theme'), customizations.particles);
+        }
+    }
+
+    /**
+     * Point every heart effect at the letter's heart sets, or its theme's, in the theme's palette
+     */
+    applyParticleSet(themeName, particles) {
+        this.state.particles = ParticleSet.normalize(particles);
+
+        if (this.components.particleEngine) {
+            this.components.particleEngine.setParticleSet(
+                ParticleSet.resolve(this.state.particles, this.content.themes[themeName], this.content.heartTypes)
+            );
+        }
+    }
+
+    /**
+     * Show a letter's photos once their images are loaded
+     */
+    async applyPhotos(photos) {
+        const requestId = ++this.state.photoRequestId;
+
+        try {
+            const resolved = await this.resolvePhotos(photos);
+            if (requestId === this.state.photoRequestId) {
+                this.components.letterDisplay.setPhotos(resolved);
+            }
+        } catch (error) {
+            console.warn('Failed to load letter photos:', error);
+        }
+    }
+
+    /**
+     * Attach a displayable URL to each stored photo; photos no longer stored are dropped
+     */
+    async resolvePhotos(photos = []) {
+        const library = this.services.letterLibrary;
+        if (photos.length === 0 || !library.isSupported()) return [];
+
+        const resolved = await Promise.all(photos.map(async photo => {
+            let src = this.state.photoUrls.get(photo.id);
+            if (!src) {
+                const record = await library.getPhoto(photo.id);
+                if (!record) return null;
+
+                src = this.services.imageProcessor.toObjectUrl(record);
+                this.state.photoUrls.set(photo.id, src);
+            }
+            return { ...photo, src };
+        }));
+
+        return resolved.filter(Boolean);
+    }
+
+    /**
+     * Downscale, store and attach picked or dropped photos
+     */
+    async addPhotos(files) {
+        const editor = this.components.photoEditor;
+        const { imageProcessor, letterLibrary } = this.services;
+        if (!editor) return;
+
+        if (!letterLibrary.isSupported()) {
+            this.showNotification('Photos need a browser that can store them 💔', 5000);
+            return;
+        }
+
+        const images = files.filter(file => imageProcessor.isImage(file));
+        const room = editor.getRemainingSlots();
+        if (images.length < files.length) {
+            this.showNotification('Only JPEG, PNG, WebP and GIF photos can be added', 5000);
+        }
+        if (images.length > room) {
+            this.showNotification(`A letter can hold up to ${LetterPhoto.maxPhotos} photos`, 5000);
+        }
+
+        const added = [];
+        for (const file of images.slice(0, Math.max(0, room))) {
+            try {
+                const processed = await imageProcessor.process(file);
+                const id = await letterLibrary.savePhoto(processed);
+                const src = imageProcessor.toObjectUrl(processed);
+                this.state.photoUrls.set(id, src);
+                added.push({ id, alt: LetterPhoto.altFromFileName(file.name), placement: 'gallery', src });
+            } catch (error) {
+                console.warn('Failed to add photo:', error);
+                this.showNotification(`${error.message} 💔`, 5000);
+            }
+        }
+
+        if (added.length > 0) {
+            editor.addPhotos(added);
+            this.showNotification(`Added ${added.length} ${added.length === 1 ? 'photo' : 'photos'} 📷`);
+        }
+    }
+
+    /**
+     * Shrink picked heart pictures into small PNGs kept with the letter
+     */
+    async addParticleImages(files) {
+        const picker = this.components.particlePicker;
+        const { imageProcessor } = this.services;
+        if (!picker) return;
+
+        const images = files.filter(file => imageProcessor.isImage(file));
+        const room = picker.getRemainingSlots();
+        if (images.length < files.length) {
+            this.showNotification('Only JPEG, PNG, WebP and GIF pictures can be added', 5000);
+        }
+        if (images.length > room) {
+            this.showNotification(`A letter can hold up to ${ParticleSet.maxImages} heart pictures`, 5000);
+        }
+
+        const added = [];
+        for (const file of images.slice(0, Math.max(0, room))) {
+            try {
+                const processed = await imageProcessor.process(file, {
+                    maxDimension: ParticleSet.imageSize,
+                    outputType: 'image/png'
+                });
+                const src = imageProcessor.toDataUrl(processed);
+                if (!ParticleSet.isValidImage(src)) {
+                    throw new Error(`"${file.name}" is too detailed to use as a heart`);
+                }
+                added.push(src);
+            } catch (error) {
+                console.warn('Failed to add heart picture:', error);
+                this.showNotification(`${error.message} 💔`, 5000);
+            }
+        }
+
+        if (added.length > 0) {
+            picker.addImages(added);
+            this.showNotification(`Added ${added.length} heart ${added.length === 1 ? 'picture' : 'pictures'} 💕`);
+        }
+    }
+
+    /**
+     * Embed stored photos as data URLs so an exported file is self-contained
+     */
+    async embedPhotos(letter) {
+        if (!letter.photos?.length) return letter;
+
+        const photos = await Promise.all(letter.photos.map(async photo => {
+            const record = await this.services.letterLibrary.getPhoto(photo.id);
+            return record ? { ...photo, data: this.services.imageProcessor.toDataUrl(record) } : null;
+        }));
+
+        return { ...letter, photos: photos.filter(Boolean) };
+    }
+
+    /**
+     * Store the embedded photos of an imported letter and return their metadata
+     */
+    async storeImportedPhotos(photos = []) {
+        if (photos.length === 0) return [];
+
+        if (!this.services.letterLibrary.isSupported()) {
+            this.showNotification('Photos need a browser that can store them, so they were left out', 5000);
+            return [];
+        }
+
+        const stored = [];
+        for (const { data, ...photo } of photos) {
+            const record = this.services.imageProcessor.fromDataUrl(data);
+            const id = await this.services.letterLibrary.savePhoto(record);
+            stored.push(LetterPhoto.toMetadata({ ...photo, id }));
+        }
+        return stored;
+    }
+
+    /**
+     * Delete stored photos that no saved letter or open panel uses any more
+     */
+    async prunePhotos() {
+        const library = this.services.letterLibrary;
+        if (!library.isSupported()) return;
+
+        try {
+            const keep = new Set();
+            const collect = (photos) => (photos || []).forEach(photo => keep.add(photo.id));
+
+            (await library.list()).forEach(record => collect(record.letter.photos));
+            collect(this.state.userSettings?.photos);
+            collect(this.components.photoEditor?.getPhotos());
+
+            await library.prunePhotos(keep);
+
+            this.state.photoUrls.forEach((url, id) => {
+                if (!keep.has(id)) {
+                    URL.revokeObjectURL(url);
+                    this.state.photoUrls.delete(id);
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to clean up unused photos:', error);
         }
     }
 
@@ -572,11 +2339,19 @@ class ValentineApp {
     handleLetterShow() {
         console.log('📜 Letter display started');
         this.state.letterVisible = true;
+
+        // Decorating waits for the letter to be on screen
+        if (this.state.decorating) {
+            this.components.stickerLayer.startEditing();
+        } else {
+            this.components.heartEffects?.setActive(true);
+        }
     }
 
     handleLetterHide() {
         console.log('📜 Letter display hidden');
         this.state.letterVisible = false;
+        this.components.heartEffects?.setActive(false);
     }
 
     handleLetterComplete() {
@@ -585,6 +2360,22 @@ class ValentineApp {
         // Log total completion time
         const totalTime = performance.now() - this.state.performanceMetrics.loadStart;
         console.log(`💝 Complete Valentine's experience in ${totalTime.toFixed(2)}ms`);
+
+        // Celebrate the end of the letter
+        this.components.heartEffects?.celebrate();
+
+        // Recipients can answer a letter they have finished reading
+        if (!this.state.previewing && LetterReply.canReply(this.getActiveSettings())) {
+            this.elements.letterReply?.classList.remove('hidden');
+        }
+
+        // Return to the editor once a preview has played through
+        if (this.state.previewing) {
+            clearTimeout(this.previewReturnTimeout);
+            this.previewReturnTimeout = setTimeout(() => {
+                this.endPreview();
+            }, this.config.previewReturnDelay);
+        }
     }
 
     handleHeartSpawn(data) {
@@ -610,6 +2401,8 @@ class ValentineApp {
         if (event.key === 'Escape') {
             if (this.state.customizationOpen) {
                 this.closeCustomizationPanel();
+            } else if (this.state.decorating) {
+                this.stopDecorating();
             }
         }
     }
@@ -619,11 +2412,6 @@ class ValentineApp {
         if (this.state.userSettings) {
             this.saveUserSettings();
         }
-
-        // Clean up intervals
-        if (this.roseInterval) {
-            clearInterval(this.roseInterval);
-        }
     }
 
     handleResize() {
@@ -646,63 +2434,6 @@ class ValentineApp {
         }
     }
 
-    /**
-     * Add static SVG roses to background
-     */
-    addStaticRoses() {
-        const appContainer = document.querySelector('#appContainer');
-        if (!appContainer) return;
-
-        // Remove any existing roses
-        const existing = appContainer.querySelectorAll('.rose-bg');
-        existing.forEach(el => el.remove());
-
-        // Make sure app container has relative positioning
-        appContainer.style.position = 'relative';
-
-        // Add beautiful background roses to app container
-        const roses = [
-            { top: '10%', left: '5%', size: '80px' },
-            { top: '20%', right: '8%', size: '60px' },
-            { bottom: '25%', left: '12%', size: '70px' },
-            { top: '60%', right: '15%', size: '50px' },
-            { bottom: '10%', left: '25%', size: '65px' }
-        ];
-
-        roses.forEach((rose, index) => {
-            const roseDiv = document.createElement('div');
-            roseDiv.className = 'rose-bg';
-            roseDiv.style.cssText = `
-                position: absolute;
-                ${rose.top ? `top: ${rose.top};` : ''}
-                ${rose.bottom ? `bottom: ${rose.bottom};` : ''}
-                ${rose.left ? `left: ${rose.left};` : ''}
-                ${rose.right ? `right: ${rose.right};` : ''}
-                z-index: 0;
-                opacity: 0.4;
-                pointer-events: none;
-            `;
-
-            roseDiv.innerHTML = `
-                <svg width="${rose.size}" height="${rose.size}" viewBox="0 0 100 100">
-                    <circle cx="50" cy="50" r="12" fill="#d63384" opacity="0.8"/>
-                    <circle cx="42" cy="42" r="9" fill="#e685a6" opacity="0.7"/>
-                    <circle cx="58" cy="42" r="9" fill="#e685a6" opacity="0.7"/>
-                    <circle cx="42" cy="58" r="9" fill="#e685a6" opacity="0.7"/>
-                    <circle cx="58" cy="58" r="9" fill="#e685a6" opacity="0.7"/>
-                    <circle cx="50" cy="35" r="7" fill="#f1aeb5" opacity="0.9"/>
-                    <circle cx="35" cy="50" r="6" fill="#f1aeb5" opacity="0.6"/>
-                    <circle cx="65" cy="50" r="6" fill="#f1aeb5" opacity="0.6"/>
-                    <circle cx="50" cy="65" r="6" fill="#f1aeb5" opacity="0.6"/>
-                </svg>
-            `;
-
-            appContainer.appendChild(roseDiv);
-        });
-
-        console.log('🌹 Roses added to app-container!');
-    }
-
     /**
      * Utility Methods
      */
@@ -722,10 +2453,24 @@ class ValentineApp {
         this.config.enableHeartEffects = true;
     }
 
-    changeTheme(themeName) {
+    changeTheme(themeName, particles = this.state.particles) {
         // Update theme classes
         document.body.setAttribute('data-theme', themeName);
 
+        // Hearts follow the theme unless the letter picks its own sets
+        this.applyParticleSet(themeName, particles);
+        this.components.particlePicker?.setThemeSets(this.content.themes[themeName]?.particles?.sets);
+
+        // Apply the content pack's colors so custom themes work without CSS
+        const theme = this.content.themes[themeName];
+        if (theme) {
+            this.components.roseField?.setPalette(ParticleSet.getPalette(theme));
+            this.components.backdropScene?.setPalette(ParticleSet.getPalette(theme));
+            document.body.style.setProperty('--color-primary-red', theme.colors.primary);
+            document.body.style.setProperty('--color-secondary-pink', theme.colors.secondary);
+            document.body.style.setProperty('--color-accent-rose', theme.colors.accent);
+        }
+
         // Update active theme button
         const themeButtons = this.elements.customizationPanel.querySelectorAll('.theme-btn');
         themeButtons.forEach(btn => {
@@ -733,6 +2478,28 @@ class ValentineApp {
         });
     }
 
+    async copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+
+        // Fallback for insecure contexts (e.g. file:// or plain http)
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        const copied = document.execCommand('copy');
+        textarea.remove();
+
+        if (!copied) {
+            throw new Error('Clipboard is not available');
+        }
+    }
+
     showNotification(message, duration = 3000) {
         // Create notification element
         const notification = document.createElement('div');
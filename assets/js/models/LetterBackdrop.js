@@ -0,0 +1,89 @@
+/**
+ * LetterBackdrop Model - Animated Background Scenes
+ * Which scene plays behind the intro and the letter, and how busy it is
+ *
+ * Features:
+ * - Falling rose petals, a starry night, candlelight bokeh and drifting hearts
+ * - Intensity presets that scale how many petals, stars, lights or hearts are drawn
+ * - Defaults for letters saved before scenes existed (no scene)
+ * - Partial settings accepted, so a scene can be saved without an intensity
+ */
+
+class LetterBackdrop {
+    static scenes = ['none', 'petals', 'stars', 'candlelight', 'hearts'];
+
+    static labels = {
+        none: 'No scene',
+        petals: 'Falling rose petals',
+        stars: 'Starry night',
+        candlelight: 'Candlelight',
+        hearts: 'Drifting hearts'
+    };
+
+    static intensities = ['soft', 'medium', 'full'];
+
+    static intensityLabels = {
+        soft: 'Soft',
+        medium: 'Medium',
+        full: 'Full'
+    };
+
+    static defaults = {
+        scene: 'none',
+        intensity: 'medium'
+    };
+
+    // Items per 100,000 square pixels of screen at medium intensity
+    static density = {
+        none: 0,
+        petals: 2.5,
+        stars: 9,
+        candlelight: 1.2,
+        hearts: 1.6
+    };
+
+    static intensityScale = {
+        soft: 0.5,
+        medium: 1,
+        full: 1.8
+    };
+
+    static maxItems = 180;
+
+    /**
+     * Check that a value is a usable backdrop setting (missing fields take their defaults)
+     */
+    static isValid(backdrop) {
+        if (!backdrop || typeof backdrop !== 'object' || Array.isArray(backdrop)) return false;
+
+        return Object.entries(backdrop).every(([field, value]) =>
+            (field === 'scene' && LetterBackdrop.scenes.includes(value)) ||
+            (field === 'intensity' && LetterBackdrop.intensities.includes(value))
+        );
+    }
+
+    /**
+     * Expand a partial setting with defaults, dropping unknown values
+     */
+    static normalize(backdrop) {
+        const source = backdrop && typeof backdrop === 'object' ? backdrop : {};
+
+        return {
+            scene: LetterBackdrop.scenes.includes(source.scene) ? source.scene : LetterBackdrop.defaults.scene,
+            intensity: LetterBackdrop.intensities.includes(source.intensity)
+                ? source.intensity
+                : LetterBackdrop.defaults.intensity
+        };
+    }
+
+    /**
+     * How many items a scene draws on a screen of the given area
+     */
+    static getCount(backdrop, area) {
+        const { scene, intensity } = LetterBackdrop.normalize(backdrop);
+        const count = Math.round(area / 100000 * LetterBackdrop.density[scene] * LetterBackdrop.intensityScale[intensity]);
+        return Math.min(LetterBackdrop.maxItems, count);
+    }
+}
+
+export default LetterBackdrop;
@@ -0,0 +1,99 @@
+/**
+ * LetterDate Model - Letter Date Setting
+ * A letter is dated either "today" (when it is opened) or on a fixed day, in a chosen format
+ *
+ * Features:
+ * - Today or fixed YYYY-MM-DD dates, parsed in local time so the day never shifts
+ * - Long, short, numeric, full and ISO formats in the reader's locale
+ * - A fixed date that does not parse falls back to today
+ */
+
+class LetterDate {
+    static modes = ['today', 'fixed'];
+
+    static formats = {
+        long: { year: 'numeric', month: 'long', day: 'numeric' },
+        short: { year: 'numeric', month: 'short', day: 'numeric' },
+        numeric: { year: 'numeric', month: 'numeric', day: 'numeric' },
+        full: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+        iso: null
+    };
+
+    static defaults = {
+        mode: 'today',
+        format: 'long'
+    };
+
+    static valuePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    /**
+     * Check that a value is a usable date setting
+     */
+    static isValid(setting) {
+        if (!setting || typeof setting !== 'object' || Array.isArray(setting)) return false;
+        if (!LetterDate.modes.includes(setting.mode)) return false;
+        if (setting.format !== undefined && !Object.hasOwn(LetterDate.formats, setting.format)) return false;
+        if (setting.value !== undefined && !LetterDate.parse(setting.value)) return false;
+
+        return setting.mode === 'today' || LetterDate.parse(setting.value) !== null;
+    }
+
+    /**
+     * Expand a partial setting with defaults
+     */
+    static normalize(setting) {
+        const source = setting && typeof setting === 'object' ? setting : {};
+        const normalized = {
+            mode: LetterDate.modes.includes(source.mode) ? source.mode : LetterDate.defaults.mode,
+            format: Object.hasOwn(LetterDate.formats, source.format) ? source.format : LetterDate.defaults.format
+        };
+
+        if (LetterDate.parse(source.value)) {
+            normalized.value = source.value;
+        } else if (normalized.mode === 'fixed') {
+            normalized.mode = 'today';
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD string as a local date, or null when it is not a real day
+     */
+    static parse(value) {
+        if (typeof value !== 'string' || !LetterDate.valuePattern.test(value)) return null;
+
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+            ? date
+            : null;
+    }
+
+    /**
+     * Get the day a setting refers to
+     */
+    static resolve(setting, now = new Date()) {
+        const { mode, value } = LetterDate.normalize(setting);
+        return mode === 'fixed' ? LetterDate.parse(value) : now;
+    }
+
+    /**
+     * Format a date in the reader's locale
+     */
+    static format(date, format = LetterDate.defaults.format) {
+        const options = LetterDate.formats[format];
+        return options ? date.toLocaleDateString(undefined, options) : LetterDate.toValue(date);
+    }
+
+    /**
+     * Convert a date to its YYYY-MM-DD value (also used for the datetime attribute)
+     */
+    static toValue(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+export default LetterDate;
@@ -0,0 +1,48 @@
+/**
+ * LetterDetails Model - Title, Salutation and Closing
+ * The short text fields that frame a letter's paragraphs
+ *
+ * Features:
+ * - Length limits shared by the panel, settings, share links and imports
+ * - Optional salutation (empty means none)
+ * - Closing phrases shown with the customary trailing comma
+ */
+
+class LetterDetails {
+    static limits = {
+        title: 100,
+        salutation: 100,
+        closing: 50
+    };
+
+    static defaults = {
+        title: 'My Dearest Valentine',
+        salutation: '',
+        closing: 'With all my love'
+    };
+
+    /**
+     * Check a title or closing: required text within its limit
+     */
+    static isValidText(field, value) {
+        return typeof value === 'string' && value.trim().length > 0 &&
+            value.length <= LetterDetails.limits[field];
+    }
+
+    /**
+     * Check a salutation: optional text within its limit
+     */
+    static isValidSalutation(value) {
+        return typeof value === 'string' && value.length <= LetterDetails.limits.salutation;
+    }
+
+    /**
+     * Add a trailing comma to a closing phrase unless it already ends in punctuation
+     */
+    static formatClosing(closing) {
+        const text = String(closing ?? '').trim();
+        return !text || /[,.!?…:;]$/.test(text) ? text : `${text},`;
+    }
+}
+
+export default LetterDetails;
@@ -0,0 +1,52 @@
+/**
+ * LetterEffects Model - Interactive Heart Effects
+ * Which playful effects a letter turns on for its reader
+ *
+ * Features:
+ * - Pointer trails, long-press and double-click bursts, scroll hearts and a finale
+ * - Per-letter switches with defaults for letters saved before effects existed
+ * - Unknown switches dropped and non-boolean values replaced by their defaults
+ */
+
+class LetterEffects {
+    static effects = ['trail', 'burst', 'scroll', 'finale'];
+
+    static labels = {
+        trail: 'Hearts follow the pointer',
+        burst: 'Heart bursts on a long press or double-click',
+        scroll: 'Hearts react to scrolling',
+        finale: 'Confetti finale at the end of the letter'
+    };
+
+    static defaults = {
+        trail: false,
+        burst: true,
+        scroll: true,
+        finale: true
+    };
+
+    /**
+     * Check that a value is a usable effects setting (missing switches take their defaults)
+     */
+    static isValid(effects) {
+        if (!effects || typeof effects !== 'object' || Array.isArray(effects)) return false;
+
+        return Object.entries(effects).every(([effect, enabled]) =>
+            LetterEffects.effects.includes(effect) && typeof enabled === 'boolean'
+        );
+    }
+
+    /**
+     * Expand a partial setting with defaults, dropping unknown switches
+     */
+    static normalize(effects) {
+        const source = effects && typeof effects === 'object' ? effects : {};
+
+        return Object.fromEntries(LetterEffects.effects.map(effect => [
+            effect,
+            typeof source[effect] === 'boolean' ? source[effect] : LetterEffects.defaults[effect]
+        ]));
+    }
+}
+
+export default LetterEffects;
@@ -0,0 +1,139 @@
+/**
+ * LetterEnvelope Model - Envelope Opening Scene
+ * Whether a letter opens from a sealed envelope, who it is addressed to and the seal's initials
+ *
+ * Features:
+ * - Per-letter toggle with the recipient's name shown on the envelope
+ * - Seal initials taken from the sender's name unless set explicitly
+ * - Wax seal SVG with a wobbly outline generated from the initials
+ * - Recipient names up to 60 characters and seal initials up to 3, upper-cased
+ */
+
+class LetterEnvelope {
+    static defaults = {
+        enabled: false,
+        recipient: ''
+    };
+
+    static maxRecipientLength = 60;
+    static maxInitialsLength = 3;
+
+    /**
+     * Check that a value is a usable envelope setting
+     */
+    static isValid(envelope) {
+        if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) return false;
+
+        return typeof envelope.enabled === 'boolean' &&
+            (envelope.recipient === undefined || (typeof envelope.recipient === 'string' &&
+                envelope.recipient.length <= LetterEnvelope.maxRecipientLength)) &&
+            (envelope.initials === undefined || LetterEnvelope.isValidInitials(envelope.initials));
+    }
+
+    /**
+     * Check explicit seal initials
+     */
+    static isValidInitials(initials) {
+        return typeof initials === 'string' && initials.trim().length > 0 &&
+            initials.length <= LetterEnvelope.maxInitialsLength;
+    }
+
+    /**
+     * Expand a partial setting with defaults, dropping unusable fields
+     */
+    static normalize(envelope) {
+        const source = envelope && typeof envelope === 'object' ? envelope : {};
+        const normalized = {
+            enabled: source.enabled === true,
+            recipient: typeof source.recipient === 'string'
+                ? source.recipient.trim().slice(0, LetterEnvelope.maxRecipientLength)
+                : LetterEnvelope.defaults.recipient
+        };
+
+        if (LetterEnvelope.isValidInitials(source.initials?.trim?.())) {
+            normalized.initials = source.initials.trim().toUpperCase();
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Take initials from a name: the first letter of the first and last words ("Jamie Lee Cruz" becomes "JC")
+     */
+    static getInitials(name) {
+        const words = String(name ?? '').split(/\s+/)
+            .map(word => word.replace(/^[^\p{L}\p{N}]+/u, ''))
+            .filter(Boolean);
+        if (words.length === 0) return '♥';
+
+        const first = (word) => Array.from(word)[0].toUpperCase();
+        return words.length === 1 ? first(words[0]) : `${first(words[0])}${first(words[words.length - 1])}`;
+    }
+
+    /**
+     * Create the wax seal SVG for a set of initials
+     */
+    static createSealSVG(initials, className = 'wax-seal') {
+        const namespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(namespace, 'svg');
+        svg.setAttribute('class', className);
+        svg.setAttribute('viewBox', '0 0 120 120');
+
+        const create = (tag, attributes) => {
+            const element = document.createElementNS(namespace, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            svg.appendChild(element);
+            return element;
+        };
+
+        create('path', { d: LetterEnvelope.getSealOutline(initials), fill: 'currentColor' });
+        create('circle', { cx: 60, cy: 60, r: 38, fill: 'none', stroke: '#000', 'stroke-opacity': 0.18, 'stroke-width': 3 });
+        create('circle', { cx: 60, cy: 60, r: 33, fill: 'none', stroke: '#fff', 'stroke-opacity': 0.25, 'stroke-width': 1.5 });
+        create('ellipse', { cx: 44, cy: 38, rx: 14, ry: 7, fill: '#fff', 'fill-opacity': 0.2, transform: 'rotate(-35 44 38)' });
+
+        const text = create('text', {
+            x: 60,
+            y: 61,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central',
+            'font-size': initials.length > 2 ? 26 : 34,
+            fill: '#fff',
+            'fill-opacity': 0.85,
+            class: 'wax-seal-initials'
+        });
+        text.textContent = initials;
+
+        return svg;
+    }
+
+    /**
+     * Build the blobby wax outline; the same initials always give the same shape
+     */
+    static getSealOutline(initials) {
+        let seed = Array.from(String(initials)).reduce((hash, char) => (hash * 31 + char.codePointAt(0)) >>> 0, 7);
+        const random = () => {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            return seed / 4294967296;
+        };
+
+        const points = Array.from({ length: 18 }, (_, index) => {
+            const angle = (index / 18) * Math.PI * 2;
+            const radius = 48 + random() * 8;
+            return {
+                x: Math.round((60 + Math.cos(angle) * radius) * 10) / 10,
+                y: Math.round((60 + Math.sin(angle) * radius) * 10) / 10
+            };
+        });
+
+        // Smooth curve through the midpoints between the wobbly points
+        const midpoint = (a, b) => `${Math.round((a.x + b.x) * 5) / 10} ${Math.round((a.y + b.y) * 5) / 10}`;
+        let path = `M${midpoint(points[points.length - 1], points[0])}`;
+        points.forEach((point, index) => {
+            path += ` Q${point.x} ${point.y} ${midpoint(point, points[(index + 1) % points.length])}`;
+        });
+
+        return `${path} Z`;
+    }
+}
+
+export default LetterEnvelope;
@@ -0,0 +1,74 @@
+/**
+ * LetterPhoto Model - Photo Attachments
+ * A photo shown in the letter, either after a paragraph or in the gallery under the signature
+ *
+ * Features:
+ * - Alt text, optional caption and placement for each photo
+ * - Limits shared by the panel, settings, imports and exports
+ * - Placement and id checks shared with the letter file schema
+ */
+
+class LetterPhoto {
+    static placements = ['gallery', 'inline'];
+
+    static maxPhotos = 6;
+    static maxAltLength = 200;
+    static maxCaptionLength = 140;
+
+    static idPattern = /^[A-Za-z0-9-]{1,64}$/;
+
+    /**
+     * Check the metadata of a single photo
+     */
+    static isValid(photo) {
+        if (!photo || typeof photo !== 'object' || Array.isArray(photo)) return false;
+
+        return typeof photo.id === 'string' && LetterPhoto.idPattern.test(photo.id) &&
+            typeof photo.alt === 'string' && photo.alt.trim().length > 0 &&
+            photo.alt.length <= LetterPhoto.maxAltLength &&
+            (photo.caption === undefined || (typeof photo.caption === 'string' &&
+                photo.caption.length <= LetterPhoto.maxCaptionLength)) &&
+            LetterPhoto.placements.includes(photo.placement) &&
+            (photo.placement !== 'inline' || (Number.isInteger(photo.afterParagraph) && photo.afterParagraph >= 1));
+    }
+
+    /**
+     * Check a list of photos
+     */
+    static isValidList(photos) {
+        return Array.isArray(photos) && photos.length <= LetterPhoto.maxPhotos &&
+            photos.every(photo => LetterPhoto.isValid(photo));
+    }
+
+    /**
+     * Keep only the stored fields of a photo (drops resolved URLs and embedded data)
+     */
+    static toMetadata(photo) {
+        const metadata = {
+            id: photo.id,
+            alt: photo.alt,
+            placement: photo.placement
+        };
+
+        if (photo.caption) {
+            metadata.caption = photo.caption;
+        }
+        if (photo.placement === 'inline') {
+            metadata.afterParagraph = Number.isInteger(photo.afterParagraph) && photo.afterParagraph >= 1
+                ? photo.afterParagraph
+                : 1;
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Suggest alt text from a file name ("beach-day.jpg" becomes "beach day")
+     */
+    static altFromFileName(fileName) {
+        const base = String(fileName || '').replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+        return (base || 'Photo').slice(0, LetterPhoto.maxAltLength);
+    }
+}
+
+export default LetterPhoto;
@@ -0,0 +1,130 @@
+/**
+ * LetterReply Model - Reply Letters and Conversation Threads
+ * Links a recipient's reply to the letter it answers
+ *
+ * Features:
+ * - Stable letter ids that travel with share links and letter files
+ * - Reply references (the original's id and title) shared by settings, links and imports
+ * - Reply letters built from the original's title and theme
+ * - Conversation threads gathered from the letters in the library
+ */
+
+import LetterDetails from './LetterDetails.js';
+
+class LetterReply {
+    static idPattern = /^[A-Za-z0-9-]{1,64}$/;
+    static titlePrefix = 'Re: ';
+
+    /**
+     * Check a letter id
+     */
+    static isValidId(value) {
+        return typeof value === 'string' && LetterReply.idPattern.test(value);
+    }
+
+    /**
+     * Check a reply reference: the original letter's id and title
+     */
+    static isValidReference(reference) {
+        return Boolean(reference) && typeof reference === 'object' && !Array.isArray(reference) &&
+            LetterReply.isValidId(reference.id) &&
+            LetterDetails.isValidText('title', reference.title);
+    }
+
+    /**
+     * Make a new letter id
+     */
+    static createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `letter-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Check whether a letter can be answered (it carries the id a reply points back to)
+     */
+    static canReply(letter) {
+        return LetterReply.isValidId(letter?.letterId);
+    }
+
+    /**
+     * Prefix a title with "Re: " once, within the title limit
+     */
+    static getReplyTitle(title) {
+        const original = String(title ?? '').trim().replace(/^(re:\s*)+/i, '');
+        return `${LetterReply.titlePrefix}${original}`.slice(0, LetterDetails.limits.title).trim();
+    }
+
+    /**
+     * Build a reply letter from the recipient's draft
+     */
+    static create(original, draft, letterId = LetterReply.createId()) {
+        return {
+            messages: draft.messages,
+            letterText: draft.letterText,
+            signature: draft.signature,
+            title: LetterReply.getReplyTitle(original.title),
+            salutation: '',
+            theme: original.theme,
+            letterId,
+            replyTo: {
+                id: original.letterId,
+                title: original.title
+            }
+        };
+    }
+
+    /**
+     * Get the id other letters use to point at a library record
+     */
+    static getThreadId(record) {
+        return record.letter?.letterId || record.id;
+    }
+
+    /**
+     * Gather the letters that belong to the same conversation as a record, oldest first
+     */
+    static getThread(records, recordId) {
+        const byThreadId = new Map(records.map(record => [LetterReply.getThreadId(record), record]));
+        let root = records.find(record => record.id === recordId);
+        if (!root) return [];
+
+        // Climb to the first letter of the conversation, guarding against loops
+        const visited = new Set();
+        while (root.letter?.replyTo && byThreadId.has(root.letter.replyTo.id) && !visited.has(root.id)) {
+            visited.add(root.id);
+            root = byThreadId.get(root.letter.replyTo.id);
+        }
+
+        // Collect every reply below it
+        const thread = [];
+        const queue = [root];
+        const included = new Set();
+        while (queue.length > 0) {
+            const record = queue.shift();
+            if (included.has(record.id)) continue;
+
+            included.add(record.id);
+            thread.push(record);
+
+            const threadId = LetterReply.getThreadId(record);
+            records
+                .filter(item => item.letter?.replyTo?.id === threadId)
+                .forEach(reply => queue.push(reply));
+        }
+
+        return thread.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Name a received letter for the library
+     */
+    static getLibraryName(letter) {
+        return LetterReply.isValidReference(letter?.replyTo) && letter.signature
+            ? `Reply from ${letter.signature}`
+            : 'Received letter';
+    }
+}
+
+export default LetterReply;
@@ -0,0 +1,45 @@
+/**
+ * PageMode Model - Multi-Page Letters
+ * How a long letter is split into pages
+ *
+ * Features:
+ * - One scrolling page, pages at explicit breaks, or pages fitted to the letter's height
+ * - A paragraph of just "---" marks a page break
+ * - Human-readable labels for the customization panel
+ * - Unknown modes fall back to one scrolling page
+ */
+
+class PageMode {
+    static modes = ['scroll', 'breaks', 'auto'];
+
+    static labels = {
+        scroll: 'One scrolling page',
+        breaks: 'New page at each ---',
+        auto: 'Fit pages to the screen'
+    };
+
+    static defaultMode = 'scroll';
+
+    /**
+     * Check that a value is a known page mode
+     */
+    static isValid(mode) {
+        return PageMode.modes.includes(mode);
+    }
+
+    /**
+     * Return a known page mode, falling back to the default
+     */
+    static normalize(mode) {
+        return PageMode.isValid(mode) ? mode : PageMode.defaultMode;
+    }
+
+    /**
+     * Check whether a mode splits the letter into pages
+     */
+    static isPaged(mode) {
+        return PageMode.normalize(mode) !== 'scroll';
+    }
+}
+
+export default PageMode;
@@ -0,0 +1,161 @@
+/**
+ * ParticleSet Model - Floating Heart Sets and Palettes
+ * What the floating hearts look like: emoji, bundled pictures or the sender's own pictures
+ *
+ * Features:
+ * - Emoji hearts from the content pack, bundled heart shapes, roses and uploaded pictures
+ * - Sets chosen or mixed per letter; a letter without a choice follows its theme
+ * - Theme sets and colour palettes from the content pack, with fallbacks for older packs
+ * - Limits for uploaded pictures shared by the editor, settings, share links and imports
+ */
+
+import Sticker from './Sticker.js';
+
+class ParticleSet {
+    static sets = ['emoji', 'hearts', 'roses', 'custom'];
+
+    static labels = {
+        emoji: 'Emoji hearts',
+        hearts: 'Heart shapes',
+        roses: 'Roses and flowers',
+        custom: 'My pictures'
+    };
+
+    // Bundled pictures of each set (keys of Sticker.images)
+    static bundledImages = {
+        hearts: ['heart-fill', 'heart', 'suit-heart', 'heart-pulse'],
+        roses: ['rose', 'flower']
+    };
+
+    static roseEmoji = ['🌹', '🌷', '🌸'];
+
+    // Uploaded pictures are small PNG data URLs, resized in the browser
+    static maxImages = 4;
+    static imageSize = 80;
+    static maxImageLength = 60000;
+    static imagePattern = /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/]+=*$/;
+
+    // No sets means "use the theme's hearts"
+    static defaults = { sets: [], images: [] };
+
+    // Used by themes that do not name their own sets
+    static themeDefaults = { sets: ['emoji'], images: [] };
+
+    static fallbackColor = '#e74c3c';
+
+    /**
+     * Check a letter's particle choice
+     */
+    static isValid(particles) {
+        if (!particles || typeof particles !== 'object' || Array.isArray(particles)) return false;
+
+        return ParticleSet.isValidSetList(particles.sets) &&
+            (particles.images === undefined || (Array.isArray(particles.images) &&
+                particles.images.length <= ParticleSet.maxImages &&
+                particles.images.every(image => ParticleSet.isValidImage(image))));
+    }
+
+    /**
+     * Check a list of set names (each known and listed once)
+     */
+    static isValidSetList(sets) {
+        return Array.isArray(sets) && sets.every(set => ParticleSet.sets.includes(set)) &&
+            new Set(sets).size === sets.length;
+    }
+
+    /**
+     * Check an uploaded picture
+     */
+    static isValidImage(image) {
+        return typeof image === 'string' && image.length <= ParticleSet.maxImageLength &&
+            ParticleSet.imagePattern.test(image);
+    }
+
+    /**
+     * Fill in a particle choice, dropping anything unusable
+     */
+    static normalize(particles) {
+        const sets = Array.isArray(particles?.sets) ? particles.sets : [];
+        const images = Array.isArray(particles?.images) ? particles.images : [];
+
+        return {
+            sets: ParticleSet.sets.filter(set => sets.includes(set)),
+            images: images.filter(image => ParticleSet.isValidImage(image)).slice(0, ParticleSet.maxImages)
+        };
+    }
+
+    /**
+     * Leave out uploaded pictures, which are too large for a share link
+     */
+    static withoutImages(particles) {
+        const { sets } = ParticleSet.normalize(particles);
+        return { sets: sets.filter(set => set !== 'custom'), images: [] };
+    }
+
+    /**
+     * Resolve the hearts to draw: a list of art per set (emoji glyphs or pictures) and a palette
+     */
+    static resolve(particles, theme, emoji = []) {
+        const choice = ParticleSet.normalize(particles);
+        const source = choice.sets.length > 0
+            ? choice
+            : { ...ParticleSet.themeDefaults, ...theme?.particles };
+
+        let sets = ParticleSet.getArt(source, emoji);
+        if (sets.length === 0) {
+            // "My pictures" without any pictures, or a theme naming only empty sets
+            sets = ParticleSet.getArt(ParticleSet.themeDefaults, emoji);
+        }
+
+        return { sets, palette: ParticleSet.getPalette(theme) };
+    }
+
+    /**
+     * List the art of each set, leaving out empty sets
+     */
+    static getArt({ sets = [], images = [] }, emoji = []) {
+        const fromBundle = (set) => ParticleSet.bundledImages[set].map(key => ({
+            image: Sticker.images[key].src,
+            tint: Sticker.images[key].tint
+        }));
+
+        return sets
+            .map(set => {
+                switch (set) {
+                    case 'emoji':
+                        return emoji.map(glyph => ({ glyph }));
+                    case 'hearts':
+                        return fromBundle('hearts');
+                    case 'roses':
+                        return [...ParticleSet.roseEmoji.map(glyph => ({ glyph })), ...fromBundle('roses')];
+                    case 'custom':
+                        return images.map(image => ({ image, tint: false }));
+                    default:
+                        return [];
+                }
+            })
+            .filter(art => art.length > 0);
+    }
+
+    /**
+     * Get a theme's heart colours, falling back to its primary colour
+     */
+    static getPalette(theme) {
+        if (Array.isArray(theme?.palette) && theme.palette.length > 0) {
+            return theme.palette;
+        }
+        return [theme?.colors?.primary || ParticleSet.fallbackColor];
+    }
+
+    /**
+     * Describe a theme's own sets for the editor, e.g. "Heart shapes and Roses and flowers"
+     */
+    static describe(sets) {
+        const labels = sets.map(set => ParticleSet.labels[set]).filter(Boolean);
+        return labels.length > 1
+            ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+            : labels[0] || ParticleSet.labels.emoji;
+    }
+}
+
+export default ParticleSet;
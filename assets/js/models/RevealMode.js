@@ -0,0 +1,39 @@
+/**
+ * RevealMode Model - Letter Reveal Animations
+ * The ways a letter's paragraphs can appear once the intro finishes
+ *
+ * Features:
+ * - Instant, word typewriter, character typing, line fade and handwriting modes
+ * - Human-readable labels for the customization panel
+ * - Unknown modes fall back to instant, so older letters still open
+ */
+
+class RevealMode {
+    static modes = ['instant', 'word', 'char', 'line', 'handwriting'];
+
+    static labels = {
+        instant: 'Instant',
+        word: 'Typewriter (word by word)',
+        char: 'Typing (letter by letter)',
+        line: 'Line by line fade',
+        handwriting: 'Handwriting'
+    };
+
+    static defaultMode = 'instant';
+
+    /**
+     * Check that a value is a known reveal mode
+     */
+    static isValid(mode) {
+        return RevealMode.modes.includes(mode);
+    }
+
+    /**
+     * Return a known reveal mode, falling back to the default
+     */
+    static normalize(mode) {
+        return RevealMode.isValid(mode) ? mode : RevealMode.defaultMode;
+    }
+}
+
+export default RevealMode;
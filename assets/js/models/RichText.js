@@ -0,0 +1,233 @@
+/**
+ * RichText Model - Letter Formatting
+ * A small markdown-style syntax for letter paragraphs, rendered through an allow-list sanitizer
+ *
+ * Features:
+ * - **bold**, *italic* / _italic_, single line breaks and [links](https://example.com)
+ * - Bulleted (- item) and numbered (1. item) lists
+ * - A paragraph of just --- becomes a page break
+ * - The paragraph length limit of the letter file format
+ * - Backslash escapes for literal formatting characters (\*)
+ * - Raw HTML is always escaped; rendered output keeps only allow-listed tags and attributes
+ * - Links limited to http, https and mailto and opened safely in a new tab
+ */
+
+class RichText {
+    static allowedTags = {
+        p: [],
+        br: [],
+        strong: [],
+        em: [],
+        ul: [],
+        ol: ['start'],
+        li: [],
+        a: ['href'],
+        hr: []
+    };
+
+    // Removed together with their contents instead of being unwrapped
+    static droppedTags = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'svg', 'math', 'noscript', 'textarea', 'select'];
+
+    static allowedProtocols = ['http:', 'https:', 'mailto:'];
+
+    static pageBreakPattern = /^-{3,}$/;
+
+    // Longest paragraph a letter can save, share and export (matches data/letter.schema.json)
+    static maxParagraphLength = 5000;
+
+    /**
+     * Render letter text (a string split on blank lines, or a list of paragraphs) to safe HTML
+     */
+    static render(source) {
+        return RichText.sanitize(RichText.toHTML(source));
+    }
+
+    /**
+     * Convert markdown-style text to HTML built only from escaped text
+     */
+    static toHTML(source) {
+        return RichText.getParagraphs(source)
+            .map(paragraph => RichText.renderBlock(paragraph))
+            .join('');
+    }
+
+    /**
+     * Normalize a string or list into non-empty paragraphs
+     */
+    static getParagraphs(source) {
+        const paragraphs = Array.isArray(source) ? source : String(source ?? '').split(/\n\s*\n/);
+        return paragraphs.map(paragraph => String(paragraph).trim()).filter(Boolean);
+    }
+
+    /**
+     * Find the first paragraph over the length limit, or -1 when every paragraph fits
+     */
+    static findLongParagraph(paragraphs) {
+        return paragraphs.findIndex(paragraph => paragraph.length > RichText.maxParagraphLength);
+    }
+
+    /**
+     * Render one paragraph, which may hold line breaks and lists
+     */
+    static renderBlock(paragraph) {
+        if (RichText.pageBreakPattern.test(paragraph)) {
+            return '<hr>';
+        }
+
+        const blocks = [];
+
+        paragraph.split('\n').forEach(line => {
+            const item = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/.exec(line);
+            const current = blocks[blocks.length - 1];
+
+            if (item) {
+                const type = item[1] ? 'ul' : 'ol';
+                if (current?.type !== type) {
+                    blocks.push({ type, start: Number(item[2]) || 1, lines: [] });
+                }
+                blocks[blocks.length - 1].lines.push(item[3]);
+            } else if (line.trim()) {
+                if (current?.type !== 'p') {
+                    blocks.push({ type: 'p', lines: [] });
+                }
+                blocks[blocks.length - 1].lines.push(line.trim());
+            }
+        });
+
+        return blocks.map(block => {
+            if (block.type === 'p') {
+                return `<p>${block.lines.map(line => RichText.renderInline(line)).join('<br>')}</p>`;
+            }
+
+            const start = block.type === 'ol' && block.start !== 1 ? ` start="${block.start}"` : '';
+            const items = block.lines.map(line => `<li>${RichText.renderInline(line)}</li>`).join('');
+            return `<${block.type}${start}>${items}</${block.type}>`;
+        }).join('');
+    }
+
+    /**
+     * Render bold, italic, links and escapes within a line
+     */
+    static renderInline(text, allowLinks = true) {
+        const pattern = /\\([\\*_[\]()])|\*\*(.+?)\*\*(?!\*)|__(.+?)__(?!_)|\*(?!\s)(.+?)\*|(?<![\p{L}\p{N}])_(?!\s)(.+?)_(?![\p{L}\p{N}])|\[([^\]]+)\]\(([^)\s]+)\)/gu;
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            html += RichText.escapeHTML(text.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            const [whole, escaped, bold, boldAlt, italic, italicAlt, linkText, url] = match;
+
+            if (escaped !== undefined) {
+                html += RichText.escapeHTML(escaped);
+            } else if (bold !== undefined || boldAlt !== undefined) {
+                html += `<strong>${RichText.renderInline(bold ?? boldAlt, allowLinks)}</strong>`;
+            } else if (italic !== undefined || italicAlt !== undefined) {
+                html += `<em>${RichText.renderInline(italic ?? italicAlt, allowLinks)}</em>`;
+            } else if (allowLinks && RichText.isSafeUrl(url)) {
+                html += `<a href="${RichText.escapeHTML(url)}">${RichText.renderInline(linkText, false)}</a>`;
+            } else {
+                html += RichText.escapeHTML(whole);
+            }
+        }
+
+        return html + RichText.escapeHTML(text.slice(lastIndex));
+    }
+
+    /**
+     * Keep only allow-listed tags and attributes from an HTML string
+     */
+    static sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = String(html ?? '');
+        RichText.cleanNode(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * Recursively clean the children of a node
+     */
+    static cleanNode(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (RichText.droppedTags.includes(tag)) {
+                node.remove();
+                return;
+            }
+
+            RichText.cleanNode(node);
+
+            const allowedAttributes = RichText.allowedTags[tag];
+            if (!allowedAttributes) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                const isAllowed = allowedAttributes.includes(attribute.name) &&
+                    (attribute.name !== 'href' || RichText.isSafeUrl(attribute.value)) &&
+                    (attribute.name !== 'start' || /^\d{1,9}$/.test(attribute.value));
+                if (!isAllowed) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (tag === 'a') {
+                if (!node.hasAttribute('href')) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    /**
+     * Check whether a rendered element is a page break
+     */
+    static isPageBreak(element) {
+        return element.tagName === 'HR';
+    }
+
+    /**
+     * Get the rendered paragraph blocks of a container, leaving out page breaks
+     */
+    static getBlocks(container) {
+        return Array.from(container.children).filter(child => !RichText.isPageBreak(child));
+    }
+
+    /**
+     * Check a link against the allowed protocols
+     */
+    static isSafeUrl(url) {
+        try {
+            return RichText.allowedProtocols.includes(new URL(url).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Escape plain text for safe insertion into HTML
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+export default RichText;
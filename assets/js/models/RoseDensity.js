@@ -0,0 +1,55 @@
+/**
+ * RoseDensity Model - Background Rose Field
+ * How many decorative roses grow around the letter
+ *
+ * Features:
+ * - Presets from no roses to a lush field
+ * - Roses per screen area, with a floor and a ceiling so tiny and huge screens both look right
+ * - Human-readable labels for the customization panel
+ * - Unknown densities fall back to normal
+ */
+
+class RoseDensity {
+    static modes = ['off', 'sparse', 'normal', 'lush'];
+
+    static labels = {
+        off: 'No roses',
+        sparse: 'A few roses',
+        normal: 'Roses around the letter',
+        lush: 'A field of roses'
+    };
+
+    static defaultMode = 'normal';
+
+    // Roses per 100,000 square pixels of free space, and the count limits
+    static presets = {
+        off: { perArea: 0, min: 0, max: 0 },
+        sparse: { perArea: 0.4, min: 2, max: 6 },
+        normal: { perArea: 0.8, min: 3, max: 12 },
+        lush: { perArea: 1.6, min: 5, max: 24 }
+    };
+
+    /**
+     * Check that a value is a known density
+     */
+    static isValid(mode) {
+        return RoseDensity.modes.includes(mode);
+    }
+
+    /**
+     * Return a known density, falling back to the default
+     */
+    static normalize(mode) {
+        return RoseDensity.isValid(mode) ? mode : RoseDensity.defaultMode;
+    }
+
+    /**
+     * How many roses to aim for in an area of the given size
+     */
+    static getCount(mode, area) {
+        const { perArea, min, max } = RoseDensity.presets[RoseDensity.normalize(mode)];
+        return Math.min(max, Math.max(min, Math.round(area / 100000 * perArea)));
+    }
+}
+
+export default RoseDensity;
@@ -0,0 +1,166 @@
+/**
+ * SignatureDrawing Model - Hand-Drawn Signatures
+ * A signature stored as one smoothed SVG path per pen stroke
+ *
+ * Features:
+ * - Point simplification and quadratic smoothing of raw pointer input
+ * - Long strokes split into several paths so each stays within the saved size limit
+ * - Compact paths with coordinates rounded to one decimal
+ * - Limits on drawing size, stroke count and path syntax
+ * - SVG element creation for the letter, live preview and print
+ */
+
+class SignatureDrawing {
+    static width = 300;
+    static height = 100;
+
+    static maxStrokes = 60;
+    static maxPathLength = 6000;
+    static minDistance = 1.5;
+
+    // Only absolute move, line and quadratic commands with plain numbers
+    static pathPattern = /^M[\d.\s-]+(?:[LQ][\d.\s-]+)*$/;
+
+    /**
+     * Turn raw stroke points into a smoothed path
+     */
+    static smooth(points) {
+        const kept = SignatureDrawing.simplify(points);
+        if (kept.length === 0) return '';
+
+        const format = (point) => `${SignatureDrawing.round(point.x)} ${SignatureDrawing.round(point.y)}`;
+        const [first] = kept;
+
+        // A single tap becomes a dot drawn by the round line cap
+        if (kept.length === 1) {
+            return `M${format(first)} L${format(first)}`;
+        }
+
+        // Curve through the midpoints, using each recorded point as a control point
+        let path = `M${format(first)}`;
+        for (let i = 1; i < kept.length - 1; i++) {
+            const midpoint = {
+                x: (kept[i].x + kept[i + 1].x) / 2,
+                y: (kept[i].y + kept[i + 1].y) / 2
+            };
+            path += ` Q${format(kept[i])} ${format(midpoint)}`;
+        }
+
+        return `${path} L${format(kept[kept.length - 1])}`;
+    }
+
+    /**
+     * Turn raw stroke points into smoothed paths, splitting a long stroke so every path fits the size limit
+     */
+    static toPaths(points) {
+        // Split the kept points, so each piece ends exactly where the next one starts
+        const kept = SignatureDrawing.simplify(points);
+        const path = SignatureDrawing.smooth(kept);
+        if (!path) return [];
+
+        // Splitting stops at two points, a path far shorter than the limit
+        if (path.length <= SignatureDrawing.maxPathLength || kept.length < 3) return [path];
+
+        const middle = Math.floor(kept.length / 2);
+        return [
+            ...SignatureDrawing.toPaths(kept.slice(0, middle + 1)),
+            ...SignatureDrawing.toPaths(kept.slice(middle))
+        ];
+    }
+
+    /**
+     * Count the paths of each stroke, treating a path that starts where the previous one ended as
+     * a piece of the same split stroke (a new stroke begun on that exact spot is grouped with it too)
+     */
+    static getStrokeSizes(paths) {
+        const ends = paths.map(path => {
+            const numbers = path.match(/-?\d+(?:\.\d+)?/g) || [];
+            return { start: numbers.slice(0, 2).join(' '), end: numbers.slice(-2).join(' ') };
+        });
+
+        return ends.reduce((sizes, { start }, index) => {
+            if (index > 0 && start === ends[index - 1].end) {
+                sizes[sizes.length - 1]++;
+            } else {
+                sizes.push(1);
+            }
+            return sizes;
+        }, []);
+    }
+
+    /**
+     * Drop points closer than the minimum distance to the previous kept point
+     */
+    static simplify(points) {
+        return points.reduce((kept, point) => {
+            const last = kept[kept.length - 1];
+            if (!last || Math.hypot(point.x - last.x, point.y - last.y) >= SignatureDrawing.minDistance) {
+                kept.push(point);
+            }
+            return kept;
+        }, []);
+    }
+
+    /**
+     * Round a coordinate to one decimal place
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Check that a value is a usable drawing
+     */
+    static isValid(drawing) {
+        if (!drawing || typeof drawing !== 'object' || Array.isArray(drawing)) return false;
+
+        const { width, height, paths } = drawing;
+        const isSize = (value) => Number.isInteger(value) && value > 0 && value <= 2000;
+
+        return isSize(width) && isSize(height) &&
+            Array.isArray(paths) && paths.length > 0 && paths.length <= SignatureDrawing.maxStrokes &&
+            paths.every(path => typeof path === 'string' &&
+                path.length <= SignatureDrawing.maxPathLength &&
+                SignatureDrawing.pathPattern.test(path));
+    }
+
+    /**
+     * Estimate a path's length from its points (used when getTotalLength is unavailable)
+     */
+    static estimateLength(path) {
+        const numbers = (path.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+        let length = 0;
+
+        for (let i = 2; i + 1 < numbers.length; i += 2) {
+            length += Math.hypot(numbers[i] - numbers[i - 2], numbers[i + 1] - numbers[i - 1]);
+        }
+
+        return length;
+    }
+
+    /**
+     * Create an SVG element that draws the signature in the current text color
+     */
+    static createSVG(drawing, className = 'signature-drawing') {
+        const namespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(namespace, 'svg');
+        svg.setAttribute('class', className);
+        svg.setAttribute('viewBox', `0 0 ${drawing.width} ${drawing.height}`);
+        svg.setAttribute('fill', 'none');
+        svg.setAttribute('stroke', 'currentColor');
+        svg.setAttribute('stroke-width', '3');
+        svg.setAttribute('stroke-linecap', 'round');
+        svg.setAttribute('stroke-linejoin', 'round');
+
+        drawing.paths.forEach(d => {
+            const path = document.createElementNS(namespace, 'path');
+            path.setAttribute('class', 'signature-stroke');
+            path.setAttribute('d', d);
+            svg.appendChild(path);
+        });
+
+        return svg;
+    }
+}
+
+export default SignatureDrawing;
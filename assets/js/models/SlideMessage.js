@@ -0,0 +1,120 @@
+/**
+ * SlideMessage Model - Intro Message Definition
+ * A message is either a plain string or an object with per-slide options
+ *
+ * Features:
+ * - Backward compatible with plain string messages
+ * - Per-slide duration, transition, text size and color emphasis
+ * - Normalization with defaults and compaction back to the shortest form
+ * - Readable errors naming each out-of-range or unknown option
+ */
+
+class SlideMessage {
+    static transitions = ['flip', 'fade', 'zoom', 'slide-up', 'heart-wipe'];
+    static sizes = ['small', 'normal', 'large', 'huge'];
+    static emphases = ['none', 'primary', 'secondary', 'accent'];
+
+    static minDuration = 300;
+    static maxDuration = 10000;
+
+    static defaults = {
+        duration: null,
+        transition: 'flip',
+        size: 'normal',
+        emphasis: 'none'
+    };
+
+    /**
+     * Get the display text of a message
+     */
+    static getText(message) {
+        if (typeof message === 'string') return message;
+        return message && typeof message.text === 'string' ? message.text : '';
+    }
+
+    /**
+     * Expand a string or partial object into a full message with defaults
+     */
+    static normalize(message) {
+        const source = typeof message === 'string' ? { text: message } : (message || {});
+        const duration = Number(source.duration);
+
+        return {
+            text: SlideMessage.getText(source),
+            duration: Number.isFinite(duration) && source.duration !== null && source.duration !== ''
+                ? Math.min(SlideMessage.maxDuration, Math.max(SlideMessage.minDuration, Math.round(duration)))
+                : SlideMessage.defaults.duration,
+            transition: SlideMessage.transitions.includes(source.transition)
+                ? source.transition
+                : SlideMessage.defaults.transition,
+            size: SlideMessage.sizes.includes(source.size) ? source.size : SlideMessage.defaults.size,
+            emphasis: SlideMessage.emphases.includes(source.emphasis)
+                ? source.emphasis
+                : SlideMessage.defaults.emphasis
+        };
+    }
+
+    /**
+     * Reduce a message to a plain string when it has no custom options
+     */
+    static compact(message) {
+        const normalized = SlideMessage.normalize(message);
+        const compacted = { text: normalized.text };
+
+        Object.entries(SlideMessage.defaults).forEach(([key, defaultValue]) => {
+            if (normalized[key] !== defaultValue) {
+                compacted[key] = normalized[key];
+            }
+        });
+
+        return Object.keys(compacted).length === 1 ? normalized.text : compacted;
+    }
+
+    /**
+     * Check that a stored message is well-formed
+     */
+    static isValid(message, maxLength = 20) {
+        const text = SlideMessage.getText(message);
+        if (!text.trim() || text.length > maxLength) {
+            return false;
+        }
+
+        if (typeof message === 'string') {
+            return true;
+        }
+
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return false;
+        }
+
+        return SlideMessage.getErrors(message).length === 0;
+    }
+
+    /**
+     * List problems with a message object's options
+     */
+    static getErrors(message) {
+        const errors = [];
+        if (typeof message === 'string') return errors;
+
+        if (message.duration !== undefined && message.duration !== null &&
+            !(Number.isFinite(message.duration) &&
+              message.duration >= SlideMessage.minDuration &&
+              message.duration <= SlideMessage.maxDuration)) {
+            errors.push(`duration must be between ${SlideMessage.minDuration} and ${SlideMessage.maxDuration} ms`);
+        }
+        if (message.transition !== undefined && !SlideMessage.transitions.includes(message.transition)) {
+            errors.push(`transition must be one of ${SlideMessage.transitions.join(', ')}`);
+        }
+        if (message.size !== undefined && !SlideMessage.sizes.includes(message.size)) {
+            errors.push(`size must be one of ${SlideMessage.sizes.join(', ')}`);
+        }
+        if (message.emphasis !== undefined && !SlideMessage.emphases.includes(message.emphasis)) {
+            errors.push(`emphasis must be one of ${SlideMessage.emphases.join(', ')}`);
+        }
+
+        return errors;
+    }
+}
+
+export default SlideMessage;
@@ -0,0 +1,199 @@
+/**
+ * Sticker Model - Letter Decorations
+ * An emoji or bundled picture placed on the letter, positioned relative to it
+ *
+ * Features:
+ * - Emoji stickers and the bundled heart, rose and flower pictures
+ * - Position as a fraction of the letter's width and height, so stickers survive resizing
+ * - Rotation and scale limits shared by the editor, settings, share links and imports
+ * - Sticker elements sized as a share of the letter's width, for screen and print
+ */
+
+class Sticker {
+    static kinds = ['emoji', 'image'];
+
+    // Bundled pictures; tinted ones are single-colour shapes drawn in the theme colour
+    static images = {
+        heart: { src: 'assets/images/hearts/heart.svg', label: 'Heart outline', tint: true },
+        'heart-fill': { src: 'assets/images/hearts/heart-fill.svg', label: 'Heart', tint: true },
+        'heart-pulse': { src: 'assets/images/hearts/heart-pulse.svg', label: 'Heartbeat', tint: true },
+        'suit-heart': { src: 'assets/images/hearts/suit-heart.svg', label: 'Card suit heart', tint: true },
+        rose: { src: 'assets/images/icons/rose.svg', label: 'Rose', tint: false },
+        flower: { src: 'assets/images/icons/flower.svg', label: 'Flower', tint: false }
+    };
+
+    static maxStickers = 24;
+    static maxEmojiLength = 16;
+    static minScale = 0.5;
+    static maxScale = 3;
+
+    // Sticker width at scale 1, as a share of the letter's width
+    static baseSize = 0.1;
+
+    static idPattern = /^[a-z0-9]{1,16}$/;
+
+    /**
+     * Check a single sticker
+     */
+    static isValid(sticker) {
+        if (!sticker || typeof sticker !== 'object' || Array.isArray(sticker)) return false;
+
+        const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+        return typeof sticker.id === 'string' && Sticker.idPattern.test(sticker.id) &&
+            Sticker.isValidArt(sticker.kind, sticker.value) &&
+            isFraction(sticker.x) && isFraction(sticker.y) &&
+            (sticker.rotation === undefined || (Number.isFinite(sticker.rotation) && Math.abs(sticker.rotation) <= 180)) &&
+            (sticker.scale === undefined || (Number.isFinite(sticker.scale) &&
+                sticker.scale >= Sticker.minScale && sticker.scale <= Sticker.maxScale));
+    }
+
+    /**
+     * Check a list of stickers
+     */
+    static isValidList(stickers) {
+        return Array.isArray(stickers) && stickers.length <= Sticker.maxStickers &&
+            stickers.every(sticker => Sticker.isValid(sticker));
+    }
+
+    /**
+     * Check that an emoji is short and pictographic, or that a picture is bundled
+     */
+    static isValidArt(kind, value) {
+        if (typeof value !== 'string') return false;
+
+        if (kind === 'image') {
+            return Object.hasOwn(Sticker.images, value);
+        }
+        return kind === 'emoji' && value.length > 0 && value.length <= Sticker.maxEmojiLength &&
+            /\p{Extended_Pictographic}/u.test(value);
+    }
+
+    /**
+     * Keep the usable stickers of a list, up to the limit
+     */
+    static normalizeList(stickers) {
+        return Array.isArray(stickers)
+            ? stickers.filter(sticker => Sticker.isValid(sticker)).slice(0, Sticker.maxStickers)
+            : [];
+    }
+
+    /**
+     * Create a sticker in the middle of the letter
+     */
+    static create(kind, value, position = {}) {
+        return {
+            id: Sticker.createId(),
+            kind,
+            value,
+            x: Sticker.round(Sticker.clamp(position.x ?? 0.5, 0, 1)),
+            y: Sticker.round(Sticker.clamp(position.y ?? 0.5, 0, 1)),
+            rotation: 0,
+            scale: 1
+        };
+    }
+
+    /**
+     * Make a short random id
+     */
+    static createId() {
+        return Math.random().toString(36).slice(2, 10) || 'sticker';
+    }
+
+    /**
+     * Turn an angle into the range -180 to 180 degrees
+     */
+    static normalizeRotation(degrees) {
+        const turned = ((degrees % 360) + 540) % 360 - 180;
+        return Math.round(turned === -180 ? 180 : turned);
+    }
+
+    /**
+     * Keep a value within limits
+     */
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * Round a position or scale so saved letters and links stay short
+     */
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Get a readable name for a sticker
+     */
+    static getLabel(sticker) {
+        return sticker.kind === 'image' ? Sticker.images[sticker.value]?.label || 'Picture' : sticker.value;
+    }
+
+    /**
+     * Build a positioned sticker element, or null for a sticker that cannot be shown
+     */
+    static createElement(sticker) {
+        if (!Sticker.isValidArt(sticker.kind, sticker.value)) return null;
+
+        const element = document.createElement('div');
+        element.className = 'sticker';
+        element.dataset.stickerId = sticker.id;
+        element.appendChild(Sticker.createArt(sticker));
+        Sticker.applyPosition(element, sticker);
+
+        return element;
+    }
+
+    /**
+     * Build the picture inside a sticker
+     */
+    static createArt(sticker) {
+        if (sticker.kind === 'emoji') {
+            // Emoji sit in an SVG so they scale with the sticker's width
+            const namespace = 'http://www.w3.org/2000/svg';
+            const svg = document.createElementNS(namespace, 'svg');
+            svg.setAttribute('class', 'sticker-art');
+            svg.setAttribute('viewBox', '0 0 100 100');
+
+            const text = document.createElementNS(namespace, 'text');
+            text.setAttribute('x', '50');
+            text.setAttribute('y', '54');
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('dominant-baseline', 'central');
+            text.setAttribute('font-size', '80');
+            text.textContent = sticker.value;
+            svg.appendChild(text);
+            return svg;
+        }
+
+        // Absolute URLs keep pictures working in the print window
+        const image = Sticker.images[sticker.value];
+        const url = new URL(image.src, document.baseURI).href;
+
+        if (image.tint) {
+            const shape = document.createElement('span');
+            shape.className = 'sticker-art sticker-tinted';
+            shape.style.setProperty('--sticker-image', `url("${url}")`);
+            return shape;
+        }
+
+        const picture = document.createElement('img');
+        picture.className = 'sticker-art';
+        picture.src = url;
+        picture.alt = '';
+        picture.draggable = false;
+        return picture;
+    }
+
+    /**
+     * Place, size and turn a sticker element
+     */
+    static applyPosition(element, sticker) {
+        element.style.left = `${sticker.x * 100}%`;
+        element.style.top = `${sticker.y * 100}%`;
+        element.style.width = `${Sticker.baseSize * (sticker.scale ?? 1) * 100}%`;
+        element.style.transform = `translate(-50%, -50%) rotate(${sticker.rotation ?? 0}deg)`;
+    }
+}
+
+export default Sticker;
@@ -0,0 +1,210 @@
+/**
+ * ContentProvider Service - Runtime Content Packs
+ * Fetches and validates JSON content packs that drive the whole experience
+ *
+ * Features:
+ * - Loads data/default-content.json or any other content pack URL
+ * - Content pack can be chosen with a ?content= query parameter
+ * - Per-field validation with fallback to a minimal built-in letter and theme
+ * - Themes with colours and, optionally, their own heart sets and heart palette
+ * - Request timeout so a slow pack never blocks the experience
+ */
+
+import ParticleSet from '../models/ParticleSet.js';
+
+class ContentProvider {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            url: options.url || 'data/default-content.json',
+            queryParam: options.queryParam || 'content',
+            timeout: options.timeout || 5000
+        };
+
+        // Minimal content used until the pack loads, and for anything the pack lacks or gets wrong
+        this.builtInContent = {
+            messages: ['Happy', "Valentine's", 'Day'],
+            letterContent: ["Happy Valentine's Day, my love. Thank you for being you."],
+            signature: 'Your Valentine',
+            title: 'My Dearest Valentine',
+            salutation: '',
+            closing: 'With all my love',
+            signatures: ['With all my love'],
+            themes: {
+                default: {
+                    name: 'Classic Romance',
+                    colors: { primary: '#e74c3c', secondary: '#f8d7da', accent: '#ffffff' }
+                }
+            },
+            heartTypes: ['❤️', '💕', '💖'],
+            inspirationalQuotes: [],
+            alternativeMessages: [],
+            letterTemplates: {},
+            settings: {
+                defaultAnimationSpeed: 'normal',
+                defaultTheme: 'default',
+                enableSounds: false,
+                enableBackgroundHearts: true,
+                typewriterSpeed: 50,
+                slideDelay: 1200
+            }
+        };
+
+        const isString = (value) => typeof value === 'string' && value.trim().length > 0;
+        const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(isString);
+        const isColor = (value) => isString(value) && /^(#[0-9a-f]{3,8}|rgba?\([^)]*\)|hsla?\([^)]*\))$/i.test(value.trim());
+
+        // Theme heart sets may list picture URLs for their "custom" set
+        const isThemeParticles = (value) => this.isPlainObject(value) &&
+            ParticleSet.isValidSetList(value.sets) && value.sets.length > 0 &&
+            (value.images === undefined || (Array.isArray(value.images) && value.images.every(isString)));
+
+        // Per-field validators for content packs
+        this.validators = {
+            messages: isStringList,
+            letterContent: isStringList,
+            signature: isString,
+            title: isString,
+            salutation: (value) => typeof value === 'string',
+            closing: isString,
+            signatures: isStringList,
+            themes: (value) => this.isPlainObject(value) && Object.keys(value).length > 0 &&
+                Object.entries(value).every(([key, theme]) =>
+                    /^[a-z][a-z0-9-]*$/.test(key) &&
+                    this.isPlainObject(theme) &&
+                    isString(theme.name) &&
+                    this.isPlainObject(theme.colors) &&
+                    ['primary', 'secondary', 'accent'].every(color => isColor(theme.colors[color])) &&
+                    (theme.particles === undefined || isThemeParticles(theme.particles)) &&
+                    (theme.palette === undefined || (Array.isArray(theme.palette) && theme.palette.length > 0 &&
+                        theme.palette.every(isColor)))
+                ),
+            heartTypes: isStringList,
+            inspirationalQuotes: isStringList,
+            alternativeMessages: (value) => Array.isArray(value) && value.every(isStringList),
+            letterTemplates: (value) => this.isPlainObject(value) && Object.values(value).every(isStringList),
+            settings: (value) => this.isPlainObject(value)
+        };
+
+        // Validators for individual settings
+        this.settingValidators = {
+            defaultAnimationSpeed: (value) => ['slow', 'normal', 'fast'].includes(value),
+            defaultTheme: isString,
+            enableSounds: (value) => typeof value === 'boolean',
+            enableBackgroundHearts: (value) => typeof value === 'boolean',
+            typewriterSpeed: (value) => Number.isFinite(value) && value >= 0 && value <= 1000,
+            slideDelay: (value) => Number.isFinite(value) && value >= 100 && value <= 10000
+        };
+    }
+
+    /**
+     * Resolve the content pack URL, honouring the query parameter override
+     */
+    resolveUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get(this.config.queryParam) || this.config.url;
+    }
+
+    /**
+     * Load a content pack, falling back to built-in content on any failure
+     */
+    async load(url = this.resolveUrl()) {
+        try {
+            const pack = await this.fetchPack(url);
+            const content = this.validate(pack);
+            console.log(`📦 Loaded content pack: ${url}`);
+            return content;
+        } catch (error) {
+            console.warn(`Failed to load content pack "${url}", using built-in content:`, error);
+            return this.getBuiltInContent();
+        }
+    }
+
+    /**
+     * Fetch and parse a content pack with a timeout
+     */
+    async fetchPack(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = setTimeout(() => controller?.abort(), this.config.timeout);
+
+        try {
+            const response = await fetch(url, {
+                signal: controller?.signal,
+                headers: { Accept: 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Validate a pack field by field, keeping built-in values for anything invalid
+     */
+    validate(pack) {
+        if (!this.isPlainObject(pack)) {
+            throw new Error('Content pack must be a JSON object');
+        }
+
+        const content = this.getBuiltInContent();
+
+        Object.entries(this.validators).forEach(([field, isValid]) => {
+            if (pack[field] === undefined) return;
+
+            if (isValid(pack[field])) {
+                content[field] = field === 'settings'
+                    ? this.validateSettings(pack.settings)
+                    : pack[field];
+            } else {
+                console.warn(`Content pack field "${field}" is invalid, using built-in value`);
+            }
+        });
+
+        // The default theme must exist in the final theme list
+        if (!content.themes[content.settings.defaultTheme]) {
+            content.settings.defaultTheme = Object.keys(content.themes)[0];
+        }
+
+        return content;
+    }
+
+    /**
+     * Validate individual settings
+     */
+    validateSettings(settings) {
+        const validated = { ...this.builtInContent.settings };
+
+        Object.entries(this.settingValidators).forEach(([key, isValid]) => {
+            if (settings[key] === undefined) return;
+
+            if (isValid(settings[key])) {
+                validated[key] = settings[key];
+            } else {
+                console.warn(`Content pack setting "${key}" is invalid, using built-in value`);
+            }
+        });
+
+        return validated;
+    }
+
+    /**
+     * Get a fresh copy of the built-in content
+     */
+    getBuiltInContent() {
+        return JSON.parse(JSON.stringify(this.builtInContent));
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+export default ContentProvider;
@@ -0,0 +1,145 @@
+/**
+ * ImageProcessor Service - Client-Side Photo Preparation
+ * Downscales and compresses picked photos before they are stored with a letter
+ *
+ * Features:
+ * - Decodes JPEG, PNG, WebP and GIF files in the browser
+ * - Fits photos within a maximum dimension and re-encodes them as JPEG
+ * - Conversion between stored bytes and data URLs for self-contained exports
+ */
+
+class ImageProcessor {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            maxDimension: options.maxDimension || 1280,
+            quality: options.quality || 0.82,
+            outputType: 'image/jpeg',
+            maxInputSize: options.maxInputSize || 20 * 1024 * 1024,
+            acceptedTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+        };
+    }
+
+    /**
+     * Check whether a file looks like a photo this service can process
+     */
+    isImage(file) {
+        return Boolean(file) && this.config.acceptedTypes.includes(file.type);
+    }
+
+    /**
+     * Downscale and compress a photo; resolves to { type, data, width, height }
+     * Options override the size and output type, e.g. for small transparent PNG hearts
+     */
+    async process(file, options = {}) {
+        const maxDimension = options.maxDimension || this.config.maxDimension;
+        const outputType = options.outputType || this.config.outputType;
+
+        if (!this.isImage(file)) {
+            throw new Error(`"${file?.name || 'This file'}" is not a JPEG, PNG, WebP or GIF photo`);
+        }
+        if (file.size > this.config.maxInputSize) {
+            throw new Error(`"${file.name}" is too large (the limit is 20 MB)`);
+        }
+
+        const image = await this.decode(file);
+        const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        if (!context) {
+            throw new Error('This browser cannot prepare photos');
+        }
+
+        // JPEG has no transparency, so transparent areas become white like the letter paper
+        if (outputType === 'image/jpeg') {
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(image, 0, 0, width, height);
+        image.close?.();
+
+        const blob = await new Promise(resolve => {
+            canvas.toBlob(resolve, outputType, this.config.quality);
+        });
+        if (!blob) {
+            throw new Error(`Could not compress "${file.name}"`);
+        }
+
+        return {
+            type: blob.type || outputType,
+            data: await blob.arrayBuffer(),
+            width,
+            height
+        };
+    }
+
+    /**
+     * Decode a file into something a canvas can draw
+     */
+    async decode(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                return await createImageBitmap(file);
+            } catch (error) {
+                // Fall back to an image element below
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            return await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error(`Could not read "${file.name}" as a photo`));
+                image.src = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Create an object URL for a stored photo
+     */
+    toObjectUrl(record) {
+        return URL.createObjectURL(new Blob([record.data], { type: record.type }));
+    }
+
+    /**
+     * Encode a stored photo as a data URL
+     */
+    toDataUrl(record) {
+        const bytes = new Uint8Array(record.data);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${record.type};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Decode a data URL back into a storable photo record
+     */
+    fromDataUrl(dataUrl) {
+        const match = /^data:(image\/[a-z]+);base64,(.*)$/.exec(dataUrl);
+        if (!match) {
+            throw new Error('Photo data is not a base64 image');
+        }
+
+        const binary = atob(match[2]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return { type: match[1], data: bytes.buffer };
+    }
+}
+
+export default ImageProcessor;
@@ -0,0 +1,164 @@
+/**
+ * LetterCrypto Service - Passphrase Protection
+ * Encrypts letter payloads client-side so only people with the passphrase can read them
+ *
+ * Features:
+ * - PBKDF2 (SHA-256) key derivation with a random salt per letter
+ * - AES-GCM encryption with a random IV; tampering fails like a wrong passphrase
+ * - Compact binary packing for links, recording the iteration count so links outlive a change of default
+ * - Base64url encoding for links and files
+ * - Nothing leaves the browser; the passphrase is never stored
+ */
+
+class LetterCrypto {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            iterations: options.iterations || 250000,
+            minIterations: 100000, // Same range data/letter.schema.json allows for files
+            maxIterations: 10000000,
+            saltLength: 16,
+            ivLength: 12,
+            wrongPassphraseMessage: 'That passphrase does not open this letter.'
+        };
+    }
+
+    /**
+     * Check for the Web Crypto API (only available in secure contexts)
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Encrypt bytes with a passphrase
+     */
+    async encrypt(bytes, passphrase) {
+        if (!this.isSupported()) {
+            throw new Error('Passphrase protection needs a secure (https) page');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(this.config.saltLength));
+        const iv = crypto.getRandomValues(new Uint8Array(this.config.ivLength));
+        const key = await this.deriveKey(passphrase, salt, this.config.iterations);
+        const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+
+        return { iterations: this.config.iterations, salt, iv, data };
+    }
+
+    /**
+     * Decrypt bytes; a wrong passphrase throws an error with code "wrong-passphrase"
+     */
+    async decrypt({ iterations, salt, iv, data }, passphrase) {
+        if (!this.isSupported()) {
+            throw new Error('Opening private letters needs a secure (https) page');
+        }
+
+        const key = await this.deriveKey(passphrase, salt, iterations);
+
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+        } catch (error) {
+            const wrongPassphrase = new Error(this.config.wrongPassphraseMessage);
+            wrongPassphrase.code = 'wrong-passphrase';
+            throw wrongPassphrase;
+        }
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Pack the iteration count (4 bytes, big-endian), salt, IV and ciphertext into one byte array
+     */
+    pack({ iterations, salt, iv, data }) {
+        const packed = new Uint8Array(4 + salt.length + iv.length + data.length);
+        new DataView(packed.buffer).setUint32(0, iterations);
+        packed.set(salt, 4);
+        packed.set(iv, 4 + salt.length);
+        packed.set(data, 4 + salt.length + iv.length);
+        return packed;
+    }
+
+    /**
+     * Split packed bytes back into iteration count, salt, IV and ciphertext
+     */
+    unpack(bytes) {
+        const { saltLength, ivLength, minIterations, maxIterations } = this.config;
+        const header = 4 + saltLength + ivLength;
+        if (bytes.length <= header) {
+            throw new Error('Encrypted payload is too short');
+        }
+
+        // Out-of-range counts are damage, and a huge one would hang the browser deriving the key
+        const iterations = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+        if (iterations < minIterations || iterations > maxIterations) {
+            throw new Error('Encrypted payload has an unusable iteration count');
+        }
+
+        return {
+            iterations,
+            salt: bytes.slice(4, 4 + saltLength),
+            iv: bytes.slice(4 + saltLength, header),
+            data: bytes.slice(header)
+        };
+    }
+
+    /**
+     * Encode bytes as base64url without padding
+     */
+    bytesToBase64Url(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary)
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Decode base64url (with or without padding) into bytes
+     */
+    base64UrlToBytes(value) {
+        if (value.length % 4 === 1) {
+            throw new Error('Invalid base64url length');
+        }
+
+        const base64 = value
+            .replace(/-/g, '+')
+            .replace(/_/g, '/')
+            .padEnd(Math.ceil(value.length / 4) * 4, '=');
+
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+export default LetterCrypto;
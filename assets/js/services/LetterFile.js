@@ -0,0 +1,262 @@
+/**
+ * LetterFile Service - Letter Import and Export
+ * Saves complete letters as .valentine.json files and reads them back
+ *
+ * Features:
+ * - Exports messages, paragraphs, title, salutation, closing, date, typed and drawn signature,
+ *   theme, reveal and page modes, envelope, stickers, heart sets and effects,
+ *   background scene and roses, reply references, per-slide options,
+ *   photos and heart pictures (embedded, so files are self-contained)
+ * - Validates imports against the published data/letter.schema.json
+ * - Readable per-field error messages (e.g. "Intro message 3: size must be one of ...")
+ * - File size limit so a stray upload never freezes the page
+ * - Optional passphrase encryption; the hint stays readable
+ */
+
+import SchemaValidator from './SchemaValidator.js';
+import LetterCrypto from './LetterCrypto.js';
+
+class LetterFile {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            schemaUrl: options.schemaUrl || 'data/letter.schema.json',
+            format: 'valentine-express-letter',
+            version: 1,
+            extension: '.valentine.json',
+            maxFileSize: options.maxFileSize || 12 * 1024 * 1024
+        };
+
+        // Schema validator, created on first use
+        this.validator = null;
+
+        this.crypto = options.crypto || new LetterCrypto();
+    }
+
+    /**
+     * Fetch the published schema once
+     */
+    async getValidator() {
+        if (this.validator) return this.validator;
+
+        const response = await fetch(this.config.schemaUrl, {
+            headers: { Accept: 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Could not load the letter schema (HTTP ${response.status})`);
+        }
+
+        this.validator = new SchemaValidator(await response.json());
+        return this.validator;
+    }
+
+    /**
+     * Wrap a letter definition in the file envelope, encrypting it when a passphrase is given
+     */
+    async create(letter, name, protection = {}) {
+        const file = {
+            format: this.config.format,
+            version: this.config.version,
+            name,
+            exportedAt: new Date().toISOString()
+        };
+
+        if (!protection.passphrase) {
+            return { ...file, letter };
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(letter));
+        const { iterations, salt, iv, data } = await this.crypto.encrypt(bytes, protection.passphrase);
+
+        file.encrypted = {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iterations,
+            salt: this.crypto.bytesToBase64Url(salt),
+            iv: this.crypto.bytesToBase64Url(iv),
+            data: this.crypto.bytesToBase64Url(data)
+        };
+        if (protection.hint) {
+            file.encrypted.hint = protection.hint;
+        }
+
+        return file;
+    }
+
+    /**
+     * Download a letter as a .valentine.json file
+     */
+    async download(letter, name = 'My Valentine', protection = {}) {
+        const json = JSON.stringify(await this.create(letter, name, protection), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName(name);
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return link.download;
+    }
+
+    /**
+     * Read and validate a letter file; throws an error listing every problem
+     * Encrypted files come back locked ({ name, locked, hint }) until unlock() is called
+     */
+    async read(file) {
+        if (file.size > this.config.maxFileSize) {
+            throw this.createError('This file is too large to be a letter', []);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw this.createError('This file is not valid JSON', []);
+        }
+
+        const errors = (await this.getValidator()).validate(data);
+        if (errors.length > 0) {
+            throw this.createError(
+                'This letter file has problems',
+                errors.map(error => `${this.describePath(error.path)}: ${error.message}`)
+            );
+        }
+
+        const name = data.name || this.getBaseName(file.name);
+
+        if (data.encrypted) {
+            return {
+                name,
+                locked: true,
+                hint: data.encrypted.hint || '',
+                encrypted: data.encrypted
+            };
+        }
+
+        return { name, letter: data.letter };
+    }
+
+    /**
+     * Decrypt a locked file from read() and validate the letter inside
+     */
+    async unlock(imported, passphrase) {
+        const { iterations, salt, iv, data } = imported.encrypted;
+        const bytes = await this.crypto.decrypt({
+            iterations,
+            salt: this.crypto.base64UrlToBytes(salt),
+            iv: this.crypto.base64UrlToBytes(iv),
+            data: this.crypto.base64UrlToBytes(data)
+        }, passphrase);
+
+        let letter;
+        try {
+            letter = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw this.createError('This letter file has problems', ['Letter: could not be read after unlocking']);
+        }
+
+        const validator = await this.getValidator();
+        const errors = validator.validate(letter, 'letter', validator.resolveRef('#/$defs/letter'));
+        if (errors.length > 0) {
+            throw this.createError(
+                'This letter file has problems',
+                errors.map(error => `${this.describePath(error.path)}: ${error.message}`)
+            );
+        }
+
+        return { name: imported.name, letter };
+    }
+
+    /**
+     * Turn a schema path into a field label people recognise
+     */
+    describePath(path) {
+        const labels = [
+            [/^letter\.messages\[(\d+)\]\.(\w+)$/, (match, index, field) => `Intro message ${Number(index) + 1} ${field}`],
+            [/^letter\.messages\[(\d+)\]$/, (match, index) => `Intro message ${Number(index) + 1}`],
+            [/^letter\.messages$/, () => 'Intro messages'],
+            [/^letter\.letterText\[(\d+)\]$/, (match, index) => `Paragraph ${Number(index) + 1}`],
+            [/^letter\.letterText$/, () => 'Letter content'],
+            [/^letter\.signature$/, () => 'Signature'],
+            [/^letter\.signatureDrawing\.paths\[(\d+)\]$/, (match, index) => `Signature stroke ${Number(index) + 1}`],
+            [/^letter\.signatureDrawing(\.\w+)?$/, () => 'Signature drawing'],
+            [/^letter\.theme$/, () => 'Theme'],
+            [/^letter\.title$/, () => 'Title'],
+            [/^letter\.salutation$/, () => 'Salutation'],
+            [/^letter\.closing$/, () => 'Closing'],
+            [/^letter\.date\.(\w+)$/, (match, field) => `Date ${field}`],
+            [/^letter\.date$/, () => 'Date'],
+            [/^letter\.revealMode$/, () => 'Reveal mode'],
+            [/^letter\.pageMode$/, () => 'Page mode'],
+            [/^letter\.photos\[(\d+)\]\.(\w+)$/, (match, index, field) => `Photo ${Number(index) + 1} ${field}`],
+            [/^letter\.photos\[(\d+)\]$/, (match, index) => `Photo ${Number(index) + 1}`],
+            [/^letter\.photos$/, () => 'Photos'],
+            [/^letter\.envelope\.(\w+)$/, (match, field) => `Envelope ${field}`],
+            [/^letter\.envelope$/, () => 'Envelope'],
+            [/^letter\.stickers\[(\d+)\]\.(\w+)$/, (match, index, field) => `Sticker ${Number(index) + 1} ${field}`],
+            [/^letter\.stickers\[(\d+)\]$/, (match, index) => `Sticker ${Number(index) + 1}`],
+            [/^letter\.stickers$/, () => 'Stickers'],
+            [/^letter\.particles\.images\[(\d+)\]$/, (match, index) => `Heart picture ${Number(index) + 1}`],
+            [/^letter\.particles\.sets\[(\d+)\]$/, (match, index) => `Heart set ${Number(index) + 1}`],
+            [/^letter\.particles(\.\w+)?$/, () => 'Hearts'],
+            [/^letter\.effects\.(\w+)$/, (match, field) => `Effect ${field}`],
+            [/^letter\.effects$/, () => 'Effects'],
+            [/^letter\.roseDensity$/, () => 'Background roses'],
+            [/^letter\.backdrop\.(\w+)$/, (match, field) => `Background ${field}`],
+            [/^letter\.backdrop$/, () => 'Background'],
+            [/^letter\.letterId$/, () => 'Letter id'],
+            [/^letter\.replyTo\.(\w+)$/, (match, field) => `Reply to ${field}`],
+            [/^letter\.replyTo$/, () => 'Reply to'],
+            [/^letter$/, () => 'Letter']
+        ];
+
+        for (const [pattern, label] of labels) {
+            const match = path.match(pattern);
+            if (match) return label(...match);
+        }
+        return path;
+    }
+
+    /**
+     * Create an error carrying per-field details
+     */
+    createError(message, details) {
+        const error = new Error(message);
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * Build a safe file name from a letter name
+     */
+    getFileName(name) {
+        const slug = String(name)
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `${slug || 'letter'}${this.config.extension}`;
+    }
+
+    /**
+     * Strip the letter file extension from a file name
+     */
+    getBaseName(fileName = '') {
+        return fileName.replace(/(\.valentine)?\.json$/i, '').trim() || 'Imported letter';
+    }
+
+    /**
+     * Check whether a dropped file looks like a letter file
+     */
+    isLetterFile(file) {
+        return Boolean(file) && (/\.json$/i.test(file.name) || file.type === 'application/json');
+    }
+}
+
+export default LetterFile;
@@ -0,0 +1,257 @@
+/**
+ * LetterLibrary Service - Saved Letters in IndexedDB
+ * Keeps several named letters so senders can switch between drafts
+ *
+ * Features:
+ * - Create, duplicate, rename, delete and update named letters
+ * - Each letter stores its own messages, paragraphs, signature and theme
+ * - Remembers the active letter between visits
+ * - Photo attachments kept in their own store and shared by id
+ * - Promise-based wrapper around IndexedDB requests
+ */
+
+class LetterLibrary {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            dbName: options.dbName || 'valentine-express',
+            dbVersion: options.dbVersion || 2,
+            storeName: options.storeName || 'letters',
+            photoStoreName: options.photoStoreName || 'photos',
+            activeKey: options.activeKey || 'valentine-active-letter'
+        };
+
+        this.db = null;
+    }
+
+    /**
+     * Check for IndexedDB support
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.config.storeName)) {
+                    const store = db.createObjectStore(this.config.storeName, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(this.config.photoStoreName)) {
+                    db.createObjectStore(this.config.photoStoreName, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Letter library is open in another tab'));
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a single store operation inside a transaction
+     */
+    async request(mode, operation, storeName = this.config.storeName) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * List all letters, oldest first
+     */
+    async list() {
+        const records = await this.request('readonly', store => store.getAll());
+        return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Get a single letter by id
+     */
+    async get(id) {
+        const record = await this.request('readonly', store => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * Create a new named letter
+     */
+    async create(name, letter) {
+        const now = new Date().toISOString();
+        const record = {
+            id: this.generateId(),
+            name: name || 'Untitled letter',
+            letter: this.cloneLetter(letter),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.request('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Replace the contents of an existing letter
+     */
+    async update(id, letter) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error('Letter not found');
+        }
+
+        record.letter = this.cloneLetter(letter);
+        record.updatedAt = new Date().toISOString();
+
+        await this.request('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Rename a letter
+     */
+    async rename(id, name) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error('Letter not found');
+        }
+
+        record.name = name || record.name;
+        record.updatedAt = new Date().toISOString();
+
+        await this.request('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Copy a letter under a new name
+     */
+    async duplicate(id) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error('Letter not found');
+        }
+
+        return this.create(`${record.name} (copy)`, record.letter);
+    }
+
+    /**
+     * Delete a letter
+     */
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+
+        if (this.getActiveId() === id) {
+            this.setActiveId(null);
+        }
+    }
+
+    /**
+     * Store a prepared photo and return its id
+     */
+    async savePhoto(photo) {
+        const id = this.generateId();
+
+        await this.request('readwrite', store => store.put({
+            id,
+            type: photo.type,
+            data: photo.data,
+            width: photo.width,
+            height: photo.height,
+            createdAt: new Date().toISOString()
+        }), this.config.photoStoreName);
+
+        return id;
+    }
+
+    /**
+     * Get a stored photo by id
+     */
+    async getPhoto(id) {
+        const record = await this.request('readonly', store => store.get(id), this.config.photoStoreName);
+        return record || null;
+    }
+
+    /**
+     * Delete every stored photo whose id is not in the given set
+     */
+    async prunePhotos(keepIds) {
+        const ids = await this.request('readonly', store => store.getAllKeys(), this.config.photoStoreName);
+        const unused = ids.filter(id => !keepIds.has(id));
+
+        if (unused.length > 0) {
+            await this.request('readwrite', store => {
+                unused.forEach(id => store.delete(id));
+                return null;
+            }, this.config.photoStoreName);
+        }
+
+        return unused.length;
+    }
+
+    /**
+     * Get the id of the letter last in use
+     */
+    getActiveId() {
+        try {
+            return localStorage.getItem(this.config.activeKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the letter in use
+     */
+    setActiveId(id) {
+        try {
+            if (id) {
+                localStorage.setItem(this.config.activeKey, id);
+            } else {
+                localStorage.removeItem(this.config.activeKey);
+            }
+        } catch (error) {
+            console.warn('Failed to remember active letter:', error);
+        }
+    }
+
+    /**
+     * Generate a unique letter id
+     */
+    generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `letter-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Deep-copy a letter so stored records never share references
+     */
+    cloneLetter(letter) {
+        return typeof structuredClone === 'function'
+            ? structuredClone(letter || {})
+            : JSON.parse(JSON.stringify(letter || {}));
+    }
+}
+
+export default LetterLibrary;
@@ -0,0 +1,226 @@
+/**
+ * SchemaValidator Service - JSON Schema Checks
+ * Validates plain JSON data against the subset of JSON Schema used by the published schemas
+ *
+ * Features:
+ * - type, const, enum, required, properties and additionalProperties
+ * - String length, pattern, numeric range and array size limits
+ * - items, anyOf and local $ref into $defs
+ * - Errors collected per field with a readable path (e.g. letter.messages[2].size)
+ */
+
+class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validate a value and return every problem found
+     */
+    validate(value, rootPath = '', schema = this.schema) {
+        const errors = [];
+        this.check(value, schema, rootPath, errors);
+        return errors;
+    }
+
+    /**
+     * Check a value against one schema node, appending errors
+     */
+    check(value, schema, path, errors) {
+        if (schema.$ref) {
+            this.check(value, this.resolveRef(schema.$ref), path, errors);
+            return;
+        }
+
+        if (schema.anyOf) {
+            const count = errors.length;
+            this.checkAnyOf(value, schema.anyOf, path, errors);
+            if (errors.length > count) return;
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            errors.push(this.error(path, `must be ${JSON.stringify(schema.const)}`));
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(this.error(path, `must be one of ${schema.enum.join(', ')}`));
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.isType(value, type))) {
+                errors.push(this.error(path, `must be ${types.map(type => this.describeType(type)).join(' or ')}`, 'type'));
+                return;
+            }
+        }
+
+        if (typeof value === 'string') {
+            this.checkString(value, schema, path, errors);
+        } else if (typeof value === 'number') {
+            this.checkNumber(value, schema, path, errors);
+        } else if (Array.isArray(value)) {
+            this.checkArray(value, schema, path, errors);
+        } else if (this.isType(value, 'object')) {
+            this.checkObject(value, schema, path, errors);
+        }
+    }
+
+    /**
+     * Pass if any branch passes; otherwise report the closest branch's errors
+     */
+    checkAnyOf(value, branches, path, errors) {
+        let closest = null;
+
+        for (const branch of branches) {
+            const branchErrors = [];
+            this.check(value, branch, path, branchErrors);
+            if (branchErrors.length === 0) return;
+
+            // A branch that failed on type alone says little about what was meant
+            const typeMismatch = branchErrors.length === 1 && branchErrors[0].keyword === 'type';
+            if (!closest || (!typeMismatch && closest.typeMismatch)) {
+                closest = { errors: branchErrors, typeMismatch };
+            }
+        }
+
+        if (closest) {
+            errors.push(...closest.errors);
+        }
+    }
+
+    /**
+     * Check string length and pattern
+     */
+    checkString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(this.error(path, schema.minLength === 1
+                ? 'must not be empty'
+                : `must be at least ${schema.minLength} characters`));
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(this.error(path, `must be at most ${schema.maxLength} characters`));
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(this.error(path, 'has an invalid format'));
+        }
+    }
+
+    /**
+     * Check a numeric range
+     */
+    checkNumber(value, schema, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(this.error(path, `must be at least ${schema.minimum}`));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(this.error(path, `must be at most ${schema.maximum}`));
+        }
+    }
+
+    /**
+     * Check array size and every item
+     */
+    checkArray(value, schema, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(this.error(path, `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(this.error(path, `must have at most ${schema.maxItems} items`));
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                this.check(item, schema.items, `${path}[${index}]`, errors);
+            });
+        }
+    }
+
+    /**
+     * Check required fields and known properties
+     */
+    checkObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(this.error(this.join(path, key), 'is required'));
+            }
+        });
+
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) {
+                this.check(item, properties[key], this.join(path, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(this.error(this.join(path, key), 'is not a known field'));
+            }
+        });
+    }
+
+    /**
+     * Resolve a local reference such as #/$defs/message
+     */
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference: ${ref}`);
+        }
+
+        const node = ref.slice(2).split('/').reduce((current, key) => current?.[key], this.schema);
+        if (!node) {
+            throw new Error(`Unknown schema reference: ${ref}`);
+        }
+        return node;
+    }
+
+    /**
+     * Check a value against a JSON Schema type name
+     */
+    isType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Describe a type name for error messages
+     */
+    describeType(type) {
+        const names = {
+            object: 'an object',
+            array: 'a list',
+            integer: 'a whole number',
+            number: 'a number',
+            string: 'text',
+            boolean: 'true or false',
+            null: 'empty'
+        };
+        return names[type] || type;
+    }
+
+    /**
+     * Append a property name to a path
+     */
+    join(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Create an error entry
+     */
+    error(path, message, keyword = null) {
+        return { path: path || '(file)', message, keyword };
+    }
+}
+
+export default SchemaValidator;
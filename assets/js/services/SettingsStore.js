@@ -0,0 +1,208 @@
+/**
+ * SettingsStore Service - Versioned Settings Persistence
+ * Loads, validates and saves user settings in localStorage
+ *
+ * Features:
+ * - Schema version stored alongside the settings
+ * - Step-by-step migrations when the stored shape changes
+ * - Per-field validation with fallback to defaults
+ * - Safe handling of corrupt JSON and unavailable storage
+ */
+
+import SlideMessage from '../models/SlideMessage.js';
+import RevealMode from '../models/RevealMode.js';
+import PageMode from '../models/PageMode.js';
+import SignatureDrawing from '../models/SignatureDrawing.js';
+import LetterDate from '../models/LetterDate.js';
+import LetterDetails from '../models/LetterDetails.js';
+import LetterPhoto from '../models/LetterPhoto.js';
+import LetterEnvelope from '../models/LetterEnvelope.js';
+import Sticker from '../models/Sticker.js';
+import LetterReply from '../models/LetterReply.js';
+import ParticleSet from '../models/ParticleSet.js';
+import LetterEffects from '../models/LetterEffects.js';
+import RoseDensity from '../models/RoseDensity.js';
+import LetterBackdrop from '../models/LetterBackdrop.js';
+
+class SettingsStore {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            storageKey: options.storageKey || 'valentine-app-settings',
+            themes: options.themes || ['default', 'elegant', 'playful'],
+            maxMessages: options.maxMessages || 20,
+            maxMessageLength: options.maxMessageLength || 20,
+            maxSignatureLength: options.maxSignatureLength || 50
+        };
+
+        // Current schema version; bump it and add a migration when the shape changes
+        this.version = 2;
+
+        // Migrations keyed by the version they upgrade from
+        this.migrations = {
+            // v1 stored the raw settings object without a version or theme
+            1: (settings) => ({
+                ...settings,
+                theme: settings.theme || null
+            })
+        };
+
+        // Per-field validators; each returns true when the value is usable
+        this.validators = {
+            messages: (value) => Array.isArray(value) && value.length > 0 &&
+                value.length <= this.config.maxMessages &&
+                value.every(message => SlideMessage.isValid(message, this.config.maxMessageLength)),
+            letterText: (value) => Array.isArray(value) && value.length > 0 &&
+                value.every(paragraph => typeof paragraph === 'string' && paragraph.trim()),
+            signature: (value) => typeof value === 'string' && value.trim().length > 0 &&
+                value.length <= this.config.maxSignatureLength,
+            theme: (value) => this.config.themes.includes(value),
+            revealMode: (value) => RevealMode.isValid(value),
+            pageMode: (value) => PageMode.isValid(value),
+            signatureDrawing: (value) => SignatureDrawing.isValid(value),
+            title: (value) => LetterDetails.isValidText('title', value),
+            salutation: (value) => LetterDetails.isValidSalutation(value),
+            closing: (value) => LetterDetails.isValidText('closing', value),
+            date: (value) => LetterDate.isValid(value),
+            photos: (value) => LetterPhoto.isValidList(value),
+            envelope: (value) => LetterEnvelope.isValid(value),
+            stickers: (value) => Sticker.isValidList(value),
+            particles: (value) => ParticleSet.isValid(value),
+            effects: (value) => LetterEffects.isValid(value),
+            roseDensity: (value) => RoseDensity.isValid(value),
+            backdrop: (value) => LetterBackdrop.isValid(value),
+            letterId: (value) => LetterReply.isValidId(value),
+            replyTo: (value) => LetterReply.isValidReference(value),
+            lastModified: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        };
+    }
+
+    /**
+     * Load saved settings, migrated and validated against the defaults
+     * Returns null when nothing has been saved yet
+     */
+    load(defaults = {}) {
+        let raw;
+
+        try {
+            raw = localStorage.getItem(this.config.storageKey);
+        } catch (error) {
+            console.warn('Settings storage is unavailable:', error);
+            return null;
+        }
+
+        if (raw === null) {
+            return null;
+        }
+
+        let stored;
+        try {
+            stored = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Saved settings are corrupt, using defaults:', error);
+            return this.validate({}, defaults);
+        }
+
+        const settings = this.migrate(stored);
+        const validated = this.validate(settings, defaults);
+
+        // Persist upgraded data so migrations only run once
+        if (!stored || stored.version !== this.version) {
+            this.save(validated);
+        }
+
+        return validated;
+    }
+
+    /**
+     * Save settings together with the current schema version
+     */
+    save(settings) {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify({
+                version: this.version,
+                settings
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save user settings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Update configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * Remove saved settings
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.config.storageKey);
+        } catch (error) {
+            console.warn('Failed to clear user settings:', error);
+        }
+    }
+
+    /**
+     * Upgrade stored data to the current schema version
+     */
+    migrate(stored) {
+        if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+            return {};
+        }
+
+        // Unversioned data predates the version envelope
+        let version = Number.isInteger(stored.version) ? stored.version : 1;
+        let settings = version === 1 ? stored : stored.settings;
+
+        if (!settings || typeof settings !== 'object') {
+            return {};
+        }
+
+        if (version > this.version) {
+            console.warn(`Saved settings are from a newer version (${version}), keeping known fields only`);
+            return settings;
+        }
+
+        while (version < this.version) {
+            const migration = this.migrations[version];
+            if (migration) {
+                settings = migration(settings);
+            }
+            version++;
+        }
+
+        return settings;
+    }
+
+    /**
+     * Keep valid fields and fall back to defaults for the rest
+     */
+    validate(settings, defaults = {}) {
+        const validated = {};
+
+        Object.entries(this.validators).forEach(([field, isValid]) => {
+            const value = settings[field];
+
+            if (value !== undefined && value !== null && isValid(value)) {
+                validated[field] = value;
+            } else {
+                if (value !== undefined && value !== null) {
+                    console.warn(`Ignoring invalid saved setting "${field}"`);
+                }
+                if (defaults[field] !== undefined) {
+                    validated[field] = defaults[field];
+                }
+            }
+        });
+
+        return validated;
+    }
+}
+
+export default SettingsStore;
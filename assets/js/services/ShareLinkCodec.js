@@ -0,0 +1,351 @@
+/**
+ * ShareLinkCodec Service - Shareable Letter Links
+ * Serializes a customized letter into a compact, URL-safe fragment and back
+ *
+ * Features:
+ * - Short field keys to keep links compact
+ * - Deflate compression when the browser supports CompressionStream
+ * - Base64url encoding that is safe inside URL fragments
+ * - Versioned format with an integrity checksum
+ * - Graceful detection of truncated or corrupted links
+ * - Optional passphrase encryption with a readable hint
+ */
+
+import SlideMessage from '../models/SlideMessage.js';
+import RevealMode from '../models/RevealMode.js';
+import PageMode from '../models/PageMode.js';
+import SignatureDrawing from '../models/SignatureDrawing.js';
+import LetterDate from '../models/LetterDate.js';
+import LetterDetails from '../models/LetterDetails.js';
+import LetterEnvelope from '../models/LetterEnvelope.js';
+import Sticker from '../models/Sticker.js';
+import LetterReply from '../models/LetterReply.js';
+import ParticleSet from '../models/ParticleSet.js';
+import LetterEffects from '../models/LetterEffects.js';
+import RoseDensity from '../models/RoseDensity.js';
+import LetterBackdrop from '../models/LetterBackdrop.js';
+import LetterCrypto from './LetterCrypto.js';
+
+class ShareLinkCodec {
+    constructor(options = {}) {
+        // Default configuration
+        this.config = {
+            paramName: options.paramName || 'letter',
+            hintParamName: options.hintParamName || 'hint',
+            version: 1,
+            compression: options.compression !== false
+        };
+
+        // Long field names mapped to the short keys used inside links
+        this.fieldMap = {
+            messages: 'm',
+            letterText: 'p',
+            signature: 's',
+            theme: 't',
+            revealMode: 'r',
+            pageMode: 'n',
+            signatureDrawing: 'd',
+            title: 'h',
+            salutation: 'g',
+            closing: 'c',
+            date: 'w',
+            envelope: 'e',
+            stickers: 'k',
+            particles: 'f',
+            effects: 'x',
+            roseDensity: 'o',
+            backdrop: 'b',
+            letterId: 'i',
+            replyTo: 'y'
+        };
+
+        this.errorMessage = 'This letter link is incomplete or damaged. Ask the sender to copy it again.';
+
+        this.crypto = options.crypto || new LetterCrypto();
+    }
+
+    /**
+     * Check whether a URL hash carries a shared letter
+     */
+    hasLetter(hash = window.location.hash) {
+        return this.getToken(hash) !== null;
+    }
+
+    /**
+     * Build a full share URL for a letter, optionally protected by a passphrase
+     */
+    async createUrl(letter, protection = {}) {
+        const params = new URLSearchParams();
+        params.set(this.config.paramName, await this.encode(letter, protection.passphrase));
+        if (protection.passphrase && protection.hint) {
+            params.set(this.config.hintParamName, protection.hint);
+        }
+
+        const { origin, pathname, search } = window.location;
+        return `${origin}${pathname}${search}#${params.toString()}`;
+    }
+
+    /**
+     * Encode a letter into a URL-safe token
+     * Encrypted tokens carry an "e" before the mode and checksum the ciphertext instead
+     */
+    async encode(letter, passphrase = '') {
+        const json = JSON.stringify(this.compact(letter));
+        const bytes = new TextEncoder().encode(json);
+
+        let mode = 'p';
+        let payload = bytes;
+
+        if (this.config.compression && this.supportsCompression()) {
+            payload = await this.transform(bytes, new CompressionStream('deflate-raw'));
+            mode = 'c';
+        }
+
+        if (passphrase) {
+            payload = this.crypto.pack(await this.crypto.encrypt(payload, passphrase));
+            return `${this.config.version}e${mode}.${this.checksum(payload)}.${this.crypto.bytesToBase64Url(payload)}`;
+        }
+
+        return `${this.config.version}${mode}.${this.checksum(bytes)}.${this.crypto.bytesToBase64Url(payload)}`;
+    }
+
+    /**
+     * Decode a shared letter from a URL hash
+     * Returns null when the hash carries no letter, a locked letter ({ locked, hint })
+     * when it is passphrase-protected, and throws when it is unreadable
+     */
+    async decode(hash = window.location.hash) {
+        const token = this.getToken(hash);
+        if (token === null) {
+            return null;
+        }
+
+        const match = /^(\d+)(e?)([cp])\.([0-9a-f]{8})\.([A-Za-z0-9_-]+)$/.exec(token);
+        if (!match || Number(match[1]) !== this.config.version) {
+            throw new Error(this.errorMessage);
+        }
+
+        const [, , encrypted, mode, checksum, encoded] = match;
+
+        let bytes;
+        try {
+            bytes = this.crypto.base64UrlToBytes(encoded);
+        } catch (error) {
+            throw new Error(this.errorMessage);
+        }
+
+        if (encrypted) {
+            // Only the ciphertext can be checked until the passphrase is known
+            if (this.checksum(bytes) !== checksum) {
+                throw new Error(this.errorMessage);
+            }
+
+            let lockedPayload;
+            try {
+                lockedPayload = this.crypto.unpack(bytes);
+            } catch (error) {
+                throw new Error(this.errorMessage);
+            }
+
+            return {
+                locked: true,
+                hint: this.getHint(hash),
+                mode,
+                payload: lockedPayload
+            };
+        }
+
+        return this.unpackLetter(bytes, mode, checksum);
+    }
+
+    /**
+     * Decrypt a locked letter returned by decode()
+     */
+    async unlock(locked, passphrase) {
+        const bytes = await this.crypto.decrypt(locked.payload, passphrase);
+        return this.unpackLetter(bytes, locked.mode, null);
+    }
+
+    /**
+     * Decompress, verify and expand a letter payload
+     */
+    async unpackLetter(payload, mode, checksum) {
+        let bytes = payload;
+        try {
+            if (mode === 'c') {
+                if (!this.supportsCompression()) {
+                    throw new Error('Compressed links are not supported by this browser');
+                }
+                bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+            }
+        } catch (error) {
+            console.warn('Failed to unpack shared letter:', error);
+            throw new Error(this.errorMessage);
+        }
+
+        if (checksum !== null && this.checksum(bytes) !== checksum) {
+            throw new Error(this.errorMessage);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(this.errorMessage);
+        }
+
+        const letter = this.expand(parsed);
+        if (!letter) {
+            throw new Error(this.errorMessage);
+        }
+
+        return letter;
+    }
+
+    /**
+     * Extract the raw token from a URL hash
+     */
+    getToken(hash) {
+        if (!hash || hash.length < 2) {
+            return null;
+        }
+
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        return params.get(this.config.paramName);
+    }
+
+    /**
+     * Read the passphrase hint that travels next to an encrypted token
+     */
+    getHint(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        return params.get(this.config.hintParamName) || '';
+    }
+
+    /**
+     * Replace long field names with short keys
+     */
+    compact(letter) {
+        const compacted = {};
+
+        Object.entries(letter || {}).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            compacted[this.fieldMap[key] || key] = value;
+        });
+
+        return compacted;
+    }
+
+    /**
+     * Restore long field names and keep only well-formed values
+     */
+    expand(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return null;
+        }
+
+        const reverseMap = Object.fromEntries(
+            Object.entries(this.fieldMap).map(([key, short]) => [short, key])
+        );
+
+        const letter = {};
+        Object.entries(data).forEach(([key, value]) => {
+            letter[reverseMap[key] || key] = value;
+        });
+
+        const isStringList = (value) => Array.isArray(value) && value.length > 0 &&
+            value.every(item => typeof item === 'string');
+
+        const expanded = {};
+
+        if (Array.isArray(letter.messages) && letter.messages.length > 0 &&
+            letter.messages.every(message => SlideMessage.isValid(message))) {
+            expanded.messages = letter.messages;
+        }
+        if (isStringList(letter.letterText)) {
+            expanded.letterText = letter.letterText;
+        }
+        if (typeof letter.signature === 'string' && letter.signature.trim()) {
+            expanded.signature = letter.signature;
+        }
+        if (typeof letter.theme === 'string' && /^[a-z-]+$/.test(letter.theme)) {
+            expanded.theme = letter.theme;
+        }
+        if (RevealMode.isValid(letter.revealMode)) {
+            expanded.revealMode = letter.revealMode;
+        }
+        if (PageMode.isValid(letter.pageMode)) {
+            expanded.pageMode = letter.pageMode;
+        }
+        if (SignatureDrawing.isValid(letter.signatureDrawing)) {
+            expanded.signatureDrawing = letter.signatureDrawing;
+        }
+        ['title', 'closing'].forEach(field => {
+            if (LetterDetails.isValidText(field, letter[field])) {
+                expanded[field] = letter[field];
+            }
+        });
+        if (LetterDetails.isValidSalutation(letter.salutation)) {
+            expanded.salutation = letter.salutation;
+        }
+        if (LetterDate.isValid(letter.date)) {
+            expanded.date = letter.date;
+        }
+        if (LetterEnvelope.isValid(letter.envelope)) {
+            expanded.envelope = letter.envelope;
+        }
+        if (Sticker.isValidList(letter.stickers)) {
+            expanded.stickers = letter.stickers;
+        }
+        if (ParticleSet.isValid(letter.particles)) {
+            expanded.particles = letter.particles;
+        }
+        if (LetterEffects.isValid(letter.effects)) {
+            expanded.effects = letter.effects;
+        }
+        if (RoseDensity.isValid(letter.roseDensity)) {
+            expanded.roseDensity = letter.roseDensity;
+        }
+        if (LetterBackdrop.isValid(letter.backdrop)) {
+            expanded.backdrop = letter.backdrop;
+        }
+        if (LetterReply.isValidId(letter.letterId)) {
+            expanded.letterId = letter.letterId;
+        }
+        if (LetterReply.isValidReference(letter.replyTo)) {
+            expanded.replyTo = letter.replyTo;
+        }
+
+        return Object.keys(expanded).length > 0 ? expanded : null;
+    }
+
+    /**
+     * Check for native compression streams
+     */
+    supportsCompression() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Pipe bytes through a compression or decompression stream
+     */
+    async transform(bytes, transformStream) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+        const buffer = await new Response(stream).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * FNV-1a checksum rendered as 8 hex characters
+     */
+    checksum(bytes) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+export default ShareLinkCodec;